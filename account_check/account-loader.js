@@ -0,0 +1,557 @@
+/**
+ * 账号文件解析 - 命令行工具和Web服务共用
+ *
+ * 支持的格式（按扩展名判断，未知扩展名时根据内容猜测）:
+ * - CSV (.csv): 账号名称,url,token
+ *   按 RFC 4180 解析: 支持双引号包裹的字段（字段内可包含逗号、换行，"" 表示一个双引号）、
+ *   UTF-8 BOM、CRLF 换行，以及 # 开头的注释行（saveResults 生成的结果文件也可以直接读取）。
+ *   第一行为标题行时按列名识别 名称/url/key 列（以及可选的 proxy/代理 列），否则按 名称,url,key 的顺序读取；
+ *   无法识别列名的第一行只有在没有像地址或 key 的字段时才当作标题行跳过，否则作为账号校验。
+ * - 竖线分隔 (.txt/.psv): 账号名称|url|key[|代理]，与 check-claude-cli-simple.sh 的格式相同
+ * - JSON (.json): [{ "name": "账号1", "url": "http://...", "key": "cr_xxx", "proxy": "socks5://..." }] 或 { "accounts": [...] }
+ * - YAML (.yaml/.yml): 账号列表，可以放在 accounts 下:
+ *     accounts:
+ *       - name: 账号1
+ *         url: https://...
+ *         key: cr_xxx
+ *   只支持账号列表需要的子集（列表、键值对、引号字符串和注释）。
+ * - .env (.env / xxx.env): 以变量名前缀分组，每组一个账号:
+ *     ACCOUNT1_NAME=账号1
+ *     ACCOUNT1_URL=https://...
+ *     ACCOUNT1_KEY=cr_xxx
+ *   后缀 URL/BASE_URL/API_URL 为地址，KEY/TOKEN/API_KEY/AUTH_TOKEN 为密钥，NAME 为名称（省略时使用前缀），
+ *   因此 ANTHROPIC_BASE_URL + ANTHROPIC_AUTH_TOKEN 也可以直接作为一个账号读取。
+ *   后缀 PROXY 为账号的代理（HTTP_PROXY、HTTPS_PROXY 等本机代理变量不当作账号）。
+ *
+ * 所有格式的 proxy 都是可选的: http://、https://、socks5:// 代理地址，或 direct 表示不使用全局代理（见 proxy.js）。
+ *
+ * 解析不会在第一个错误处停止，而是收集所有问题行，错误信息带文件名和行号。
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { parseProxy } = require('./proxy')
+
+// 标题行中可识别的列名（不区分大小写）
+const COLUMN_ALIASES = {
+  name: ['name', '账号名称', '用户名称', '账号', '名称', '用户'],
+  url: ['url', 'api_url', 'base_url', 'baseurl', '地址'],
+  key: ['key', 'token', 'api_key', 'apikey', '密钥']
+}
+// 可选列
+const OPTIONAL_COLUMN_ALIASES = {
+  proxy: ['proxy', '代理']
+}
+
+// .env 变量名后缀 → 账号字段，长后缀优先匹配
+const ENV_SUFFIXES = [
+  ['BASE_URL', 'url'],
+  ['API_URL', 'url'],
+  ['AUTH_TOKEN', 'key'],
+  ['API_KEY', 'key'],
+  ['PROXY', 'proxy'],
+  ['NAME', 'name'],
+  ['URL', 'url'],
+  ['KEY', 'key'],
+  ['TOKEN', 'key']
+]
+
+// 本机代理环境变量，.env 中出现时不当作账号
+const PROXY_ENV_PATTERN = /^(HTTPS?|ALL|NO)_PROXY$/i
+
+const FORMATS = ['csv', 'pipe', 'json', 'yaml', 'env']
+
+// 根据扩展名判断格式，无法判断时根据内容猜测
+function detectFormat(filePath, content) {
+  const baseName = path.basename(filePath || '').toLowerCase()
+  const ext = path.extname(baseName)
+  if (ext === '.csv') return 'csv'
+  if (ext === '.json') return 'json'
+  if (ext === '.yaml' || ext === '.yml') return 'yaml'
+  if (ext === '.psv') return 'pipe'
+  if (ext === '.env' || baseName === '.env' || baseName.startsWith('.env.')) return 'env'
+
+  const text = stripBOM(content).trim()
+  if (text.startsWith('[') || text.startsWith('{')) return 'json'
+  const firstLine = text.split(/\r?\n/).find(line => line.trim() && !line.trim().startsWith('#')) || ''
+  if (/^\s*-\s/.test(firstLine) || /^accounts\s*:\s*$/.test(firstLine)) return 'yaml'
+  if (/^(export\s+)?[A-Za-z_][A-Za-z0-9_]*=/.test(firstLine)) return 'env'
+  if (firstLine.includes('|') && !firstLine.includes(',')) return 'pipe'
+  return 'csv'
+}
+
+function stripBOM(content) {
+  return content.charCodeAt(0) === 0xfeff ? content.slice(1) : content
+}
+
+// 按 RFC 4180 把分隔文本拆分为记录，返回 [{ fields, line }]
+// 记录开头的 # 视为注释行；引号外的字段去掉首尾空白
+function parseDelimited(content, delimiter, errors, source) {
+  const records = []
+  let fields = []
+  let field = ''
+  let quoted = false
+  let inQuotes = false
+  let line = 1
+  let recordLine = 1
+  let i = 0
+
+  const pushField = () => {
+    fields.push(quoted ? field : field.trim())
+    field = ''
+    quoted = false
+  }
+  const pushRecord = () => {
+    pushField()
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ fields, line: recordLine })
+    }
+    fields = []
+  }
+
+  while (i < content.length) {
+    const ch = content[i]
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (content[i + 1] === '"') {
+          field += '"'
+          i += 2
+          continue
+        }
+        inQuotes = false
+      } else {
+        if (ch === '\n') line++
+        field += ch
+      }
+      i++
+      continue
+    }
+
+    if (ch === '#' && fields.length === 0 && field.trim() === '' && !quoted) {
+      // 注释行，跳到行尾
+      while (i < content.length && content[i] !== '\n') i++
+      field = ''
+      continue
+    }
+
+    if (ch === '"' && field.trim() === '' && !quoted) {
+      inQuotes = true
+      quoted = true
+      field = ''
+    } else if (ch === delimiter) {
+      pushField()
+    } else if (quoted && (ch === ' ' || ch === '\t')) {
+      // 忽略闭合引号与分隔符之间的空白
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && content[i + 1] === '\n') i++
+      pushRecord()
+      line++
+      recordLine = line
+    } else {
+      field += ch
+    }
+    i++
+  }
+
+  if (inQuotes) {
+    errors.push({ source, line: recordLine, message: '双引号未闭合' })
+    return records
+  }
+  if (field !== '' || fields.length > 0) {
+    pushRecord()
+  }
+  return records
+}
+
+// 识别标题行，返回 { name, url, key, proxy? } 列号；不是可识别的标题行时返回 null
+function matchHeader(fields) {
+  const normalized = fields.map(field => field.trim().toLowerCase())
+  const columns = {}
+  for (const [column, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const index = normalized.findIndex(field => aliases.includes(field))
+    if (index === -1) return null
+    columns[column] = index
+  }
+  for (const [column, aliases] of Object.entries(OPTIONAL_COLUMN_ALIASES)) {
+    const index = normalized.findIndex(field => aliases.includes(field))
+    if (index !== -1) columns[column] = index
+  }
+  return columns
+}
+
+// 字段是否像账号数据（地址、裸主机名或 key），用于区分无法识别的标题行和第一行数据
+function looksLikeAccountField(field) {
+  const text = field.trim()
+  return /:\/\//.test(text) ||
+    /^[\w-]+(\.[\w-]+)+(:\d+)?(\/|$)/.test(text) ||
+    /^(sk-|cr_)/i.test(text) ||
+    /^[A-Za-z0-9_-]{20,}$/.test(text)
+}
+
+// CSV / 竖线分隔格式
+function parseDelimitedAccounts(content, delimiter, source, errors) {
+  const records = parseDelimited(content, delimiter, errors, source)
+  if (records.length === 0) return []
+
+  let columns = { name: 0, url: 1, key: 2 }
+  let dataRecords = records
+  const header = matchHeader(records[0].fields)
+  if (header) {
+    columns = header
+    dataRecords = records.slice(1)
+  } else {
+    if (!records[0].fields.some(looksLikeAccountField)) {
+      // 无法识别列名，且没有像地址或 key 的字段，按 名称,url,key 顺序的标题行处理；
+      // 否则按数据行校验（例如地址写错的第一行账号）
+      dataRecords = records.slice(1)
+    }
+    if (delimiter === '|') {
+      // 竖线分隔格式按位置读取，第4列为可选的代理
+      columns.proxy = 3
+    }
+  }
+
+  const minFields = Math.max(columns.name, columns.url, columns.key) + 1
+  const entries = []
+  for (const record of dataRecords) {
+    if (record.fields.length < minFields) {
+      const expected = delimiter === '|' ? '账号名称|url|key' : '账号名称,url,key'
+      errors.push({ source, line: record.line, message: `字段不足，需要 ${expected}` })
+      continue
+    }
+    entries.push({
+      line: record.line,
+      data: {
+        name: record.fields[columns.name],
+        url: record.fields[columns.url],
+        key: record.fields[columns.key],
+        ...(columns.proxy !== undefined && record.fields[columns.proxy] ? { proxy: record.fields[columns.proxy] } : {})
+      }
+    })
+  }
+  return entries
+}
+
+// 字符位置 → 行号
+function lineAt(content, position) {
+  return content.slice(0, position).split('\n').length
+}
+
+// 账号数组中每个对象开始的行号（root 为数组或 { accounts: [...] }）
+function jsonElementLines(content, rootIsArray) {
+  const targetDepth = rootIsArray ? 1 : 2
+  const stack = []
+  const lines = []
+  let inString = false
+
+  for (let i = 0; i < content.length; i++) {
+    const ch = content[i]
+    if (inString) {
+      if (ch === '\\') i++
+      else if (ch === '"') inString = false
+      continue
+    }
+    if (ch === '"') {
+      inString = true
+    } else if (ch === '{' || ch === '[') {
+      if (stack.length === targetDepth && stack[stack.length - 1] === '[') {
+        lines.push(lineAt(content, i))
+      }
+      stack.push(ch)
+    } else if (ch === '}' || ch === ']') {
+      stack.pop()
+    }
+  }
+  return lines
+}
+
+// JSON 格式
+function parseJSONAccounts(content, source, errors) {
+  let parsed
+  try {
+    parsed = JSON.parse(content)
+  } catch (error) {
+    const lineMatch = /line (\d+)/.exec(error.message)
+    const positionMatch = /position (\d+)/.exec(error.message)
+    const line = lineMatch ? parseInt(lineMatch[1]) : positionMatch ? lineAt(content, parseInt(positionMatch[1])) : null
+    errors.push({ source, line, message: `JSON格式错误: ${error.message.replace(/\s*\n\s*/g, " ")}` })
+    return []
+  }
+
+  const rootIsArray = Array.isArray(parsed)
+  const list = rootIsArray ? parsed : parsed && parsed.accounts
+  if (!Array.isArray(list)) {
+    errors.push({ source, line: 1, message: 'JSON应为账号数组或 { "accounts": [...] }' })
+    return []
+  }
+
+  const lines = jsonElementLines(content, rootIsArray)
+  return list.map((data, index) => ({
+    line: lines[index] || null,
+    data: data && typeof data === 'object' ? data : {},
+    index
+  }))
+}
+
+// 去掉 YAML 行尾注释（引号内的 # 保留）
+function stripYamlComment(text) {
+  let quote = null
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i]
+    if (quote) {
+      if (ch === quote) quote = null
+    } else if (ch === '"' || ch === "'") {
+      quote = ch
+    } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i)
+    }
+  }
+  return text
+}
+
+// YAML 标量: 去掉引号
+function parseYamlScalar(value) {
+  const text = value.trim()
+  if (text.length >= 2 && text.startsWith('"') && text.endsWith('"')) {
+    return JSON.parse(text)
+  }
+  if (text.length >= 2 && text.startsWith("'") && text.endsWith("'")) {
+    return text.slice(1, -1).replace(/''/g, "'")
+  }
+  return text
+}
+
+// YAML 格式（账号列表子集）
+function parseYAMLAccounts(content, source, errors) {
+  const entries = []
+  let current = null
+  let itemIndent = null
+
+  content.split('\n').forEach((rawLine, index) => {
+    const lineNumber = index + 1
+    const text = stripYamlComment(rawLine.replace(/\r$/, ''))
+    if (!text.trim()) return
+    const indent = text.length - text.trimStart().length
+    let body = text.trim()
+
+    if (indent === 0 && /^accounts\s*:$/.test(body)) return
+
+    if (body === '-' || body.startsWith('- ')) {
+      current = { line: lineNumber, data: {} }
+      entries.push(current)
+      itemIndent = indent
+      body = body.slice(1).trim()
+      if (!body) return
+    } else if (!current || indent <= itemIndent) {
+      errors.push({ source, line: lineNumber, message: `无法解析的YAML行: ${rawLine.trim()}` })
+      return
+    }
+
+    const match = /^([^:]+?)\s*:\s*(.*)$/.exec(body)
+    if (!match) {
+      errors.push({ source, line: lineNumber, message: `需要 key: value 格式: ${rawLine.trim()}` })
+      return
+    }
+    try {
+      current.data[match[1].trim()] = parseYamlScalar(match[2])
+    } catch (error) {
+      errors.push({ source, line: lineNumber, message: `字符串格式错误: ${match[2].trim()}` })
+    }
+  })
+
+  return entries
+}
+
+// .env 格式
+function parseEnvAccounts(content, source, errors) {
+  const groups = new Map()
+
+  content.split('\n').forEach((rawLine, index) => {
+    const lineNumber = index + 1
+    const text = rawLine.replace(/\r$/, '').trim()
+    if (!text || text.startsWith('#')) return
+
+    const match = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/.exec(text)
+    if (!match) {
+      errors.push({ source, line: lineNumber, message: `需要 NAME=value 格式: ${text}` })
+      return
+    }
+
+    const [, variable, rawValue] = match
+    if (PROXY_ENV_PATTERN.test(variable)) return
+    const suffix = ENV_SUFFIXES.find(([name]) => variable.toUpperCase().endsWith(`_${name}`))
+    if (!suffix) return // 与账号无关的变量
+
+    let value = rawValue.trim()
+    if (/^".*"$/.test(value)) {
+      // 按 JSON 字符串解析转义（export 命令写入的格式），不是合法转义时（例如手写的 Windows 路径）按原样取引号内的内容
+      try {
+        value = JSON.parse(value)
+      } catch (error) {
+        value = value.slice(1, -1)
+      }
+    } else if (/^'.*'$/.test(value)) {
+      value = value.slice(1, -1)
+    } else {
+      value = value.replace(/\s+#.*$/, '')
+    }
+
+    const prefix = variable.slice(0, variable.length - suffix[0].length - 1)
+    if (!groups.has(prefix)) {
+      groups.set(prefix, { line: lineNumber, data: { name: prefix } })
+    }
+    groups.get(prefix).data[suffix[1]] = value
+  })
+
+  return [...groups.values()]
+}
+
+// 校验账号字段，收集错误，返回有效账号
+function validateEntries(entries, source, errors) {
+  const accounts = []
+  const seen = new Map()
+
+  for (const entry of entries) {
+    const where = { source, line: entry.line, index: entry.index }
+    const data = entry.data
+    const missing = ['name', 'url', 'key'].filter(field => !data[field] || !String(data[field]).trim())
+    if (missing.length > 0) {
+      errors.push({ ...where, message: `缺少 ${missing.join(', ')}${data.name ? `（账号: ${data.name}）` : ''}` })
+      continue
+    }
+
+    const account = { ...data, name: String(data.name).trim(), url: String(data.url).trim(), key: String(data.key).trim() }
+    let validUrl = false
+    try {
+      validUrl = ['http:', 'https:'].includes(new URL(account.url).protocol)
+    } catch (error) {
+      validUrl = false
+    }
+    if (!validUrl) {
+      errors.push({ ...where, message: `url 格式错误，需要 http:// 或 https:// 开头（账号: ${account.name}）: ${account.url}` })
+      continue
+    }
+    if (account.proxy !== undefined && account.proxy !== null) {
+      account.proxy = String(account.proxy).trim()
+      if (!account.proxy) delete account.proxy
+    }
+    if (account.proxy) {
+      try {
+        parseProxy(account.proxy)
+      } catch (error) {
+        errors.push({ ...where, message: `${error.message}（账号: ${account.name}）` })
+        continue
+      }
+    }
+    if (seen.has(account.name)) {
+      const first = seen.get(account.name)
+      errors.push({ ...where, message: `账号名称重复: ${account.name}${first ? `（第 ${first} 行已定义）` : ''}` })
+      continue
+    }
+
+    seen.set(account.name, entry.line)
+    accounts.push(account)
+  }
+
+  return accounts
+}
+
+// 解析账号内容，返回 { format, accounts, errors }
+// errors: [{ source, line, message }]，line 可能为 null
+function parseAccounts(content, { format = null, source = '账号数据' } = {}) {
+  const text = stripBOM(content || '')
+  const resolvedFormat = format || detectFormat(null, text)
+  if (!FORMATS.includes(resolvedFormat)) {
+    throw new Error(`不支持的账号文件格式: ${resolvedFormat}，可选值: ${FORMATS.join(', ')}`)
+  }
+
+  const errors = []
+  let entries
+  if (resolvedFormat === 'csv') {
+    entries = parseDelimitedAccounts(text, ',', source, errors)
+  } else if (resolvedFormat === 'pipe') {
+    entries = parseDelimitedAccounts(text, '|', source, errors)
+  } else if (resolvedFormat === 'json') {
+    entries = parseJSONAccounts(text, source, errors)
+  } else if (resolvedFormat === 'yaml') {
+    entries = parseYAMLAccounts(text, source, errors)
+  } else {
+    entries = parseEnvAccounts(text, source, errors)
+  }
+
+  const accounts = validateEntries(entries, source, errors)
+  errors.sort((a, b) => (a.line || 0) - (b.line || 0))
+  return { format: resolvedFormat, accounts, errors }
+}
+
+// 读取账号文件
+function loadAccountFile(filePath, { format = null } = {}) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`配置文件不存在: ${filePath}`)
+  }
+  const content = fs.readFileSync(filePath, 'utf-8')
+  return parseAccounts(content, {
+    format: format || detectFormat(filePath, content),
+    source: path.basename(filePath)
+  })
+}
+
+// 错误位置，例如 accounts.csv:12 或 accounts.json 第 3 个账号
+function formatLoadError(error) {
+  const location = error.line ? `${error.source}:${error.line}` : error.index !== undefined ? `${error.source} 第 ${error.index + 1} 个账号` : error.source
+  return `${location}  ${error.message}`
+}
+
+// 按 RFC 4180 转义 CSV 字段
+function escapeCSVField(value) {
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// 把账号列表写成指定格式的文本（export 命令使用），可以被 parseAccounts 重新读取
+// 有账号设置代理时才输出代理字段/列
+function serializeAccounts(accounts, format) {
+  const withProxy = accounts.some(account => account.proxy)
+  if (format === 'json') {
+    return JSON.stringify(accounts, null, 2) + '\n'
+  }
+  if (format === 'yaml') {
+    const items = accounts.map(account =>
+      `  - name: ${JSON.stringify(account.name)}\n    url: ${JSON.stringify(account.url)}\n    key: ${JSON.stringify(account.key)}` +
+      (account.proxy ? `\n    proxy: ${JSON.stringify(account.proxy)}` : ''))
+    return `accounts:\n${items.join('\n')}\n`
+  }
+  if (format === 'env') {
+    return accounts.map((account, index) => [
+      `ACCOUNT${index + 1}_NAME=${JSON.stringify(account.name)}`,
+      `ACCOUNT${index + 1}_URL=${JSON.stringify(account.url)}`,
+      `ACCOUNT${index + 1}_KEY=${JSON.stringify(account.key)}`,
+      ...(account.proxy ? [`ACCOUNT${index + 1}_PROXY=${JSON.stringify(account.proxy)}`] : [])
+    ].join('\n')).join('\n\n') + '\n'
+  }
+  if (format === 'pipe') {
+    // 竖线格式没有转义，字段中含 | 或换行时无法写入
+    const invalid = accounts.find(a => [a.name, a.url, a.key, a.proxy || ''].some(value => /[|\r\n]/.test(String(value))))
+    if (invalid) {
+      throw new Error(`账号 ${JSON.stringify(invalid.name)} 的字段中含有 | 或换行，不能导出为竖线格式，请改用 csv、json、yaml 或 env`)
+    }
+    const rows = accounts.map(a => [a.name, a.url, a.key, ...(withProxy ? [a.proxy || ''] : [])].join('|'))
+    return `# 格式: 账号名称|API_URL|API_KEY${withProxy ? '|代理' : ''}\n${rows.join('\n')}\n`
+  }
+  if (format === 'csv') {
+    const rows = accounts.map(a => [a.name, a.url, a.key, ...(withProxy ? [a.proxy || ''] : [])].map(escapeCSVField).join(','))
+    return `账号名称,url,token${withProxy ? ',代理' : ''}\n${rows.join('\n')}\n`
+  }
+  throw new Error(`不支持的账号文件格式: ${format}，可选值: ${FORMATS.join(', ')}`)
+}
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  parseAccounts,
+  loadAccountFile,
+  formatLoadError,
+  escapeCSVField,
+  serializeAccounts
+}
@@ -0,0 +1,196 @@
+/**
+ * 加密账号保险库 - 账号key不再以明文保存在CSV中
+ *
+ * 保险库文件 (*.vault) 为JSON，账号列表使用 AES-256-GCM 加密，密钥由口令经 scrypt 派生:
+ *   { "format": "claude-account-vault", "version": 1,
+ *     "kdf": { "name": "scrypt", "N": 16384, "r": 8, "p": 1, "salt": "..." },
+ *     "cipher": { "name": "aes-256-gcm", "iv": "...", "tag": "..." },
+ *     "data": "...", "count": 12, "updatedAt": "..." }
+ *
+ * 口令来源（不支持命令行参数传入，避免出现在进程列表和 shell 历史中）:
+ * 1. 环境变量 ACCOUNT_VAULT_PASSPHRASE（可用 --passphrase-env 指定其它变量名）
+ * 2. 终端交互输入
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const readline = require('readline')
+
+const VAULT_FORMAT = 'claude-account-vault'
+const VAULT_VERSION = 1
+const DEFAULT_PASSPHRASE_ENV = 'ACCOUNT_VAULT_PASSPHRASE'
+const MIN_PASSPHRASE_LENGTH = 8
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 }
+// 读取保险库时允许的 scrypt 参数范围，避免损坏或被篡改的文件让每次检测占用大量内存或 CPU
+const SCRYPT_LIMITS = { maxN: 2 ** 20, maxR: 32, maxP: 16, maxMemory: 256 * 1024 * 1024 }
+
+// 是否为保险库文件（按扩展名判断）
+function isVaultFile(filePath) {
+  return path.extname(filePath || '').toLowerCase() === '.vault'
+}
+
+function deriveKey(passphrase, salt, params) {
+  return crypto.scryptSync(passphrase, salt, 32, { N: params.N, r: params.r, p: params.p, maxmem: SCRYPT_LIMITS.maxMemory + 1024 * 1024 })
+}
+
+// 校验保险库中的密钥派生参数
+function validateKdf(kdf) {
+  if (!kdf || kdf.name !== 'scrypt') {
+    throw new Error(`不支持的密钥派生算法: ${kdf && kdf.name}`)
+  }
+  const { N, r, p } = kdf
+  const isInteger = value => Number.isInteger(value) && value > 0
+  if (!isInteger(N) || N < 2 || N > SCRYPT_LIMITS.maxN || (N & (N - 1)) !== 0) {
+    throw new Error(`保险库 scrypt 参数 N 无效: ${N}（需要是 2 到 ${SCRYPT_LIMITS.maxN} 之间的 2 的幂）`)
+  }
+  if (!isInteger(r) || r > SCRYPT_LIMITS.maxR) {
+    throw new Error(`保险库 scrypt 参数 r 无效: ${r}（需要是 1 到 ${SCRYPT_LIMITS.maxR} 之间的整数）`)
+  }
+  if (!isInteger(p) || p > SCRYPT_LIMITS.maxP) {
+    throw new Error(`保险库 scrypt 参数 p 无效: ${p}（需要是 1 到 ${SCRYPT_LIMITS.maxP} 之间的整数）`)
+  }
+  if (128 * N * r > SCRYPT_LIMITS.maxMemory) {
+    throw new Error(`保险库 scrypt 参数需要的内存过大（N=${N}, r=${r}）`)
+  }
+  if (typeof kdf.salt !== 'string' || !kdf.salt) {
+    throw new Error('保险库缺少 scrypt salt')
+  }
+}
+
+// 加密账号列表，返回保险库对象
+function encryptAccounts(accounts, passphrase) {
+  const salt = crypto.randomBytes(16)
+  const iv = crypto.randomBytes(12)
+  const key = deriveKey(passphrase, salt, SCRYPT_PARAMS)
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv)
+  cipher.setAAD(Buffer.from(`${VAULT_FORMAT}:${VAULT_VERSION}`))
+  const data = Buffer.concat([cipher.update(JSON.stringify(accounts), 'utf-8'), cipher.final()])
+
+  return {
+    format: VAULT_FORMAT,
+    version: VAULT_VERSION,
+    kdf: { name: 'scrypt', ...SCRYPT_PARAMS, salt: salt.toString('base64') },
+    cipher: { name: 'aes-256-gcm', iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64') },
+    data: data.toString('base64'),
+    count: accounts.length,
+    updatedAt: new Date().toISOString()
+  }
+}
+
+// 解密保险库对象，返回账号列表
+function decryptVault(vault, passphrase) {
+  if (!vault || vault.format !== VAULT_FORMAT) {
+    throw new Error('不是有效的账号保险库文件')
+  }
+  if (vault.version !== VAULT_VERSION) {
+    throw new Error(`不支持的保险库版本: ${vault.version}`)
+  }
+
+  validateKdf(vault.kdf)
+  if (!vault.cipher || vault.cipher.name !== 'aes-256-gcm' || typeof vault.cipher.iv !== 'string' || typeof vault.cipher.tag !== 'string' || typeof vault.data !== 'string') {
+    throw new Error('保险库文件已损坏（缺少加密参数或数据）')
+  }
+
+  const key = deriveKey(passphrase, Buffer.from(vault.kdf.salt, 'base64'), vault.kdf)
+  try {
+    // iv、tag 长度不对时这里同样会抛出异常
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(vault.cipher.iv, 'base64'))
+    decipher.setAAD(Buffer.from(`${VAULT_FORMAT}:${vault.version}`))
+    decipher.setAuthTag(Buffer.from(vault.cipher.tag, 'base64'))
+    const data = Buffer.concat([decipher.update(Buffer.from(vault.data, 'base64')), decipher.final()])
+    return JSON.parse(data.toString('utf-8'))
+  } catch (error) {
+    throw new Error('保险库口令错误或文件已损坏')
+  }
+}
+
+// 读取并解密保险库文件
+function readVault(filePath, passphrase) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`保险库文件不存在: ${filePath}`)
+  }
+  let vault
+  try {
+    vault = JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+  } catch (error) {
+    throw new Error(`保险库文件格式错误: ${filePath}`)
+  }
+  return decryptVault(vault, passphrase)
+}
+
+// 加密写入保险库文件（先写临时文件再替换，权限 600）
+function writeVault(filePath, accounts, passphrase) {
+  const tempPath = `${filePath}.tmp-${process.pid}`
+  fs.writeFileSync(tempPath, JSON.stringify(encryptAccounts(accounts, passphrase), null, 2), { encoding: 'utf-8', mode: 0o600 })
+  fs.renameSync(tempPath, filePath)
+}
+
+// 终端中隐藏输入的提问
+function promptHidden(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true })
+    let muted = false
+    rl._writeToOutput = (text) => {
+      if (!muted) rl.output.write(text)
+    }
+    rl.question(question, (answer) => {
+      rl.close()
+      process.stdout.write('\n')
+      resolve(answer)
+    })
+    muted = true
+  })
+}
+
+// 获取保险库口令: 环境变量优先，否则在终端中输入
+// confirm 为 true 时（创建新保险库）要求输入两次并检查长度
+async function resolvePassphrase({ envName = DEFAULT_PASSPHRASE_ENV, confirm = false } = {}) {
+  let passphrase = process.env[envName]
+
+  if (!passphrase) {
+    if (!process.stdin.isTTY) {
+      throw new Error(`请通过环境变量 ${envName} 提供保险库口令`)
+    }
+    passphrase = await promptHidden('🔐 请输入保险库口令: ')
+    if (confirm && passphrase !== await promptHidden('🔐 请再次输入口令: ')) {
+      throw new Error('两次输入的口令不一致')
+    }
+  }
+
+  if (confirm && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`保险库口令至少 ${MIN_PASSPHRASE_LENGTH} 个字符`)
+  }
+  return passphrase
+}
+
+// 按账号名称合并，返回 { accounts, added, updated }
+function mergeAccounts(existing, incoming) {
+  const merged = existing.map(account => ({ ...account }))
+  let added = 0
+  let updated = 0
+
+  for (const account of incoming) {
+    const index = merged.findIndex(item => item.name === account.name)
+    if (index === -1) {
+      merged.push(account)
+      added++
+    } else {
+      merged[index] = account
+      updated++
+    }
+  }
+
+  return { accounts: merged, added, updated }
+}
+
+module.exports = {
+  DEFAULT_PASSPHRASE_ENV,
+  isVaultFile,
+  encryptAccounts,
+  decryptVault,
+  readVault,
+  writeVault,
+  resolvePassphrase,
+  mergeAccounts
+}
@@ -0,0 +1,153 @@
+/**
+ * 模型真实性校验 - 识别请求 Opus 却悄悄返回更便宜模型的中转服务
+ *
+ * 1. 响应 model 字段: 比较流式响应 message_start 中的 model 与请求的模型（忽略日期后缀、厂商前缀、-0 小版本），
+ *    请求的是系列别名（sonnet、opus、haiku）时同系列的任意版本都算通过。
+ *    旧版 Claude CLI 不输出流式事件、拿不到 model 字段时不做该项校验。
+ * 2. 挑战问题 (--challenges FILE，只支持 http 探测): 模型测试通过后再发送若干固定问题（temperature 0），
+ *    回答必须匹配已知正确回答的特征（fingerprints，正则表达式，任意一个匹配即通过）:
+ *    {
+ *      "challenges": [
+ *        { "name": "自报型号", "prompt": "Reply with your exact model ID only.", "models": ["opus41"], "fingerprints": ["opus-4"] },
+ *        { "name": "知识截止", "prompt": "...", "fingerprints": ["2025"], "maxTokens": 64 }
+ *      ]
+ *    }
+ *    models 省略时对所有模型发送。挑战请求本身出错（超时、限流等）不判定为替换。
+ *
+ * 判定为疑似替换的模型标记为失败，errorClass 为 suspected_substitution，
+ * 模型结果中的 authenticity 字段记录校验详情:
+ *   { status: 'verified' | 'suspected' | 'unverified', reasons: [...], challenges: [{ name, passed, response }] }
+ */
+
+const fs = require('fs')
+const { classifyAs } = require('./error-classes')
+
+const MODEL_FAMILIES = ['opus', 'sonnet', 'haiku']
+
+// 统一模型名称: 去掉厂商前缀 (anthropic/、anthropic.)、版本后缀 (@20250805、-v1:0)、上下文后缀 ([1m])、日期，
+// 末尾的 -0 小版本视为没有小版本（claude-sonnet-4-0 与 claude-sonnet-4-20250514 视为同一模型），
+// 并忽略片段顺序（claude-3-5-haiku 与 claude-haiku-3-5 视为同一模型）。
+// 系列别名（sonnet、claude-opus-latest）统一为系列名称 sonnet、opus
+function canonicalModel(modelId) {
+  return String(modelId || '')
+    .toLowerCase()
+    .replace(/^.*\//, '')
+    .replace(/^anthropic\./, '')
+    .replace(/@.*$/, '')
+    .replace(/-v\d+(:\d+)?$/, '')
+    .replace(/\[\w+\]$/, '')
+    .replace(/^claude-/, '')
+    .replace(/-(\d{8}|latest)$/, '')
+    .replace(/-0$/, '')
+    .split(/[-.]/)
+    .filter(Boolean)
+    .sort()
+    .join('-')
+}
+
+// 响应中的模型是否就是请求的模型，请求的是系列别名时同系列的任意版本都算
+function sameModel(requested, actual) {
+  const wanted = canonicalModel(requested)
+  const got = canonicalModel(actual)
+  if (MODEL_FAMILIES.includes(wanted)) return got.split('-').includes(wanted)
+  return wanted === got
+}
+
+// 读取挑战问题配置
+function loadChallenges(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`挑战问题配置文件不存在: ${filePath}`)
+  }
+
+  let config
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+  } catch (error) {
+    throw new Error(`挑战问题配置格式错误: ${error.message.replace(/\s+/g, ' ')}`)
+  }
+
+  const list = Array.isArray(config) ? config : config.challenges
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('挑战问题配置中没有 challenges')
+  }
+
+  return list.map((challenge, index) => {
+    const name = challenge.name || `挑战${index + 1}`
+    if (!challenge.prompt) {
+      throw new Error(`挑战问题 "${name}" 缺少 prompt`)
+    }
+    if (!Array.isArray(challenge.fingerprints) || challenge.fingerprints.length === 0) {
+      throw new Error(`挑战问题 "${name}" 缺少 fingerprints`)
+    }
+    let fingerprints
+    try {
+      fingerprints = challenge.fingerprints.map(pattern => new RegExp(pattern, 'i'))
+    } catch (error) {
+      throw new Error(`挑战问题 "${name}" 的 fingerprints 不是有效的正则表达式: ${error.message}`)
+    }
+    return {
+      name,
+      prompt: challenge.prompt,
+      models: challenge.models || null,
+      fingerprints,
+      maxTokens: challenge.maxTokens || 128
+    }
+  })
+}
+
+// 校验一个已通过测试的模型结果，返回补充了 authenticity 的结果
+// probe(prompt, maxTokens) 使用同一账号、同一模型发送挑战问题
+async function verifyAuthenticity(model, result, { probe, challenges = [], checkModelField = true } = {}) {
+  if (result.status !== 'success') return result
+
+  const reasons = []
+  const challengeResults = []
+  let checked = false
+
+  // 1. 响应 model 字段
+  if (checkModelField && result.actualModel) {
+    checked = true
+    if (!sameModel(model.id, result.actualModel)) {
+      reasons.push(`请求 ${model.id}，响应 model 为 ${result.actualModel}`)
+    }
+  }
+
+  // 2. 挑战问题
+  for (const challenge of challenges.filter(item => !item.models || item.models.includes(model.key))) {
+    const answer = await probe(challenge.prompt, challenge.maxTokens)
+    if (answer.status !== 'success') {
+      challengeResults.push({ name: challenge.name, passed: null, response: null, error: answer.error })
+      continue
+    }
+    checked = true
+    const passed = challenge.fingerprints.some(pattern => pattern.test(answer.response))
+    challengeResults.push({ name: challenge.name, passed, response: answer.response.substring(0, 120) })
+    if (!passed) {
+      reasons.push(`挑战问题 "${challenge.name}" 的回答不符合预期`)
+    }
+  }
+
+  const authenticity = {
+    status: reasons.length > 0 ? 'suspected' : checked ? 'verified' : 'unverified',
+    reasons,
+    challenges: challengeResults
+  }
+
+  if (reasons.length === 0) {
+    return { ...result, authenticity }
+  }
+  return {
+    ...result,
+    ...classifyAs('suspected_substitution', reasons.join('; ')),
+    status: 'failed',
+    speed: null,
+    authenticity
+  }
+}
+
+module.exports = {
+  canonicalModel,
+  sameModel,
+  loadChallenges,
+  verifyAuthenticity
+}
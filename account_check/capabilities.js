@@ -0,0 +1,315 @@
+/**
+ * 能力探测 - 检查账号能否支撑真实的 Claude Code 会话（--capabilities）
+ *
+ * 只回答一个短问题不代表账号能用于 Claude Code: 有些中转服务会破坏工具调用、限制上下文长度、丢弃图片或 thinking 参数。
+ * 基础测试通过的模型依次探测选定的能力，始终直接调用 /v1/messages（与 --mode 无关，Claude CLI 底层也是这个接口）:
+ *
+ *   tools         工具调用往返: 强制调用一个工具，检查返回 tool_use，再回传 tool_result，检查回答用到了工具结果
+ *   long_context  长上下文: 发送约 longContextTokens 个 token 的文本（默认 50000），中间藏一个暗号，要求模型复述
+ *   image         图片输入: 发送一张红色 PNG，要求回答颜色
+ *   thinking      扩展思考: 开启 thinking（budget_tokens 1024），检查响应中有 thinking 内容块
+ *   caching       提示缓存: 带 cache_control 和 prompt-caching beta 请求头的长 system 提示连续发送两次，检查第二次命中缓存
+ *
+ * 单项能力的结果: { status, detail, responseTime }
+ *   status: supported（支持）| unsupported（不支持: 请求被拒绝或响应不符合预期）| error（探测失败: 超时、限流、5xx 等，无法判断）
+ * 结果记录在单模型结果的 capabilities 字段中，能力不支持不影响模型本身的通过状态。
+ * 长上下文和提示缓存按输入 token 计费，账号和模型较多时费用明显，请按需开启。
+ */
+
+const crypto = require('crypto')
+const { classifyHttpError } = require('./error-classes')
+
+const DEFAULT_LONG_CONTEXT_TOKENS = 50000
+const CACHE_PROMPT_TOKENS = 5000 // 超过各模型可缓存的最小长度
+const PROMPT_CACHING_BETA = 'prompt-caching-2024-07-31'
+
+// 32x32 纯红色 PNG
+const RED_PNG = 'iVBORw0KGgoAAAANSUhEUgAAACAAAAAgCAIAAAD8GO2jAAAAKklEQVR42mO4ICBAU8QwasGoBaMWjFowasGoBaMWjFowasGoBaMWDBULAGFgwC4HDqGmAAAAAElFTkSuQmCC'
+
+const WEATHER_TOOL = {
+  name: 'get_weather',
+  description: 'Get the current weather for a city.',
+  input_schema: {
+    type: 'object',
+    properties: { city: { type: 'string', description: 'City name' } },
+    required: ['city']
+  }
+}
+
+const FILLER_SENTENCE = 'The relay forwards every message to the upstream model without changing a single word of it.'
+const FILLER_LINE_TOKENS = 22 // 编号加 FILLER_SENTENCE 大约的 token 数
+
+// 无法判断能力的错误类别（暂时性错误或账号本身的问题），其它错误视为不支持
+const UNDETERMINED_CLASSES = [
+  'rate_limited', 'overloaded', 'relay_error', 'dns_error', 'tls_error', 'connect_error', 'proxy_error', 'timeout',
+  'quota_exhausted', 'auth_invalid', 'key_expired', 'invalid_url'
+]
+
+const CAPABILITY_STATUS_LABELS = {
+  supported: '支持',
+  unsupported: '不支持',
+  error: '探测失败'
+}
+const CAPABILITY_ICONS = {
+  supported: '✅',
+  unsupported: '❌',
+  error: '⚠️'
+}
+
+// 随机暗号，避免命中旧缓存或被猜中
+function randomCode() {
+  return crypto.randomBytes(3).toString('hex').toUpperCase()
+}
+
+function supported(detail) {
+  return { status: 'supported', detail }
+}
+
+function unsupported(detail) {
+  return { status: 'unsupported', detail }
+}
+
+// 请求失败时返回能力结果，成功（2xx 且为 messages JSON）时返回 null，由调用方检查响应内容
+function requestFailure(response) {
+  if (response.failure) {
+    return { status: 'error', detail: response.failure.error }
+  }
+  const body = response.body
+  const ok = response.httpStatus >= 200 && response.httpStatus < 300
+  if (ok && body && typeof body === 'object' && body.type !== 'error' && Array.isArray(body.content)) {
+    return null
+  }
+  if (ok && (!body || typeof body !== 'object' || !body.error)) {
+    return unsupported('响应不是有效的 messages JSON')
+  }
+  const classified = classifyHttpError(response.httpStatus, body)
+  return {
+    status: UNDETERMINED_CLASSES.includes(classified.errorClass) ? 'error' : 'unsupported',
+    detail: `HTTP ${response.httpStatus}: ${classified.error}`
+  }
+}
+
+function textOf(body) {
+  return body.content
+    .filter(block => block.type === 'text' && typeof block.text === 'string')
+    .map(block => block.text)
+    .join('')
+    .trim()
+}
+
+function quote(text) {
+  const value = text.replace(/\s+/g, ' ')
+  return `"${value.length > 60 ? `${value.substring(0, 60)}…` : value}"`
+}
+
+// 工具调用往返
+async function probeTools(send, model) {
+  const code = randomCode()
+  const question = { role: 'user', content: 'What is the weather in Paris right now? Mention the station code from the tool result in your answer.' }
+  const first = await send({
+    model: model.id,
+    max_tokens: 256,
+    tools: [WEATHER_TOOL],
+    tool_choice: { type: 'tool', name: WEATHER_TOOL.name },
+    messages: [question]
+  })
+  const firstFailure = requestFailure(first)
+  if (firstFailure) return firstFailure
+
+  const toolUse = first.body.content.find(block => block.type === 'tool_use')
+  if (!toolUse) {
+    return unsupported('响应中没有 tool_use 内容块（中转服务可能不支持工具调用）')
+  }
+  if (toolUse.name !== WEATHER_TOOL.name || !toolUse.input || typeof toolUse.input.city !== 'string') {
+    return unsupported('tool_use 的工具名或参数不完整')
+  }
+
+  const second = await send({
+    model: model.id,
+    max_tokens: 256,
+    tools: [WEATHER_TOOL],
+    messages: [
+      question,
+      { role: 'assistant', content: first.body.content },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: toolUse.id, content: `Sunny, 23°C. Station code: ${code}` }] }
+    ]
+  })
+  const secondFailure = requestFailure(second)
+  if (secondFailure) {
+    return { ...secondFailure, detail: `回传 tool_result 失败: ${secondFailure.detail}` }
+  }
+  const answer = textOf(second.body)
+  return answer.includes(code)
+    ? supported('工具调用和结果回传正常')
+    : unsupported(`回答中没有用到工具结果: ${quote(answer)}`)
+}
+
+// 长上下文
+async function probeLongContext(send, model, { longContextTokens = DEFAULT_LONG_CONTEXT_TOKENS, timeout }) {
+  const code = randomCode()
+  const count = Math.max(1, Math.round(longContextTokens / FILLER_LINE_TOKENS))
+  const lines = []
+  for (let i = 1; i <= count; i++) {
+    lines.push(`${i}. ${FILLER_SENTENCE}`)
+    if (i === Math.ceil(count / 2)) {
+      lines.push(`The secret passphrase is ${code}.`)
+    }
+  }
+  const response = await send({
+    model: model.id,
+    max_tokens: 64,
+    messages: [{ role: 'user', content: `${lines.join('\n')}\n\nWhat is the secret passphrase mentioned in the text above? Reply with the passphrase only.` }]
+  }, { timeout: timeout * 2 })
+  const failure = requestFailure(response)
+  if (failure) return failure
+
+  const inputTokens = response.body.usage && response.body.usage.input_tokens
+  const size = inputTokens ? `输入 ${inputTokens} tokens` : `约 ${longContextTokens} tokens`
+  const answer = textOf(response.body)
+  return answer.includes(code)
+    ? supported(`${size}，暗号复述正确`)
+    : unsupported(`${size}，没有复述出暗号（上下文可能被截断）: ${quote(answer)}`)
+}
+
+// 图片输入
+async function probeImage(send, model) {
+  const response = await send({
+    model: model.id,
+    max_tokens: 32,
+    messages: [{
+      role: 'user',
+      content: [
+        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: RED_PNG } },
+        { type: 'text', text: 'What is the color of this image? Answer with one English word.' }
+      ]
+    }]
+  })
+  const failure = requestFailure(response)
+  if (failure) return failure
+
+  const answer = textOf(response.body)
+  return /red|红/i.test(answer)
+    ? supported('正确识别图片颜色')
+    : unsupported(`没有识别出图片颜色（图片可能被丢弃）: ${quote(answer)}`)
+}
+
+// 扩展思考
+async function probeThinking(send, model) {
+  const response = await send({
+    model: model.id,
+    max_tokens: 2048,
+    thinking: { type: 'enabled', budget_tokens: 1024 },
+    messages: [{ role: 'user', content: 'What is 27 * 43? Think it through, then give the final number.' }]
+  })
+  const failure = requestFailure(response)
+  if (failure) return failure
+
+  const thinking = response.body.content.filter(block => block.type === 'thinking' || block.type === 'redacted_thinking')
+  return thinking.length > 0
+    ? supported(`返回 ${thinking.length} 个 thinking 内容块`)
+    : unsupported('响应中没有 thinking 内容块（中转服务可能丢弃了 thinking 参数）')
+}
+
+// 提示缓存
+async function probeCaching(send, model) {
+  const nonce = randomCode()
+  const lines = [`Reference document ${nonce}.`]
+  const count = Math.round(CACHE_PROMPT_TOKENS / FILLER_LINE_TOKENS)
+  for (let i = 1; i <= count; i++) {
+    lines.push(`${i}. ${FILLER_SENTENCE}`)
+  }
+  const request = {
+    model: model.id,
+    max_tokens: 16,
+    system: [{ type: 'text', text: lines.join('\n'), cache_control: { type: 'ephemeral' } }],
+    messages: [{ role: 'user', content: 'Reply with OK.' }]
+  }
+  const headers = { 'anthropic-beta': PROMPT_CACHING_BETA }
+
+  const first = await send(request, { headers })
+  const firstFailure = requestFailure(first)
+  if (firstFailure) return firstFailure
+  const second = await send(request, { headers })
+  const secondFailure = requestFailure(second)
+  if (secondFailure) return secondFailure
+
+  const firstUsage = first.body.usage || {}
+  const usage = second.body.usage || {}
+  if (usage.cache_read_input_tokens > 0) {
+    return supported(`第二次请求命中缓存 ${usage.cache_read_input_tokens} tokens`)
+  }
+  if (!('cache_creation_input_tokens' in firstUsage) && !('cache_read_input_tokens' in usage)) {
+    return unsupported('响应 usage 中没有缓存字段（中转服务可能不支持提示缓存）')
+  }
+  return firstUsage.cache_creation_input_tokens > 0
+    ? unsupported('写入了缓存，但第二次请求没有命中（中转服务可能把请求分散到不同上游账号）')
+    : unsupported('没有写入缓存')
+}
+
+const CAPABILITIES = {
+  tools: { label: '工具调用', probe: probeTools },
+  long_context: { label: '长上下文', probe: probeLongContext },
+  image: { label: '图片输入', probe: probeImage },
+  thinking: { label: '扩展思考', probe: probeThinking },
+  caching: { label: '提示缓存', probe: probeCaching }
+}
+
+// 解析 --capabilities 的值（逗号分隔，all 表示全部），返回能力名称列表
+function parseCapabilities(spec) {
+  const names = String(spec || '').split(',').map(item => item.trim()).filter(Boolean)
+  if (names.includes('all')) return Object.keys(CAPABILITIES)
+  const unknown = names.filter(name => !CAPABILITIES[name])
+  if (unknown.length > 0) {
+    throw new Error(`不支持的能力: ${unknown.join(', ')}，可选值: ${Object.keys(CAPABILITIES).join(', ')}, all`)
+  }
+  return Object.keys(CAPABILITIES).filter(name => names.includes(name))
+}
+
+// 依次探测单个模型的各项能力
+// send(requestBody, { headers, timeout }) 发送一次非流式请求，返回 postMessages (http-probe.js) 的结果
+async function probeCapabilities(model, { capabilities, send, timeout, longContextTokens = DEFAULT_LONG_CONTEXT_TOKENS }) {
+  const results = {}
+  for (const name of capabilities) {
+    const startTime = Date.now()
+    let result
+    try {
+      result = await CAPABILITIES[name].probe(send, model, { timeout, longContextTokens })
+    } catch (error) {
+      result = { status: 'error', detail: error.message }
+    }
+    results[name] = { ...result, responseTime: Date.now() - startTime }
+  }
+  return results
+}
+
+// 结果中探测过的能力（按 CAPABILITIES 的顺序）
+function collectCapabilityNames(results, models) {
+  const names = new Set()
+  for (const result of results) {
+    for (const model of models) {
+      const modelResult = result.models[model.key]
+      if (modelResult && modelResult.capabilities) {
+        Object.keys(modelResult.capabilities).forEach(name => names.add(name))
+      }
+    }
+  }
+  return Object.keys(CAPABILITIES).filter(name => names.has(name))
+}
+
+// 一行描述单个模型的能力，例如 "工具调用 ✅ 长上下文 ❌"
+function describeCapabilities(capabilities) {
+  return Object.entries(capabilities || {})
+    .map(([name, result]) => `${CAPABILITIES[name] ? CAPABILITIES[name].label : name} ${CAPABILITY_ICONS[result.status]}`)
+    .join(' ')
+}
+
+module.exports = {
+  CAPABILITIES,
+  CAPABILITY_STATUS_LABELS,
+  CAPABILITY_ICONS,
+  DEFAULT_LONG_CONTEXT_TOKENS,
+  parseCapabilities,
+  probeCapabilities,
+  collectCapabilityNames,
+  describeCapabilities
+}
@@ -1,17 +1,19 @@
 #!/usr/bin/env node
 
 /**
- * 批量测试Claude账号双模型可用性 - 基于Claude CLI的深度验证
+ * 批量测试Claude账号多模型可用性 - 基于Claude CLI的深度验证
  * 
  * 核心优势: 
  * - 直接通过 Claude CLI 进行真实测试，避免假阳性
  * - 验证完整的调用链路：环境变量 → Claude CLI → 模型响应
- * - 分步测试：Sonnet 4 成功后再测试 Opus 4.1
+ * - 分步测试：默认 Sonnet 4 成功后再测试 Opus 4.1，模型列表可通过 --models 配置
  * 
  * 使用方法:
- * 1. 准备账号配置文件 accounts.csv 或 accounts.json:
- *    CSV格式: 账号名称,url,token
+ * 1. 准备账号配置文件 accounts.csv / accounts.json / accounts.yaml / accounts.txt / .env:
+ *    CSV格式: 账号名称,url,token（支持引号、BOM、CRLF 和 # 注释行）
  *    JSON格式: [{"name": "账号1", "url": "http://...", "key": "cr_xxx"}]
+ *    竖线格式: 账号名称|url|token（与 check-claude-cli-simple.sh 相同）
+ *    YAML 和 .env 格式见 account-loader.js
  * 
  * 2. 确保已安装 Claude CLI:
  *    npm install -g @anthropic-ai/claude-cli
@@ -20,24 +22,137 @@
  *    node check-claude-cli-accounts.js accounts.csv
  * 
  * 4. 测试流程:
- *    每个账号 → 设置环境变量 → claude --model sonnet-4 → "你是什么模型，有什么优势？"
- *    成功则继续测试 claude --model opus-4.1 → 分类结果
+ *    每个账号 → 设置环境变量 → 按模型矩阵依次 claude -p --model <模型> → "你是什么模型，有什么优势？"
+ *    通过流式输出记录首字延迟 (TTFT)、输出 token 数和输出速度，速度等级和性能排行以此为准（见 stream-metrics.js）
+ *    声明了依赖的模型只在依赖模型通过后测试 → 分类结果 (all_success / partial / all_failed)
  * 
- * 5. 可选参数:
+ * 5. 查看历史可用率和延迟:
+ *    node check-claude-cli-accounts.js history [--window 7d] [--account 账号名称]
+ *    每次检测都会追加记录到 test-reports/check-history.jsonl
+ * 
+ * 6. 守护进程模式（替代 crontab + run-check.sh）:
+ *    node check-claude-cli-accounts.js daemon accounts.csv --schedule "0 0-23/2 * * *" [--recheck-failed "0-59/20 * * * *"] [--web]
+ *    --schedule CRON  全量检测计划，标准5段 cron 表达式（默认每2小时整点）
+ *    --recheck-failed CRON  失败账号复查计划（可选，例如每20分钟）
+ *    --jitter 30  每次触发的随机延迟上限（秒）
+ *    --run-on-start  启动后立即执行一次全量检测
+ *    --web  在同一进程中启动Web服务，可通过 /api/scheduler 查看下次检测时间
+ *    --gateway  在同一进程中启动负载均衡网关（见第8步），每次检测后自动使用新结果
+ * 
+ * 7. 加密账号保险库（格式见 account-vault.js）:
+ *    node check-claude-cli-accounts.js import accounts.csv --vault accounts.vault   导入/合并账号到保险库
+ *    node check-claude-cli-accounts.js export accounts.csv --vault accounts.vault [--reveal-keys]   导出账号文件
+ *    node check-claude-cli-accounts.js accounts.vault   直接使用保险库检测（daemon 同样支持）
+ *    口令通过环境变量 ACCOUNT_VAULT_PASSPHRASE 提供（--passphrase-env 可指定其它变量名），否则在终端输入
+ *    导出时 key 默认脱敏，只有加 --reveal-keys 才会写出可用的完整 key
+ * 
+ * 8. 负载均衡网关（见 gateway.js）:
+ *    node check-claude-cli-accounts.js gateway accounts.csv [--gateway-port 3100] [--gateway-host 127.0.0.1] [--gateway-attempts 3]
+ *    在本机提供 Anthropic 兼容的 /v1/messages，按最近一次检测结果把请求转发给健康的账号（延迟低的账号权重高），
+ *    遇到 429/5xx/认证错误自动换账号，并在下次检测前暂停使用出错的账号；团队成员设置 ANTHROPIC_BASE_URL=http://网关地址:3100
+ *    环境变量 GATEWAY_TOKENS="alice:token1,bob:token2" 设置网关 token（成员把 ANTHROPIC_API_KEY 设为自己的 token），
+ *    监听非本机地址时必须设置；账号的 proxy 字段和 --proxy 同样生效
+ * 
+ * 9. 导出成员的 Claude CLI 配置（见 config-export.js）:
+ *    node check-claude-cli-accounts.js export-config accounts.csv [--team team.json] [--out-dir claude-configs] [--require-models sonnet4] [--reveal-keys]
+ *    按最近一次检测结果为每个成员（有 --team 时，分配规则同再分配）或每个通过所需模型的账号生成一个目录，
+ *    包含 .env、claude-env.sh 和 Claude CLI 的 settings.json；key 默认脱敏，只有加 --reveal-keys 才会写出可用的完整 key
+ * 
+ * 探测逻辑在 probe.js 中（与 web-server.js 共用），其它工具请 require('./probe')，不要直接调用本脚本的函数
+ * 
+ * 10. 可选参数:
+ *    --mode cli|http  探测方式: cli 通过 Claude CLI（默认），http 直接调用中转服务 /v1/messages
+ *    --models SPEC  测试模型列表，格式 [key=]模型ID[:依赖key]，逗号分隔
+ *                   例如 claude-sonnet-4-20250514,claude-opus-4-1-20250805:sonnet4
+ *    --models-config FILE  从JSON文件读取模型列表（格式见 model-matrix.js）
+ *    --team FILE  检测完成后按团队配置重新分配成员账号（格式见 rebalance.js）
  *    --timeout 45000  设置超时时间（毫秒，CLI测试需要更长时间）
- *    --parallel 2  并行测试数量（建议较少，避免CLI冲突）
+ *    --parallel 2  同时测试的账号数（任务池，任一账号结束后立即开始下一个；CLI模式建议较少，避免CLI冲突）
+ *    --per-host N  同一中转服务（url 的主机）同时测试的账号数上限（默认不限）
+ *    --rate-limit N  所有探测请求每分钟的上限（含重试、挑战问题和额度查询，默认不限）
+ *    --host-spacing MS  同一中转服务两次探测请求之间的最小间隔（毫秒，默认 0）
+ *    --proxy URL  默认代理（http://、https://、socks5://，可带 user:pass@），用于模型探测、额度查询和通知发送（见 proxy.js）
+ *                 账号文件中的 proxy 字段/列优先，direct 表示该账号直连；CLI 模式只支持 HTTP 代理
+ *    --max-retries N  限流、上游过载、5xx、连接失败、超时等暂时性错误的最多重试次数
+ *                     （默认按错误类别: 上游过载3次、限流/5xx/连接失败2次、超时/DNS 1次，0 关闭重试，见 error-classes.js）
+ *    --challenges FILE  模型真实性校验的挑战问题（格式见 authenticity.js，示例 challenges-example.json），只支持 --mode http
+ *    --no-model-check  不比较响应中的 model 字段与请求的模型（默认比较，不一致时标记为疑似模型替换）
+ *    --capabilities tools,long_context,image,thinking,caching|all  在通过测试的模型上探测能力（工具调用往返、长上下文、图片输入、
+ *                     扩展思考、提示缓存，始终直接调用 /v1/messages，见 capabilities.js），结果在报告中显示为能力矩阵
+ *    --long-context-tokens 50000  长上下文探测发送的 token 数（按输入 token 计费）
+ *    --quota auto|claude-relay|one-api|off  额度查询（默认 auto: cr_ 开头的 key 按 claude-relay-service 查询，见 quota.js）
+ *                     JSON/YAML 账号文件中可以为单个账号设置 quotaType
+ *    --quota-warn-ratio 0.1  剩余额度低于总额度的该比例时预警
+ *    --quota-warn-days 3  按近期用量预计该天数内耗尽、或该天数内到期时预警
+ *    --format json|html|md|junit[:FILE]  额外生成报告文件，可重复使用或逗号分隔（默认写入 test-reports/claude-test-report.<扩展名>，见 report-formats.js）
+ *                     json 完整结果，html 带图表的单文件报告，md 可粘贴到聊天的摘要，junit 供 CI 展示（每个账号/模型一个测试用例）
  *    --verbose  显示详细错误信息
- *    --dingtalk-webhook URL  钉钉机器人webhook地址
+ *    --skip-invalid  账号文件有问题行时跳过它们继续测试（默认列出所有问题行后退出）
+ *    --metrics-file FILE  每次检测后写入 Prometheus 文本格式指标（供 node_exporter textfile collector 读取，指标见 metrics.js）
+ *    --reveal-keys  结果CSV中写入完整key（默认脱敏，报告、日志和Web响应始终脱敏）
+ *    --notify-config FILE  通知渠道配置（钉钉、飞书、企业微信、Slack、JSON webhook、邮件，可同时配置多个，格式见 notifiers.js）
+ *                          每个渠道可单独设置 when: changes（默认，只在账号状态变化时发送）、failures（每次有失败时发送）或 always
+ *    --owners FILE  账号负责人配置（格式见 owners.js，示例 owners-example.json）: 通知按负责人汇总并只 @ 有异常账号的负责人，
+ *                   负责人可以订阅只包含自己账号的个人摘要（邮件或个人机器人）
+ *    --remind-interval 24h  持续异常账号的提醒间隔（changes 模式下每隔该时间汇总一次"已连续异常 N 次"，off 关闭）
+ *    --dingtalk-webhook URL  钉钉机器人webhook地址（快捷配置一个 changes 模式的钉钉渠道，也可用环境变量 DINGTALK_WEBHOOK）
  *    --dingtalk-secret SECRET  钉钉机器人签名密钥（可选）
- *    --dingtalk-at-all  失败时@所有人
- *    --dingtalk-always  总是发送通知（默认只在失败时发送）
+ *    --dingtalk-at-all  有完全失败账号时@所有人
  */
 
 const fs = require('fs')
 const path = require('path')
-const { spawn } = require('child_process')
-const https = require('https')
-const crypto = require('crypto')
+const { EventEmitter } = require('events')
+const { DEFAULT_PROMPT } = require('./http-probe')
+const { PROBE_MODES, MODE_LABELS, runBatch } = require('./probe')
+const {
+  DEFAULT_MODELS,
+  OVERALL_STATUS,
+  normalizeModels,
+  parseModelsSpec,
+  loadModelsConfig,
+  describeModelFlow,
+  firstFailedModel,
+  computeStats
+} = require('./model-matrix')
+const {
+  loadTeamConfig,
+  loadPreviousAssignments,
+  rebalance,
+  formatRebalanceDiff,
+  saveRebalancePlan
+} = require('./rebalance')
+const {
+  appendRunHistory,
+  readHistory,
+  parseWindow,
+  collectModelLabels,
+  summarizeHistory,
+  collectQuotaSamples
+} = require('./check-history')
+const { detectFormat, loadAccountFile, formatLoadError, escapeCSVField, serializeAccounts } = require('./account-loader')
+const { DEFAULT_PASSPHRASE_ENV, isVaultFile, readVault, writeVault, resolvePassphrase, mergeAccounts } = require('./account-vault')
+const { maskKey } = require('./redact')
+const { createScheduler, createFileLogger } = require('./scheduler')
+const { createNotifier, loadNotifierConfig, notifyAll } = require('./notifiers')
+const { loadOwnersConfig, digestNotifierConfigs } = require('./owners')
+const { detectStatusChanges, describeStatusChanges } = require('./status-changes')
+const { buildMetrics } = require('./metrics')
+const { loadChallenges } = require('./authenticity')
+const { QUOTA_MODES, QUOTA_STATUS_LABELS, DEFAULT_WARN_RATIO, DEFAULT_WARN_DAYS, assessQuota, describeQuota } = require('./quota')
+const { formatLatency } = require('./stream-metrics')
+const {
+  CAPABILITIES,
+  CAPABILITY_STATUS_LABELS,
+  CAPABILITY_ICONS,
+  DEFAULT_LONG_CONTEXT_TOKENS,
+  parseCapabilities,
+  collectCapabilityNames
+} = require('./capabilities')
+const { REPORT_FORMATS, parseFormatSpec, buildReportData, writeReports } = require('./report-formats')
+const { parseProxy, describeProxy } = require('./proxy')
+const { DEFAULT_MAX_ATTEMPTS, createGateway, parseGatewayTokens, isLoopbackHost } = require('./gateway')
+const { INDEX_FILE, planConfigExports, writeConfigExports } = require('./config-export')
 
 // 简单的颜色输出函数
 const colors = {
@@ -50,18 +165,74 @@ const colors = {
 }
 
 
+// 估算额度消耗速度使用的历史范围
+const QUOTA_FORECAST_WINDOW = '7d'
+
+// 支持的子命令，未指定时为 check
+const COMMANDS = ['check', 'history', 'daemon', 'import', 'export', 'gateway', 'export-config']
+
 // 解析命令行参数
 function parseArgs() {
-  const args = process.argv.slice(2)
+  let args = process.argv.slice(2)
   const options = {
+    command: 'check',
     configFile: null,
+    mode: 'cli', // cli: 通过 Claude CLI 测试; http: 直接调用 /v1/messages
+    modelsSpec: null,
+    modelsConfig: null,
+    models: null,
+    teamFile: null,
+    historyWindow: '7d',
+    historyAccount: null,
+    schedule: '0 */2 * * *', // 守护进程默认每2小时全量检测
+    recheckSchedule: null,
+    jitter: 30,
+    runOnStart: false,
+    web: false,
+    gateway: false, // daemon 同时启动网关
+    gatewayPort: 3100,
+    gatewayHost: '127.0.0.1',
+    gatewayAttempts: DEFAULT_MAX_ATTEMPTS,
+    outDir: 'claude-configs', // export-config 输出目录
+    requireModels: [], // export-config 按账号导出时需要通过的模型，空表示全部
     timeout: 45000, // CLI测试需要更长时间
     parallel: 1, // 默认单线程，避免CLI冲突
+    perHost: null, // 同一中转服务同时测试的账号数，null 不限
+    rateLimit: null, // 每分钟探测请求数，null 不限
+    hostSpacing: 0, // 同一中转服务两次请求的最小间隔（毫秒）
+    proxy: null, // 默认代理，账号的 proxy 字段优先
+    maxRetries: null, // null: 按错误类别的默认重试策略
+    metricsFile: null,
+    challengesFile: null,
+    challenges: [],
+    checkModelField: true,
+    capabilities: [],
+    longContextTokens: DEFAULT_LONG_CONTEXT_TOKENS,
+    quota: 'auto',
+    quotaWarnRatio: DEFAULT_WARN_RATIO,
+    quotaWarnDays: DEFAULT_WARN_DAYS,
+    formatSpecs: [], // --format 原始值
+    reportFormats: [], // [{ format, file }]
     verbose: false,
-    dingTalkWebhook: "https://oapi.dingtalk.com/robot/send?access_token=6f26248ec006cdd90c2886d956b7570cb9b06a24ef5065497658472ca43942b5",
+    skipInvalid: false,
+    vaultFile: null,
+    passphraseEnv: DEFAULT_PASSPHRASE_ENV,
+    vaultPassphrase: null,
+    revealKeys: false, // 结果CSV和导出文件中写入完整key
+    dingTalkWebhook: null,
     dingTalkSecret: null,
     dingTalkAtAll: false,
-    dingTalkAlways: false
+    notifyConfig: null,
+    notifiers: [],
+    ownersFile: null,
+    owners: [], // 账号负责人（见 owners.js）
+    remindInterval: '24h', // 持续异常账号的提醒间隔
+    remindIntervalMs: 0
+  }
+
+  if (args[0] && COMMANDS.includes(args[0])) {
+    options.command = args[0]
+    args = args.slice(1)
   }
 
   for (let i = 0; i < args.length; i++) {
@@ -71,8 +242,112 @@ function parseArgs() {
     } else if (args[i] === '--parallel' && args[i + 1]) {
       options.parallel = parseInt(args[i + 1])
       i++
+    } else if (args[i] === '--per-host' && args[i + 1]) {
+      options.perHost = parseInt(args[i + 1])
+      i++
+    } else if (args[i] === '--rate-limit' && args[i + 1]) {
+      options.rateLimit = parseInt(args[i + 1])
+      i++
+    } else if (args[i] === '--host-spacing' && args[i + 1]) {
+      options.hostSpacing = parseInt(args[i + 1])
+      i++
+    } else if (args[i] === '--proxy' && args[i + 1]) {
+      options.proxy = args[i + 1]
+      i++
+    } else if (args[i] === '--metrics-file' && args[i + 1]) {
+      options.metricsFile = args[i + 1]
+      i++
+    } else if (args[i] === '--max-retries' && args[i + 1]) {
+      options.maxRetries = parseInt(args[i + 1])
+      i++
+    } else if (args[i] === '--challenges' && args[i + 1]) {
+      options.challengesFile = args[i + 1]
+      i++
+    } else if (args[i] === '--quota' && args[i + 1]) {
+      options.quota = args[i + 1]
+      i++
+    } else if (args[i] === '--quota-warn-ratio' && args[i + 1]) {
+      options.quotaWarnRatio = parseFloat(args[i + 1])
+      i++
+    } else if (args[i] === '--quota-warn-days' && args[i + 1]) {
+      options.quotaWarnDays = parseFloat(args[i + 1])
+      i++
+    } else if (args[i] === '--format' && args[i + 1]) {
+      options.formatSpecs.push(args[i + 1])
+      i++
+    } else if (args[i] === '--capabilities' && args[i + 1]) {
+      try {
+        options.capabilities = parseCapabilities(args[i + 1])
+      } catch (error) {
+        console.error(`❌ ${error.message}`)
+        process.exit(1)
+      }
+      i++
+    } else if (args[i] === '--long-context-tokens' && args[i + 1]) {
+      options.longContextTokens = parseInt(args[i + 1])
+      i++
+    } else if (args[i] === '--no-model-check') {
+      options.checkModelField = false
+    } else if (args[i] === '--mode' && args[i + 1]) {
+      options.mode = args[i + 1]
+      i++
+    } else if (args[i] === '--models' && args[i + 1]) {
+      options.modelsSpec = args[i + 1]
+      i++
+    } else if (args[i] === '--models-config' && args[i + 1]) {
+      options.modelsConfig = args[i + 1]
+      i++
+    } else if (args[i] === '--team' && args[i + 1]) {
+      options.teamFile = args[i + 1]
+      i++
+    } else if (args[i] === '--window' && args[i + 1]) {
+      options.historyWindow = args[i + 1]
+      i++
+    } else if (args[i] === '--account' && args[i + 1]) {
+      options.historyAccount = args[i + 1]
+      i++
+    } else if (args[i] === '--schedule' && args[i + 1]) {
+      options.schedule = args[i + 1]
+      i++
+    } else if (args[i] === '--recheck-failed' && args[i + 1]) {
+      options.recheckSchedule = args[i + 1]
+      i++
+    } else if (args[i] === '--jitter' && args[i + 1]) {
+      options.jitter = parseInt(args[i + 1])
+      i++
+    } else if (args[i] === '--run-on-start') {
+      options.runOnStart = true
+    } else if (args[i] === '--web') {
+      options.web = true
+    } else if (args[i] === '--out-dir' && args[i + 1]) {
+      options.outDir = args[i + 1]
+      i++
+    } else if (args[i] === '--require-models' && args[i + 1]) {
+      options.requireModels = args[i + 1].split(',').map(item => item.trim()).filter(Boolean)
+      i++
+    } else if (args[i] === '--gateway') {
+      options.gateway = true
+    } else if (args[i] === '--gateway-port' && args[i + 1]) {
+      options.gatewayPort = parseInt(args[i + 1])
+      i++
+    } else if (args[i] === '--gateway-host' && args[i + 1]) {
+      options.gatewayHost = args[i + 1]
+      i++
+    } else if (args[i] === '--gateway-attempts' && args[i + 1]) {
+      options.gatewayAttempts = parseInt(args[i + 1])
+      i++
     } else if (args[i] === '--verbose') {
       options.verbose = true
+    } else if (args[i] === '--skip-invalid') {
+      options.skipInvalid = true
+    } else if (args[i] === '--vault' && args[i + 1]) {
+      options.vaultFile = args[i + 1]
+      i++
+    } else if (args[i] === '--passphrase-env' && args[i + 1]) {
+      options.passphraseEnv = args[i + 1]
+      i++
+    } else if (args[i] === '--reveal-keys') {
+      options.revealKeys = true
     } else if (args[i] === '--dingtalk-webhook' && args[i + 1]) {
       options.dingTalkWebhook = args[i + 1]
       i++
@@ -81,623 +356,497 @@ function parseArgs() {
       i++
     } else if (args[i] === '--dingtalk-at-all') {
       options.dingTalkAtAll = true
+    } else if (args[i] === '--remind-interval' && args[i + 1]) {
+      options.remindInterval = args[i + 1]
+      i++
+    } else if (args[i] === '--notify-config' && args[i + 1]) {
+      options.notifyConfig = args[i + 1]
+      i++
+    } else if (args[i] === '--owners' && args[i + 1]) {
+      options.ownersFile = args[i + 1]
+      i++
     } else if (args[i] === '--dingtalk-always') {
-      options.dingTalkAlways = true
+      console.error('❌ --dingtalk-always 已移除，请在通知配置文件中为渠道设置 "when": "always"（见 notifiers.js）')
+      process.exit(1)
     } else if (!args[i].startsWith('--')) {
       options.configFile = args[i]
     }
   }
 
-  if (!options.configFile) {
+  if (options.command !== 'history' && !options.configFile) {
     console.error('❌ 请提供账号配置文件路径')
     console.log('用法: node check-claude-cli-accounts.js <accounts.csv>')
     console.log('示例: node check-claude-cli-accounts.js accounts.csv --timeout 45000 --parallel 2')
     console.log('钉钉通知: --dingtalk-webhook "https://oapi.dingtalk.com/robot/send?access_token=xxx"')
+    console.log('多渠道通知: --notify-config notifiers.json')
+    console.log('历史统计: node check-claude-cli-accounts.js history --window 7d')
+    console.log('定时检测: node check-claude-cli-accounts.js daemon accounts.csv --schedule "0 */2 * * *" --recheck-failed "*/20 * * * *" --web')
+    console.log('加密保存: node check-claude-cli-accounts.js import accounts.csv --vault accounts.vault')
+    console.log('负载均衡网关: node check-claude-cli-accounts.js gateway accounts.csv --gateway-port 3100')
+    console.log('导出成员配置: node check-claude-cli-accounts.js export-config accounts.csv --team team.json --reveal-keys')
     process.exit(1)
   }
 
-  // 从环境变量读取钉钉配置（如果命令行未提供）
-  if (!options.dingTalkWebhook && process.env.DINGTALK_WEBHOOK) {
-    options.dingTalkWebhook = process.env.DINGTALK_WEBHOOK
+  if (['import', 'export'].includes(options.command) && !options.vaultFile) {
+    console.error(`❌ ${options.command} 命令需要通过 --vault 指定保险库文件`)
+    process.exit(1)
   }
-  if (!options.dingTalkSecret && process.env.DINGTALK_SECRET) {
-    options.dingTalkSecret = process.env.DINGTALK_SECRET
+  if (options.vaultFile && !isVaultFile(options.vaultFile)) {
+    console.error(`❌ 保险库文件需要使用 .vault 扩展名: ${options.vaultFile}`)
+    process.exit(1)
   }
 
-  return options
-}
-
-// 发送钉钉消息
-async function sendDingTalkMessage(webhook, secret, message) {
-  return new Promise((resolve) => {
-    try {
-      let url = webhook
-      let postData = JSON.stringify(message)
-      
-      // 如果启用了签名验证
-      if (secret) {
-        const timestamp = Date.now()
-        const stringToSign = timestamp + '\n' + secret
-        const sign = crypto.createHmac('sha256', secret)
-          .update(stringToSign, 'utf8')
-          .digest('base64')
-        
-        // 添加签名参数
-        const separator = webhook.includes('?') ? '&' : '?'
-        url += `${separator}timestamp=${timestamp}&sign=${encodeURIComponent(sign)}`
-      }
-      
-      const urlObj = new URL(url)
-      const options = {
-        hostname: urlObj.hostname,
-        port: urlObj.port || 443,
-        path: urlObj.pathname + urlObj.search,
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Content-Length': Buffer.byteLength(postData)
-        },
-        timeout: 10000 // 10秒超时
-      }
-      
-      const req = https.request(options, (res) => {
-        let data = ''
-        res.on('data', (chunk) => {
-          data += chunk
-        })
-        
-        res.on('end', () => {
-          try {
-            const response = JSON.parse(data)
-            if (response.errcode === 0) {
-              console.log(`📱 钉钉消息发送成功`)
-              resolve({ success: true, data: response })
-            } else {
-              console.log(`⚠️ 钉钉消息发送失败: ${response.errmsg}`)
-              resolve({ success: false, error: response.errmsg })
-            }
-          } catch (error) {
-            console.log(`⚠️ 钉钉响应解析失败: ${error.message}`)
-            resolve({ success: false, error: error.message })
-          }
-        })
-      })
-      
-      req.on('error', (error) => {
-        console.log(`⚠️ 钉钉消息发送网络错误: ${error.message}`)
-        resolve({ success: false, error: error.message })
-      })
-      
-      req.on('timeout', () => {
-        req.destroy()
-        console.log(`⚠️ 钉钉消息发送超时`)
-        resolve({ success: false, error: '请求超时' })
-      })
-      
-      req.write(postData)
-      req.end()
-      
-    } catch (error) {
-      console.log(`⚠️ 钉钉消息构建失败: ${error.message}`)
-      resolve({ success: false, error: error.message })
-    }
-  })
-}
+  if (options.maxRetries !== null && !(options.maxRetries >= 0)) {
+    console.error('❌ --max-retries 必须是大于等于0的整数')
+    process.exit(1)
+  }
 
-// 构建钉钉通知消息
-function buildNotificationMessage(results, stats) {
-  const timestamp = new Date().toLocaleString('zh-CN')
-  const bothFailedAccounts = results.filter(r => r.overallStatus === 'both_failed')
-  const sonnetOnlyAccounts = results.filter(r => r.overallStatus === 'sonnet_only')
-  
-  // 如果没有失败账号，返回成功消息
-  if (bothFailedAccounts.length === 0 && sonnetOnlyAccounts.length === 0) {
-    return {
-      msgtype: "markdown",
-      markdown: {
-        title: "Claude账号测试全部通过",
-        text: `## ✅ Claude账号测试全部通过
-
-📅 **测试时间**: ${timestamp}  
-📊 **测试结果**: 
-- 总账号数: ${stats.total}个
-- 双模型通过: ${stats.both_success}个 🎉
-
-🎯 所有账号运行正常！`
-      }
-    }
+  if (!(options.parallel >= 1)) {
+    console.error('❌ --parallel 必须是大于0的整数')
+    process.exit(1)
   }
-  
-  // 构建失败通知消息
-  let messageText = `## 🚨 Claude账号测试告警报告
-
-📅 **测试时间**: ${timestamp}  
-📊 **测试概况**: 
-- 总账号数: ${stats.total}个
-- 双模型通过: ${stats.both_success}个 ✅
-- 仅Sonnet4通过: ${stats.sonnet_only}个 ⚠️  
-- 完全失败: ${stats.both_failed}个 ❌
-
----`
-
-  // 添加完全失败账号信息
-  if (bothFailedAccounts.length > 0) {
-    messageText += `\n❌ **完全失败账号** (${bothFailedAccounts.length}个):`
-    bothFailedAccounts.slice(0, 10).forEach(acc => {
-      const errorMsg = acc.sonnet4.error ? acc.sonnet4.error.substring(0, 30) : '未知错误'
-      messageText += `\n• **${acc.name}**: ${acc.url} → ${errorMsg}`
-    })
-    if (bothFailedAccounts.length > 10) {
-      messageText += `\n• 还有 ${bothFailedAccounts.length - 10} 个账号失败...`
-    }
+  if (options.perHost !== null && !(options.perHost >= 1)) {
+    console.error('❌ --per-host 必须是大于0的整数')
+    process.exit(1)
   }
-
-  // 添加部分失败账号信息
-  if (sonnetOnlyAccounts.length > 0) {
-    messageText += `\n\n⚠️ **部分失败账号** (${sonnetOnlyAccounts.length}个):`
-    sonnetOnlyAccounts.slice(0, 10).forEach(acc => {
-      const errorMsg = acc.opus41.error ? acc.opus41.error.substring(0, 30) : '未知错误'
-      messageText += `\n• **${acc.name}**: Opus4.1 ${errorMsg}`
-    })
-    if (sonnetOnlyAccounts.length > 10) {
-      messageText += `\n• 还有 ${sonnetOnlyAccounts.length - 10} 个账号部分失败...`
-    }
+  if (options.rateLimit !== null && !(options.rateLimit >= 1)) {
+    console.error('❌ --rate-limit 必须是大于0的整数（每分钟请求数）')
+    process.exit(1)
+  }
+  if (!(options.hostSpacing >= 0)) {
+    console.error('❌ --host-spacing 必须是大于等于0的整数（毫秒）')
+    process.exit(1)
   }
 
-  messageText += `\n\n⏰ 请及时处理失败账号！`
+  if (!(options.gatewayPort >= 1 && options.gatewayPort <= 65535)) {
+    console.error('❌ --gateway-port 必须是 1 到 65535 之间的端口号')
+    process.exit(1)
+  }
+  if (!(options.gatewayAttempts >= 1)) {
+    console.error('❌ --gateway-attempts 必须是大于0的整数')
+    process.exit(1)
+  }
 
-  return {
-    msgtype: "markdown",
-    markdown: {
-      title: "Claude账号测试告警",
-      text: messageText
-    }
+  if (!(options.longContextTokens >= 1000)) {
+    console.error('❌ --long-context-tokens 必须是不小于1000的整数')
+    process.exit(1)
   }
-}
 
-// 判断是否需要为仅Sonnet可用的情况发送告警
-function shouldAlertForSonnetOnly(results, stats) {
-  // 如果没有仅Sonnet可用的账号，不需要告警
-  if (stats.sonnet_only === 0) return false
-  
-  // 如果同时有完全失败的账号，需要告警
-  if (stats.both_failed > 0) return true
-  
-  // 有仅Sonnet可用的账号时需要告警
-  return true
-}
+  try {
+    options.reportFormats = options.formatSpecs.flatMap(parseFormatSpec)
+  } catch (error) {
+    console.error(`❌ ${error.message}`)
+    process.exit(1)
+  }
 
-// 发送钉钉通知 - 主控制函数
-async function sendDingTalkNotification(results, stats, options) {
-  // 检查是否配置了钉钉webhook
-  if (!options.dingTalkWebhook) {
-    return
+  if (!QUOTA_MODES.includes(options.quota)) {
+    console.error(`❌ 不支持的额度查询方式: ${options.quota}，可选值: ${QUOTA_MODES.join(', ')}`)
+    process.exit(1)
+  }
+  if (!(options.quotaWarnRatio >= 0 && options.quotaWarnRatio < 1)) {
+    console.error('❌ --quota-warn-ratio 必须是 0 到 1 之间的小数，例如 0.1')
+    process.exit(1)
+  }
+  if (!(options.quotaWarnDays >= 0)) {
+    console.error('❌ --quota-warn-days 必须是大于等于0的数字')
+    process.exit(1)
   }
 
+  if (!PROBE_MODES.includes(options.mode)) {
+    console.error(`❌ 不支持的探测方式: ${options.mode}，可选值: ${PROBE_MODES.join(', ')}`)
+    process.exit(1)
+  }
   try {
-    // 判断是否需要发送通知
-    const hasFailures = stats.both_failed > 0 || shouldAlertForSonnetOnly(results, stats)
-    const shouldSend = options.dingTalkAlways || hasFailures
-
-    if (!shouldSend) {
-      console.log('📱 无失败账号，跳过钉钉通知')
-      return
+    const proxy = parseProxy(options.proxy)
+    if (proxy && proxy.type === 'socks5' && options.mode === 'cli') {
+      console.error('❌ Claude CLI 不支持 SOCKS 代理，请改用 HTTP 代理或 --mode http')
+      process.exit(1)
     }
+  } catch (error) {
+    console.error(`❌ --proxy: ${error.message}`)
+    process.exit(1)
+  }
 
-    console.log('📱 准备发送钉钉通知...')
-    
-    // 构建消息内容
-    const message = buildNotificationMessage(results, stats)
-    
-    // 添加@功能
-    if (options.dingTalkAtAll && (stats.both_failed > 0)) {
-      message.at = { isAtAll: true }
-    }
-    
-    // 发送消息
-    const result = await sendDingTalkMessage(
-      options.dingTalkWebhook, 
-      options.dingTalkSecret, 
-      message
-    )
-    
-    if (!result.success) {
-      console.log(`⚠️ 钉钉通知发送失败，但不影响主程序运行`)
+  // 解析模型矩阵：--models 优先，其次 --models-config，否则使用默认的 Sonnet 4 → Opus 4.1
+  try {
+    if (options.modelsSpec) {
+      options.models = parseModelsSpec(options.modelsSpec)
+    } else if (options.modelsConfig) {
+      options.models = loadModelsConfig(options.modelsConfig)
+    } else {
+      options.models = normalizeModels(DEFAULT_MODELS)
     }
-    
   } catch (error) {
-    console.log(`⚠️ 钉钉通知处理异常: ${error.message}`)
-  }
-}
-
-// 测试单个模型 - 通过 Claude CLI
-async function testSingleModel(account, modelName, options) {
-  return new Promise((resolve) => {
-    const startTime = Date.now()
-    const result = {
-      model: modelName,
-      status: 'testing',
-      responseTime: 0,
-      error: null,
-      response: null,
-      speed: null,
-      actualModel: null
+    console.error(`❌ 模型配置错误: ${error.message}`)
+    process.exit(1)
+  }
+
+  if (options.challengesFile) {
+    if (options.mode === 'cli') {
+      console.error('❌ --challenges 需要 temperature 0 和固定的输出长度，Claude CLI 不能设置，请加 --mode http')
+      process.exit(1)
     }
+    try {
+      options.challenges = loadChallenges(options.challengesFile)
+    } catch (error) {
+      console.error(`❌ ${error.message}`)
+      process.exit(1)
+    }
+  }
 
-    console.log(`    🔧 启动 Claude CLI 测试 ${modelName}...`)
+  // 从环境变量读取钉钉配置（如果命令行未提供）
+  if (!options.dingTalkWebhook && process.env.DINGTALK_WEBHOOK) {
+    options.dingTalkWebhook = process.env.DINGTALK_WEBHOOK
+  }
+  if (!options.dingTalkSecret && process.env.DINGTALK_SECRET) {
+    options.dingTalkSecret = process.env.DINGTALK_SECRET
+  }
 
-    // 设置环境变量
-    const env = {
-      ...process.env,
-      ANTHROPIC_BASE_URL: account.url,
-      ANTHROPIC_API_KEY: account.key
+  // 持续异常提醒间隔，off 表示不提醒
+  if (options.remindInterval !== 'off') {
+    try {
+      options.remindIntervalMs = parseWindow(options.remindInterval)
+    } catch (error) {
+      console.error(`❌ --remind-interval: ${error.message}，或 off 关闭提醒`)
+      process.exit(1)
     }
+  }
 
-    // 启动 Claude CLI
-    const claude = spawn('claude', ['--model', modelName], {
-      env,
-      stdio: ['pipe', 'pipe', 'pipe']
-    })
-
-    let output = ''
-    let errorOutput = ''
-    let hasResponded = false
+  if (options.ownersFile) {
+    try {
+      options.owners = loadOwnersConfig(options.ownersFile)
+    } catch (error) {
+      console.error(`❌ ${error.message}`)
+      process.exit(1)
+    }
+  }
 
-    claude.stdout.on('data', (data) => {
-      output += data.toString()
-    })
+  // 通知渠道：--notify-config 中的渠道 + --dingtalk-webhook 快捷配置的钉钉渠道 + 负责人订阅的个人摘要
+  try {
+    const configs = options.notifyConfig ? loadNotifierConfig(options.notifyConfig) : []
+    if (options.dingTalkWebhook) {
+      configs.push({
+        type: 'dingtalk',
+        webhook: options.dingTalkWebhook,
+        secret: options.dingTalkSecret,
+        atAll: options.dingTalkAtAll
+      })
+    }
+    configs.push(...digestNotifierConfigs(options.owners, configs))
+    // 渠道没有单独设置 proxy 时使用 --proxy
+    options.notifiers = configs.map(config => createNotifier({ proxy: options.proxy, ...config }))
+  } catch (error) {
+    console.error(`❌ 通知配置错误: ${error.message}`)
+    process.exit(1)
+  }
 
-    claude.stderr.on('data', (data) => {
-      errorOutput += data.toString()
-    })
+  return options
+}
 
-    // 设置超时
-    const timeout = setTimeout(() => {
-      if (!hasResponded) {
-        claude.kill()
-        result.status = 'failed'
-        result.error = '响应超时'
-        result.errorType = '超时'
-        result.responseTime = Date.now() - startTime
-        hasResponded = true
-        resolve(result)
-      }
-    }, options.timeout)
-
-    claude.on('close', (code) => {
-      if (hasResponded) return
-      hasResponded = true
-      clearTimeout(timeout)
-      result.responseTime = Date.now() - startTime
-
-      if (code === 0 && output.length > 0 && !output.includes('Error') && !output.includes('error')) {
-        // 成功：收到了有效回复
-        result.status = 'success'
-        result.response = output.trim().substring(0, 200)
-        
-        // 尝试从回复中提取模型信息
-        if (output.toLowerCase().includes('sonnet') || output.toLowerCase().includes('claude-3')) {
-          result.actualModel = 'detected-from-response'
-        }
-        
-        // 判断速度
-        if (result.responseTime < 3000) {
-          result.speed = '⚡ 极快'
-        } else if (result.responseTime < 8000) {
-          result.speed = '🚀 快速'
-        } else if (result.responseTime < 15000) {
-          result.speed = '🐢 较慢'
-        } else {
-          result.speed = '🐌 很慢'
-        }
-      } else {
-        // 失败：分析错误原因
-        result.status = 'failed'
-        
-        const combinedError = errorOutput + output
-        
-        if (combinedError.includes('authentication') || combinedError.includes('unauthorized') || combinedError.includes('401')) {
-          result.errorType = '认证失败'
-          result.error = 'API Key 无效或过期'
-        } else if (combinedError.includes('rate limit') || combinedError.includes('429')) {
-          result.errorType = '限流'
-          result.error = '请求过于频繁'
-        } else if (combinedError.includes('permission') || combinedError.includes('403')) {
-          result.errorType = '无权限'
-          result.error = '无权限访问该模型'
-        } else if (combinedError.includes('connection') || combinedError.includes('network')) {
-          result.errorType = '连接错误'
-          result.error = '网络连接失败'
-        } else if (combinedError.includes('model') || combinedError.includes('not found')) {
-          result.errorType = '模型不存在'
-          result.error = '指定的模型不存在或不可用'
-        } else if (code !== 0) {
-          result.errorType = 'CLI错误'
-          result.error = `Claude CLI 退出码: ${code}`
-        } else {
-          result.errorType = '未知错误'
-          result.error = combinedError.trim() || '没有收到有效响应'
-        }
-      }
+// 探测方式的显示名称
+function getModeLabel(options) {
+  return MODE_LABELS[options.mode]
+}
 
-      resolve(result)
-    })
+// 输出 HTTP 探测的附加信息（状态码、响应模型、错误JSON）
+function logHttpDetails(result, options) {
+  if (options.mode !== 'http') return
+  const parts = []
+  if (result.httpStatus) parts.push(`HTTP ${result.httpStatus}`)
+  if (result.actualModel) parts.push(`响应模型: ${result.actualModel}`)
+  if (parts.length > 0) {
+    console.log(`    🏷️  ${parts.join(' | ')}`)
+  }
+  if (options.verbose && result.errorBody) {
+    const body = typeof result.errorBody === 'string' ? result.errorBody : JSON.stringify(result.errorBody)
+    console.log(`    🧾 错误详情: ${body.substring(0, 500)}`)
+  }
+}
 
-    claude.on('error', (error) => {
-      if (hasResponded) return
-      hasResponded = true
-      clearTimeout(timeout)
-      
-      result.status = 'failed'
-      result.responseTime = Date.now() - startTime
-      result.errorType = 'CLI启动失败'
-      result.error = `无法启动 Claude CLI: ${error.message}`
-      resolve(result)
-    })
+// 输出挑战问题的校验结果
+function logAuthenticity(result) {
+  const challenges = result.authenticity ? result.authenticity.challenges : []
+  if (challenges.length === 0) return
+  const passed = challenges.filter(c => c.passed).length
+  const errored = challenges.filter(c => c.passed === null).length
+  console.log(`    🔍 挑战问题通过 ${passed}/${challenges.length}${errored > 0 ? `（${errored} 个请求出错未判定）` : ''}`)
+}
 
-    // 发送测试问题
-    setTimeout(() => {
-      if (!hasResponded) {
-        try {
-          claude.stdin.write('你是什么模型，有什么优势？\n')
-          claude.stdin.end()
-        } catch (error) {
-          // 忽略写入错误，让其他错误处理机制处理
-        }
-      }
-    }, 1000) // 等待1秒让CLI启动完成
+// 输出能力探测结果
+function logCapabilities(result) {
+  if (!result.capabilities) return
+  Object.entries(result.capabilities).forEach(([name, capability]) => {
+    const color = capability.status === 'supported' ? colors.green : capability.status === 'error' ? colors.yellow : colors.red
+    console.log(`    🧩 ${CAPABILITIES[name].label}: ${color(CAPABILITY_STATUS_LABELS[capability.status])} - ${capability.detail} (${capability.responseTime}ms)`)
   })
 }
 
-// 测试单个账号 - 分步测试 Sonnet 4 和 Opus 4.1
-async function testAccountDirect(account, options) {
-  const overallResult = {
-    name: account.name,
-    url: account.url,
-    key: account.key.substring(0, 10) + '...',
-    fullKey: account.key, // 保存完整key用于后续保存配置
-    sonnet4: null,
-    opus41: null,
-    overallStatus: 'testing'
-  }
+// 把探测进度事件输出到控制台
+function createConsoleProgress(options) {
+  const events = new EventEmitter()
+  const modeLabel = getModeLabel(options)
 
-  console.log(`🔄 测试账号: ${colors.cyan(account.name)} (${account.url})`)
-  
-  // 第一步：测试 Sonnet 4
-  console.log(`  📋 测试 Sonnet 4 模型 (通过 Claude CLI)...`)
-  overallResult.sonnet4 = await testSingleModel(account, 'claude-sonnet-4-20250514', options)
-  
-  if (overallResult.sonnet4.status === 'success') {
-    console.log(`    ✅ Sonnet 4: ${colors.green('成功')} - ${overallResult.sonnet4.speed} (${overallResult.sonnet4.responseTime}ms)`)
-    console.log(`    💬 响应预览: ${colors.cyan(overallResult.sonnet4.response.substring(0, 80))}...`)
-    
-    // 第二步：测试 Opus 4.1
-    console.log(`  📋 测试 Opus 4.1 模型 (通过 Claude CLI)...`)
-    overallResult.opus41 = await testSingleModel(account, 'claude-opus-4-1-20250805', options)
-    
-    if (overallResult.opus41.status === 'success') {
-      console.log(`    ✅ Opus 4.1: ${colors.green('成功')} - ${overallResult.opus41.speed} (${overallResult.opus41.responseTime}ms)`)
-      console.log(`    💬 响应预览: ${colors.cyan(overallResult.opus41.response.substring(0, 80))}...`)
-      overallResult.overallStatus = 'both_success'
-      console.log(`📊 ${colors.green('账号结果')}: ${colors.bold(account.name)} - 支持双模型 🎉`)
+  events.on('accountStart', ({ account }) => {
+    console.log(`🔄 测试账号: ${colors.cyan(account.name)} (${account.url})${account.proxy ? ` 🌐 代理: ${account.proxy}` : ''}`)
+  })
+  events.on('modelStart', ({ model }) => {
+    console.log(`  📋 测试 ${model.label} 模型 (通过 ${modeLabel})...`)
+  })
+  events.on('retry', ({ account, model, result, attempt, delay }) => {
+    console.log(`    🔁 ${account.name} ${model.label}: ${colors.yellow(result.errorType)} - ${result.error}，${(delay / 1000).toFixed(1)} 秒后第 ${attempt + 1} 次尝试`)
+  })
+  events.on('model', ({ model, result }) => {
+    logHttpDetails(result, options)
+    logAuthenticity(result)
+    if (result.status === 'success') {
+      console.log(`    ✅ ${model.label}: ${colors.green('成功')} - ${result.speed} (${formatLatency(result)})${formatAttempts(result)}`)
+      console.log(`    💬 响应预览: ${colors.cyan(result.response.substring(0, 80))}...`)
+      logCapabilities(result)
     } else {
-      console.log(`    ❌ Opus 4.1: ${colors.yellow('失败')} - ${overallResult.opus41.errorType}: ${overallResult.opus41.error}`)
-      overallResult.overallStatus = 'sonnet_only'
-      console.log(`📊 ${colors.yellow('账号结果')}: ${colors.bold(account.name)} - 仅支持 Sonnet 4`)
+      console.log(`    ❌ ${model.label}: ${colors.red('失败')} - ${result.errorType}: ${result.error}${formatAttempts(result)}`)
     }
-  } else {
-    console.log(`    ❌ Sonnet 4: ${colors.red('失败')} - ${overallResult.sonnet4.errorType}: ${overallResult.sonnet4.error}`)
-    overallResult.opus41 = { 
-      model: 'claude-opus-4-1-20250805', 
-      status: 'skipped', 
-      responseTime: 0, 
-      error: 'Sonnet 4 测试失败，跳过此测试',
-      errorType: '跳过测试'
+  })
+  events.on('modelSkipped', ({ model, result }) => {
+    console.log(`    ⏭️  ${model.label}: ${colors.yellow('跳过')} - ${result.error}`)
+  })
+  events.on('quota', ({ quota }) => {
+    const color = quota.status === 'ok' ? colors.green : quota.status === 'unavailable' ? colors.yellow : colors.red
+    console.log(`  💰 额度: ${color(describeQuota(quota))}${quota.warnings.length > 0 ? ` ⚠️ ${quota.warnings.join('；')}` : ''}`)
+  })
+  events.on('account', ({ result }) => {
+    if (result.overallStatus === OVERALL_STATUS.ALL_SUCCESS) {
+      console.log(`📊 ${colors.green('账号结果')}: ${colors.bold(result.name)} - 支持全部模型 🎉`)
+    } else if (result.overallStatus === OVERALL_STATUS.PARTIAL) {
+      const passed = options.models.filter(m => result.models[m.key].status === 'success').map(m => m.label)
+      console.log(`📊 ${colors.yellow('账号结果')}: ${colors.bold(result.name)} - 仅支持 ${passed.join(', ')}`)
+    } else {
+      console.log(`📊 ${colors.red('账号结果')}: ${colors.bold(result.name)} - 所有模型都不支持`)
     }
-    overallResult.overallStatus = 'both_failed'
-    console.log(`📊 ${colors.red('账号结果')}: ${colors.bold(account.name)} - 两个模型都不支持`)
-  }
+  })
 
-  return overallResult
+  return events
 }
 
-// 测试单个账号 - 方式2: 通过Claude CLI（更真实但更慢）
-async function testAccountViaCLI(account, options) {
-  return new Promise((resolve) => {
-    const startTime = Date.now()
-    const result = {
-      name: account.name,
-      url: account.url,
-      key: account.key.substring(0, 10) + '...',
-      status: 'testing',
-      responseTime: 0,
-      error: null
-    }
-
-    console.log(`🔄 通过CLI测试: ${colors.cyan(account.name)}`)
-
-    // 设置环境变量
-    const env = {
-      ...process.env,
-      ANTHROPIC_API_URL: account.url,
-      ANTHROPIC_API_KEY: account.key
-    }
-
-    // 执行claude命令
-    const claude = spawn('claude', [], {
-      env,
-      timeout: options.timeout
-    })
-
-    let output = ''
-    let errorOutput = ''
-
-    claude.stdout.on('data', (data) => {
-      output += data.toString()
-    })
-
-    claude.stderr.on('data', (data) => {
-      errorOutput += data.toString()
-    })
-
-    // 发送测试问题
-    setTimeout(() => {
-      claude.stdin.write('你是什么模型？速度快不快？\n')
-      claude.stdin.end()
-    }, 1000)
-
-    // 设置超时
-    const timeout = setTimeout(() => {
-      claude.kill()
-      result.status = 'timeout'
-      result.error = '响应超时'
-      result.responseTime = Date.now() - startTime
-      console.log(`⏱️ ${colors.yellow(account.name)} - 超时`)
-      resolve(result)
-    }, options.timeout)
-
-    claude.on('close', (code) => {
-      clearTimeout(timeout)
-      result.responseTime = Date.now() - startTime
-
-      if (code === 0 && output.length > 0) {
-        result.status = 'success'
-        result.response = output.substring(0, 200)
-        
-        // 判断速度
-        if (result.responseTime < 3000) {
-          result.speed = '⚡ 极快'
-        } else if (result.responseTime < 6000) {
-          result.speed = '🚀 快速'
-        } else if (result.responseTime < 12000) {
-          result.speed = '🐢 较慢'
-        } else {
-          result.speed = '🐌 很慢'
-        }
-        
-        console.log(`✅ ${colors.green(account.name)} - ${result.speed} (${result.responseTime}ms)`)
-      } else {
-        result.status = 'failed'
-        result.error = errorOutput || '无响应'
-        console.log(`❌ ${colors.red(account.name)} - ${result.error}`)
-      }
-
-      resolve(result)
-    })
-  })
+// 并发和限速设置的简短描述
+function describeConcurrency(options) {
+  const parts = [String(options.parallel)]
+  if (options.perHost !== null) parts.push(`每个中转服务 ${options.perHost}`)
+  if (options.rateLimit !== null) parts.push(`每分钟 ${options.rateLimit} 次请求`)
+  if (options.hostSpacing > 0) parts.push(`同一中转服务请求间隔 ${options.hostSpacing}ms`)
+  return parts.join('，')
 }
 
-// 批量测试账号
+// 批量测试账号（探测逻辑见 probe.js）
 async function batchTest(accounts, options) {
-  const results = []
-  const chunks = []
-  
-  // 分组进行并行测试
-  for (let i = 0; i < accounts.length; i += options.parallel) {
-    chunks.push(accounts.slice(i, i + options.parallel))
-  }
+  console.log(`\n📊 开始多模型深度测试 ${accounts.length} 个账号 (探测方式: ${getModeLabel(options)}, 并行数: ${describeConcurrency(options)})`)
+  console.log(`🔄 测试流程: ${describeModelFlow(options.models)}`)
+  console.log(`❓ 测试问题: "${DEFAULT_PROMPT}"\n`)
+
+  const results = await runBatch(accounts, {
+    mode: options.mode,
+    models: options.models,
+    timeout: options.timeout,
+    maxRetries: options.maxRetries,
+    challenges: options.challenges,
+    checkModelField: options.checkModelField,
+    capabilities: options.capabilities,
+    longContextTokens: options.longContextTokens,
+    quota: options.quota,
+    quotaWarnRatio: options.quotaWarnRatio,
+    quotaWarnDays: options.quotaWarnDays,
+    parallel: options.parallel,
+    perHost: options.perHost,
+    rateLimit: options.rateLimit,
+    hostSpacing: options.hostSpacing,
+    proxy: options.proxy,
+    events: createConsoleProgress(options)
+  })
 
-  console.log(`\n📊 开始双模型 CLI 深度测试 ${accounts.length} 个账号 (并行数: ${options.parallel})`)
-  console.log(`🔄 测试流程: Claude CLI + Sonnet 4 → (成功则继续) → Claude CLI + Opus 4.1`)
-  console.log(`❓ 测试问题: "你是什么模型，有什么优势？"\n`)
+  // 完整key只在 --reveal-keys 时写入结果CSV
+  return results.map((result, index) => ({ ...result, fullKey: accounts[index].key }))
+}
 
-  for (const chunk of chunks) {
-    const chunkResults = await Promise.all(
-      chunk.map(account => testAccountDirect(account, options))
-    )
-    results.push(...chunkResults)
-  }
+// 经过重试的结果显示尝试次数
+function formatAttempts(modelResult) {
+  return modelResult.attempts > 1 ? ` [尝试 ${modelResult.attempts} 次]` : ''
+}
+
+// 账号所有已测模型的总响应时间
+function totalResponseTime(result, models) {
+  return models.reduce((sum, m) => sum + ((result.models[m.key] && result.models[m.key].responseTime) || 0), 0)
+}
 
-  return results
+// 排序用的延迟: 首字延迟之和（中转服务不支持流式响应时使用响应时间）
+function totalLatency(result, models) {
+  return models.reduce((sum, m) => {
+    const modelResult = result.models[m.key]
+    if (!modelResult || modelResult.status !== 'success') return sum
+    return sum + (modelResult.ttft !== null && modelResult.ttft !== undefined ? modelResult.ttft : modelResult.responseTime)
+  }, 0)
 }
 
 // 生成测试报告
-function generateReport(results) {
+function generateReport(results, models) {
+  const modelNames = models.map(m => m.label).join(' + ')
   console.log('\n' + '='.repeat(80))
-  console.log(colors.bold('📊 双模型测试报告 (Sonnet 4 + Opus 4.1)'))
+  console.log(colors.bold(`📊 多模型测试报告 (${modelNames})`))
   console.log('='.repeat(80))
 
   // 统计
-  const stats = {
-    total: results.length,
-    both_success: results.filter(r => r.overallStatus === 'both_success').length,
-    sonnet_only: results.filter(r => r.overallStatus === 'sonnet_only').length,
-    both_failed: results.filter(r => r.overallStatus === 'both_failed').length
-  }
+  const stats = computeStats(results, models)
+  const percent = (count) => (count / stats.total * 100).toFixed(1)
 
   console.log('\n📈 统计概览:')
   console.log(`  总账号数: ${stats.total}`)
-  console.log(`  🎉 ${colors.green('双模型支持')}: ${stats.both_success} (${(stats.both_success / stats.total * 100).toFixed(1)}%)`)
-  console.log(`  📋 ${colors.yellow('仅支持Sonnet 4')}: ${stats.sonnet_only} (${(stats.sonnet_only / stats.total * 100).toFixed(1)}%)`)
-  console.log(`  ❌ ${colors.red('都不支持')}: ${stats.both_failed} (${(stats.both_failed / stats.total * 100).toFixed(1)}%)`)
-
-  // 双模型支持账号
-  const bothSupportAccounts = results.filter(r => r.overallStatus === 'both_success')
-  if (bothSupportAccounts.length > 0) {
-    console.log(`\n🎉 ${colors.green('双模型支持账号')} (${bothSupportAccounts.length}):`)
-    bothSupportAccounts
-      .sort((a, b) => (a.sonnet4.responseTime + a.opus41.responseTime) - (b.sonnet4.responseTime + b.opus41.responseTime))
-      .forEach(acc => {
-        console.log(`  ${colors.bold(acc.name)}:`)
-        console.log(`    🔸 Sonnet 4: ${acc.sonnet4.speed} (${acc.sonnet4.responseTime}ms)`)
-        console.log(`    🔸 Opus 4.1: ${acc.opus41.speed} (${acc.opus41.responseTime}ms)`)
-        console.log(`    🔸 总耗时: ${acc.sonnet4.responseTime + acc.opus41.responseTime}ms`)
+  console.log(`  🎉 ${colors.green('全部模型支持')}: ${stats.all_success} (${percent(stats.all_success)}%)`)
+  console.log(`  📋 ${colors.yellow('部分模型支持')}: ${stats.partial} (${percent(stats.partial)}%)`)
+  console.log(`  ❌ ${colors.red('都不支持')}: ${stats.all_failed} (${percent(stats.all_failed)}%)`)
+
+  // 全部模型支持账号
+  const allSupportAccounts = results
+    .filter(r => r.overallStatus === OVERALL_STATUS.ALL_SUCCESS)
+    .sort((a, b) => totalLatency(a, models) - totalLatency(b, models))
+  if (allSupportAccounts.length > 0) {
+    console.log(`\n🎉 ${colors.green('全部模型支持账号')} (${allSupportAccounts.length}):`)
+    allSupportAccounts.forEach(acc => {
+      console.log(`  ${colors.bold(acc.name)}:`)
+      models.forEach(m => {
+        console.log(`    🔸 ${m.label}: ${acc.models[m.key].speed} (${formatLatency(acc.models[m.key])})${formatAttempts(acc.models[m.key])}`)
       })
+      console.log(`    🔸 总耗时: ${totalResponseTime(acc, models)}ms`)
+    })
   }
 
-  // 仅支持Sonnet 4的账号
-  const sonnetOnlyAccounts = results.filter(r => r.overallStatus === 'sonnet_only')
-  if (sonnetOnlyAccounts.length > 0) {
-    console.log(`\n📋 ${colors.yellow('仅支持Sonnet 4的账号')} (${sonnetOnlyAccounts.length}):`)
-    sonnetOnlyAccounts
-      .sort((a, b) => a.sonnet4.responseTime - b.sonnet4.responseTime)
-      .forEach(acc => {
-        console.log(`  ${colors.bold(acc.name)}:`)
-        console.log(`    ✅ Sonnet 4: ${acc.sonnet4.speed} (${acc.sonnet4.responseTime}ms)`)
-        console.log(`    ❌ Opus 4.1: ${acc.opus41.errorType} - ${acc.opus41.error}`)
+  // 部分模型支持的账号
+  const partialAccounts = results
+    .filter(r => r.overallStatus === OVERALL_STATUS.PARTIAL)
+    .sort((a, b) => totalLatency(a, models) - totalLatency(b, models))
+  if (partialAccounts.length > 0) {
+    console.log(`\n📋 ${colors.yellow('部分模型支持的账号')} (${partialAccounts.length}):`)
+    partialAccounts.forEach(acc => {
+      console.log(`  ${colors.bold(acc.name)}:`)
+      models.forEach(m => {
+        const modelResult = acc.models[m.key]
+        if (modelResult.status === 'success') {
+          console.log(`    ✅ ${m.label}: ${modelResult.speed} (${formatLatency(modelResult)})${formatAttempts(modelResult)}`)
+        } else if (modelResult.status === 'skipped') {
+          console.log(`    ⏭️  ${m.label}: ${modelResult.error}`)
+        } else {
+          console.log(`    ❌ ${m.label}: ${modelResult.errorType} - ${modelResult.error}${formatAttempts(modelResult)}`)
+        }
       })
+    })
   }
 
   // 都不支持的账号
-  const failedAccounts = results.filter(r => r.overallStatus === 'both_failed')
+  const failedAccounts = results.filter(r => r.overallStatus === OVERALL_STATUS.ALL_FAILED)
   if (failedAccounts.length > 0) {
     console.log(`\n❌ ${colors.red('都不支持的账号')} (${failedAccounts.length}):`)
     
-    // 按Sonnet 4错误类型分组
+    // 按第一个失败模型的错误类型分组
     const errorGroups = {}
     failedAccounts.forEach(acc => {
-      const type = acc.sonnet4.errorType || '未知错误'
+      const failed = firstFailedModel(acc, models)
+      const type = (failed && failed.errorType) || '未知错误'
       if (!errorGroups[type]) {
         errorGroups[type] = []
       }
-      errorGroups[type].push(acc)
+      errorGroups[type].push({ acc, failed })
     })
 
-    Object.entries(errorGroups).forEach(([type, accounts]) => {
-      console.log(`\n  ${colors.yellow(type)} (${accounts.length}):`)
-      accounts.forEach(acc => {
-        console.log(`    - ${colors.bold(acc.name)}: ${acc.sonnet4.error}`)
+    Object.entries(errorGroups).forEach(([type, entries]) => {
+      console.log(`\n  ${colors.yellow(type)} (${entries.length}):`)
+      entries.forEach(({ acc, failed }) => {
+        console.log(`    - ${colors.bold(acc.name)}: ${failed ? failed.error + formatAttempts(failed) : '未知错误'}`)
       })
     })
   }
 
+  // 疑似模型替换: 响应模型与请求不一致或挑战问题回答不符
+  const suspectedAccounts = results.filter(r => r.suspectedSubstitution)
+  if (suspectedAccounts.length > 0) {
+    console.log(`\n🕵️ ${colors.red('疑似模型替换')} (${suspectedAccounts.length}):`)
+    suspectedAccounts.forEach(acc => {
+      console.log(`  ${colors.bold(acc.name)} (${acc.url}):`)
+      models
+        .filter(m => acc.models[m.key] && acc.models[m.key].errorClass === 'suspected_substitution')
+        .forEach(m => console.log(`    🔸 ${m.label}: ${acc.models[m.key].authenticity.reasons.join('；')}`))
+    })
+  }
+
+  // 额度: 列出已耗尽、即将耗尽、已过期和查询失败的账号
+  const quotaResults = results.filter(r => r.quota)
+  if (quotaResults.length > 0) {
+    const attention = quotaResults.filter(r => r.quota.status !== 'ok')
+    console.log(`\n💰 ${colors.cyan('额度')} (查询 ${quotaResults.length} 个账号，${attention.length} 个需要关注):`)
+    attention.forEach(acc => {
+      const label = QUOTA_STATUS_LABELS[acc.quota.status]
+      console.log(`  ${acc.quota.status === 'unavailable' ? colors.yellow(label) : colors.red(label)} ${colors.bold(acc.name)}: ${describeQuota(acc.quota)}`)
+      acc.quota.warnings.forEach(warning => console.log(`    ⚠️ ${warning}`))
+    })
+  }
+
+  // 代理: 按使用的代理分组，方便区分是代理还是中转服务的问题
+  const proxyGroups = new Map()
+  results.filter(r => r.proxy).forEach(r => {
+    if (!proxyGroups.has(r.proxy)) proxyGroups.set(r.proxy, [])
+    proxyGroups.get(r.proxy).push(r)
+  })
+  if (proxyGroups.size > 0) {
+    const unproxied = results.filter(r => !r.proxy).length
+    console.log(`\n🌐 ${colors.cyan('代理')} (${proxyGroups.size} 个代理${unproxied > 0 ? `，${unproxied} 个账号未使用代理` : ''}):`)
+    proxyGroups.forEach((accounts, proxy) => {
+      const passed = accounts.filter(r => r.overallStatus !== OVERALL_STATUS.ALL_FAILED).length
+      const proxyFailures = accounts.filter(r => models.some(m => r.models[m.key] && r.models[m.key].errorClass === 'proxy_error')).length
+      console.log(`  🔸 ${proxy === 'direct' ? '直连 (direct)' : proxy}: ${passed}/${accounts.length} 个账号可用${proxyFailures > 0 ? `，${colors.red(`${proxyFailures} 个代理错误`)}` : ''}`)
+    })
+  }
+
+  // 能力矩阵: 每个账号每个通过测试的模型支持哪些能力
+  const capabilityNames = collectCapabilityNames(results, models)
+  if (capabilityNames.length > 0) {
+    console.log(`\n🧩 ${colors.cyan('能力矩阵')} (${capabilityNames.map(name => `${CAPABILITIES[name].label}`).join(' / ')}，✅ 支持 ❌ 不支持 ⚠️ 探测失败):`)
+    results
+      .filter(acc => models.some(m => acc.models[m.key] && acc.models[m.key].capabilities))
+      .forEach(acc => {
+        const cells = models
+          .filter(m => acc.models[m.key] && acc.models[m.key].capabilities)
+          .map(m => `${m.label} [${capabilityNames.map(name => {
+            const capability = acc.models[m.key].capabilities[name]
+            return capability ? CAPABILITY_ICONS[capability.status] : '-'
+          }).join(' ')}]`)
+        console.log(`  ${colors.bold(acc.name)}: ${cells.join(' | ')}`)
+      })
+    capabilityNames.forEach(name => {
+      const probed = results.flatMap(r => models.map(m => r.models[m.key])).filter(m => m && m.capabilities && m.capabilities[name])
+      const count = probed.filter(m => m.capabilities[name].status === 'supported').length
+      console.log(`  🔸 ${CAPABILITIES[name].label}: ${count}/${probed.length} 个模型支持`)
+    })
+  }
+
   // 模型详细统计
   console.log(`\n📊 ${colors.cyan('模型详细统计')}:`)
-  const sonnet4Success = results.filter(r => r.sonnet4.status === 'success').length
-  const opus41Success = results.filter(r => r.opus41.status === 'success').length
-  
-  console.log(`  🔸 Sonnet 4 成功率: ${sonnet4Success}/${stats.total} (${(sonnet4Success / stats.total * 100).toFixed(1)}%)`)
-  console.log(`  🔸 Opus 4.1 成功率: ${opus41Success}/${stats.total} (${(opus41Success / stats.total * 100).toFixed(1)}%)`)
-
-  // 性能排行（双模型支持的账号）
-  if (bothSupportAccounts.length > 0) {
-    console.log(`\n🏆 ${colors.cyan('双模型性能排行')} (总响应时间):`)
-    bothSupportAccounts
-      .sort((a, b) => (a.sonnet4.responseTime + a.opus41.responseTime) - (b.sonnet4.responseTime + b.opus41.responseTime))
-      .slice(0, Math.min(5, bothSupportAccounts.length))
+  models.forEach(m => {
+    const modelStats = stats.models[m.key]
+    console.log(`  🔸 ${m.label} 成功率: ${modelStats.success}/${stats.total} (${percent(modelStats.success)}%)`)
+  })
+
+  // 重试统计: 暂时性错误重试后的最终结果
+  const retried = results.flatMap(r => models.map(m => r.models[m.key]).filter(m => m && m.attempts > 1))
+  if (retried.length > 0) {
+    const recovered = retried.filter(m => m.status === 'success').length
+    const extraAttempts = retried.reduce((sum, m) => sum + m.attempts - 1, 0)
+    console.log(`  🔁 重试: ${retried.length} 个模型测试经过重试（共重试 ${extraAttempts} 次），其中 ${recovered} 个重试后通过`)
+  }
+
+  // 性能排行（全部模型支持的账号）
+  if (allSupportAccounts.length > 0) {
+    console.log(`\n🏆 ${colors.cyan('多模型性能排行')} (首字延迟之和):`)
+    allSupportAccounts
+      .slice(0, Math.min(5, allSupportAccounts.length))
       .forEach((acc, index) => {
-        const totalTime = acc.sonnet4.responseTime + acc.opus41.responseTime
-        console.log(`  ${index + 1}. ${acc.name}: ${totalTime}ms (Sonnet:${acc.sonnet4.responseTime}ms + Opus:${acc.opus41.responseTime}ms)`)
+        const breakdown = models.map(m => `${m.label}: ${formatLatency(acc.models[m.key])}`).join(' | ')
+        console.log(`  ${index + 1}. ${acc.name}: ${totalLatency(acc, models)}ms (${breakdown})`)
       })
   }
 
@@ -705,7 +854,8 @@ function generateReport(results) {
 }
 
 // 保存结果到CSV文件
-function saveResults(results, stats) {
+// key 默认脱敏，revealKeys 为 true 时写入完整key
+function saveResults(results, stats, models, revealKeys = false) {
   const reportDir = path.join(process.cwd(), 'test-reports')
   
   // 创建报告目录
@@ -726,143 +876,591 @@ function saveResults(results, stats) {
     }
   }
 
-  // 生成CSV内容
+  // 生成CSV内容，每个模型一列
   const timestamp = new Date().toLocaleString('zh-CN')
-  const csvHeaders = `# 生成时间: ${timestamp}\n用户名称,url,key,sonnet4通过性,opus4通过性\n`
+  const modelColumns = models.map(m => `${m.key}通过性`)
+  const latencyColumns = models.flatMap(m => [`${m.key}首字延迟ms`, `${m.key}输出速度tok/s`])
+  const quotaColumns = ['额度状态', '剩余额度USD', '额度到期']
+  // 只有探测了能力时才有能力列
+  const capabilityModels = collectCapabilityNames(results, models).length > 0 ? models : []
+  const capabilityColumns = capabilityModels.map(m => `${m.key}能力`)
+  // 有账号使用代理时才有代理列（列名不用"代理"，避免结果文件作为账号文件读取时被当作代理设置）
+  const proxyColumns = results.some(r => r.proxy) ? ['使用代理'] : []
+  const keyNote = revealKeys ? '' : '\n# key 已脱敏，需要完整key时使用 --reveal-keys'
+  const csvHeaders = `# 生成时间: ${timestamp}${keyNote}\n${['用户名称', 'url', 'key', ...modelColumns, ...latencyColumns, ...quotaColumns, ...capabilityColumns, ...proxyColumns].join(',')}\n`
   const csvRows = results.map(result => {
-    const sonnet4Status = result.sonnet4.status === 'success' ? '通过' : '失败'
-    const opus4Status = result.opus41.status === 'success' ? '通过' : 
-                       result.opus41.status === 'skipped' ? '跳过' : '失败'
-    
-    // 处理可能包含逗号的字段，用双引号包围
-    const name = result.name.includes(',') ? `"${result.name}"` : result.name
-    const url = result.url.includes(',') ? `"${result.url}"` : result.url
-    const key = result.fullKey.includes(',') ? `"${result.fullKey}"` : result.fullKey
+    const modelStatuses = models.map(m => {
+      const modelResult = result.models[m.key]
+      const status = modelResult && modelResult.status
+      if (status === 'failed' && modelResult.errorClass === 'suspected_substitution') return '疑似替换'
+      return status === 'success' ? '通过' : status === 'skipped' ? '跳过' : '失败'
+    })
+    // 只有通过且有流式指标的模型才有延迟数据
+    const latencies = models.flatMap(m => {
+      const modelResult = result.models[m.key]
+      if (!modelResult || modelResult.status !== 'success') return ['', '']
+      return [modelResult.ttft, modelResult.tokensPerSecond].map(value => value === null || value === undefined ? '' : value)
+    })
     
-    return `${name},${url},${key},${sonnet4Status},${opus4Status}`
+    const quota = result.quota
+    const quotaFields = quota
+      ? [QUOTA_STATUS_LABELS[quota.status], quota.remaining === null || quota.remaining === undefined ? '' : quota.remaining, quota.expiresAt || '']
+      : ['', '', '']
+    const capabilityFields = capabilityModels.map(m => {
+      const modelResult = result.models[m.key]
+      if (!modelResult || !modelResult.capabilities) return ''
+      return Object.entries(modelResult.capabilities)
+        .map(([name, capability]) => `${CAPABILITIES[name].label}:${CAPABILITY_STATUS_LABELS[capability.status]}`)
+        .join(' ')
+    })
+    const proxyFields = proxyColumns.map(() => result.proxy || '')
+
+    // 包含逗号、引号或换行的字段按 RFC 4180 转义
+    return [result.name, result.url, revealKeys ? result.fullKey : result.key, ...modelStatuses, ...latencies, ...quotaFields, ...capabilityFields, ...proxyFields].map(escapeCSVField).join(',')
   }).join('\n')
 
   const csvContent = csvHeaders + csvRows
   
-  // 保存CSV文件
+  // 保存CSV文件（包含完整key时只允许当前用户读取）
   fs.writeFileSync(csvPath, csvContent, 'utf-8')
+  fs.chmodSync(csvPath, revealKeys ? 0o600 : 0o644)
+
+  // 同时保存完整结果（不含完整key），供Web看板读取
+  const jsonPath = path.join(reportDir, 'claude-test-results-latest.json')
+  const jsonContent = {
+    generatedAt: new Date().toISOString(),
+    models,
+    stats,
+    results: results.map(({ fullKey, ...result }) => result)
+  }
+  fs.writeFileSync(jsonPath, JSON.stringify(jsonContent, null, 2), 'utf-8')
   
   console.log(`\n📊 测试结果已更新至: ${colors.cyan('claude-test-results-latest.csv')}`)
-  console.log(`📁 文件包含字段: 用户名称, url, key, sonnet4通过性, opus4通过性`)
+  console.log(`📁 文件包含字段: 用户名称, url, key, ${[...modelColumns, ...latencyColumns, ...quotaColumns, ...capabilityColumns, ...proxyColumns].join(', ')}`)
   
   // 显示统计概要
-  const passedSonnet4 = results.filter(r => r.sonnet4.status === 'success').length
-  const passedOpus4 = results.filter(r => r.opus41.status === 'success').length
-  
   console.log(`\n📈 CSV统计概要:`)
-  console.log(`  📋 Sonnet 4 通过: ${passedSonnet4}/${results.length} 个账号`)
-  console.log(`  📋 Opus 4.1 通过: ${passedOpus4}/${results.length} 个账号`)
-  console.log(`  🎉 双模型通过: ${stats.both_success} 个账号`)
+  models.forEach(m => {
+    console.log(`  📋 ${m.label} 通过: ${stats.models[m.key].success}/${results.length} 个账号`)
+  })
+  console.log(`  🎉 全部模型通过: ${stats.all_success} 个账号`)
 }
 
-// 解析CSV文件
-function parseCSV(content) {
-  const lines = content.trim().split('\n')
-  const accounts = []
-  
-  // 跳过标题行
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim()
-    if (!line) continue
-    
-    // 处理CSV格式（考虑可能包含逗号的字段）
-    const parts = line.split(',')
-    if (parts.length >= 3) {
-      accounts.push({
-        name: parts[0].trim(),
-        url: parts[1].trim(),
-        key: parts[2].trim()
+// 根据检测结果重新分配团队成员的账号
+function runRebalance(results, team, models) {
+  const reportDir = path.join(process.cwd(), 'test-reports')
+
+  try {
+    const previousAssignments = loadPreviousAssignments(reportDir)
+    const plan = rebalance(results, team, models, previousAssignments)
+    const { planPath, diffPath } = saveRebalancePlan(plan, reportDir)
+
+    console.log(`\n🔀 ${colors.cyan('账号再分配')}:`)
+    console.log(formatRebalanceDiff(plan).split('\n').map(line => `  ${line}`).join('\n'))
+    console.log(`\n💾 分配方案已保存至: ${colors.cyan(path.relative(process.cwd(), planPath))}`)
+    console.log(`📝 变动说明已保存至: ${colors.cyan(path.relative(process.cwd(), diffPath))}`)
+
+    if (plan.summary.unassigned > 0) {
+      console.log(colors.yellow(`⚠️ 有 ${plan.summary.unassigned} 名成员没有可用账号，请补充账号或调整容量`))
+    }
+  } catch (error) {
+    console.log(`⚠️ 账号再分配失败: ${error.message}`)
+  }
+}
+
+// 格式化毫秒数，null 显示为 -
+function formatMs(value) {
+  return value === null ? '-' : `${value}ms`
+}
+
+// 输出历史可用率和延迟统计
+function showHistory(options) {
+  const reportDir = path.join(process.cwd(), 'test-reports')
+  let windowMs
+  try {
+    windowMs = parseWindow(options.historyWindow)
+  } catch (error) {
+    console.error(`❌ ${error.message}`)
+    process.exit(1)
+  }
+
+  const runs = readHistory(reportDir, Date.now() - windowMs)
+  if (runs.length === 0) {
+    console.log(`📭 最近 ${options.historyWindow} 内没有检测记录 (test-reports/check-history.jsonl)`)
+    return
+  }
+
+  const labels = collectModelLabels(runs)
+  let summaries = summarizeHistory(runs)
+  if (options.historyAccount) {
+    summaries = summaries.filter(s => s.name === options.historyAccount)
+  }
+
+  console.log(colors.bold(`\n📈 账号历史统计 (最近 ${options.historyWindow}，共 ${runs.length} 次检测)`))
+  console.log(`   时间范围: ${new Date(runs[0].time).toLocaleString('zh-CN')} ~ ${new Date(runs[runs.length - 1].time).toLocaleString('zh-CN')}`)
+
+  if (summaries.length === 0) {
+    console.log(`\n未找到账号: ${options.historyAccount}`)
+    return
+  }
+
+  summaries
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(summary => {
+      const lastFailure = summary.lastFailure
+        ? `${new Date(summary.lastFailure).toLocaleString('zh-CN')} (${summary.lastFailureType || '未知错误'})`
+        : '无'
+      console.log(`\n${colors.bold(summary.name)} ${summary.url}`)
+      console.log(`  检测次数: ${summary.runs}  最近失败: ${lastFailure}`)
+
+      Object.entries(summary.models).forEach(([key, stats]) => {
+        const uptime = stats.uptime === null ? '-' : `${stats.uptime.toFixed(1)}%`
+        const colorize = stats.uptime === null ? colors.yellow
+          : stats.uptime >= 99 ? colors.green
+          : stats.uptime >= 90 ? colors.yellow
+          : colors.red
+        console.log(`  🔸 ${labels[key] || key}: 可用率 ${colorize(uptime)} (${stats.success}/${stats.checks})  p50 ${formatMs(stats.p50)}  p95 ${formatMs(stats.p95)}`)
       })
+    })
+}
+
+// 读取账号配置文件，所有问题行都会带文件名和行号列出
+// skipInvalid 为 true 时跳过问题行，只测试有效账号；.vault 文件使用 vaultPassphrase 解密
+function loadAccounts(configFile, { skipInvalid = false, vaultPassphrase = null } = {}) {
+  if (isVaultFile(configFile)) {
+    const accounts = readVault(configFile, vaultPassphrase)
+    if (accounts.length === 0) {
+      throw new Error('保险库中没有账号')
     }
+    return accounts
   }
-  
+
+  const { format, accounts, errors } = loadAccountFile(configFile)
+
+  if (errors.length > 0) {
+    console.log(colors.red(`\n❌ 账号文件中有 ${errors.length} 处问题 (${format}):`))
+    errors.forEach(error => console.log(`   ${formatLoadError(error)}`))
+    if (!skipInvalid) {
+      throw new Error('请修正以上问题后重试，或使用 --skip-invalid 跳过问题行')
+    }
+    console.log(colors.yellow(`⚠️ 已跳过问题行，继续测试 ${accounts.length} 个有效账号\n`))
+  }
+
+  if (accounts.length === 0) {
+    throw new Error('配置文件中没有找到有效的账号数据')
+  }
+
   return accounts
 }
 
-// 主函数
-async function main() {
+// 读取团队配置，出错时退出（提前读取，配置有误时不必等检测跑完）
+function loadTeamOrExit(options) {
+  if (!options.teamFile) return null
   try {
-    const options = parseArgs()
-    
-    // 读取账号配置
-    if (!fs.existsSync(options.configFile)) {
-      console.error(`❌ 配置文件不存在: ${options.configFile}`)
-      process.exit(1)
+    return loadTeamConfig(options.teamFile)
+  } catch (error) {
+    console.error(`❌ 团队配置错误: ${error.message}`)
+    process.exit(1)
+  }
+}
+
+// 检测完成后的处理：报告、保存、历史、再分配、通知
+// results 为完整结果；testedResults 为本次实际测试的账号（复查时只包含失败账号），只有它们写入历史
+async function finalizeRun(results, options, team, testedResults = results) {
+  const reportDir = path.join(process.cwd(), 'test-reports')
+
+  // 结合历史用量估算额度消耗速度（必须在生成报告和写入本次历史之前）
+  applyQuotaForecast(results, reportDir, options)
+
+  // 生成报告
+  const { stats } = generateReport(results, options.models)
+
+  // 保存结果
+  saveResults(results, stats, options.models, options.revealKeys)
+
+  // 按 --format 生成报告文件
+  if (options.reportFormats.length > 0) {
+    saveReportFiles(results, stats, options, reportDir)
+  }
+
+  // 与历史对比状态变化（必须在写入本次历史之前）
+  let changes = null
+  try {
+    changes = detectStatusChanges(readHistory(reportDir), results, testedResults, options.models, {
+      remindIntervalMs: options.remindIntervalMs
+    })
+    console.log(`🔄 状态变化: ${describeStatusChanges(changes)}${changes.baseline ? '（首次检测，以本次结果为基线）' : ''}`)
+  } catch (error) {
+    console.log(`⚠️ 对比历史状态失败，通知将按失败账号发送: ${error.message}`)
+  }
+
+  // 追加历史记录
+  try {
+    appendRunHistory(testedResults, options.models, options, reportDir, testedResults === results ? 'full' : 'recheck')
+  } catch (error) {
+    console.log(`⚠️ 写入历史记录失败: ${error.message}`)
+  }
+
+  // 写入 Prometheus 指标文件
+  if (options.metricsFile) {
+    writeMetricsFile(options.metricsFile, reportDir)
+  }
+
+  // 重新分配团队成员账号
+  if (team) {
+    runRebalance(results, team, options.models)
+  }
+
+  // 发送通知
+  await notifyAll(options.notifiers, results, stats, options.models, changes, options.owners)
+
+  return stats
+}
+
+// 写出 --format 指定的报告文件
+function saveReportFiles(results, stats, options, reportDir) {
+  const report = buildReportData(results, stats, options.models, { mode: options.mode, modeLabel: getModeLabel(options) })
+  writeReports(options.reportFormats, report, reportDir).forEach(({ format, file, error }) => {
+    if (error) {
+      console.log(`⚠️ 生成${REPORT_FORMATS[format].label}报告失败: ${error}`)
+    } else {
+      console.log(`📄 ${REPORT_FORMATS[format].label}报告: ${colors.cyan(path.relative(process.cwd(), file) || file)}`)
     }
+  })
+}
 
-    const configContent = fs.readFileSync(options.configFile, 'utf-8')
-    let accounts
+// 根据最近一段时间历史中的已用额度，估算每个账号的额度消耗速度并更新预警
+function applyQuotaForecast(results, reportDir, options) {
+  if (!results.some(result => result.quota)) return
 
-    // 根据文件扩展名选择解析方式
-    const fileExt = path.extname(options.configFile).toLowerCase()
-    
-    if (fileExt === '.csv') {
-      // CSV格式
-      accounts = parseCSV(configContent)
-      if (accounts.length === 0) {
-        console.error('❌ CSV文件中没有找到有效的账号数据')
-        process.exit(1)
+  let samples = new Map()
+  try {
+    samples = collectQuotaSamples(readHistory(reportDir, Date.now() - parseWindow(QUOTA_FORECAST_WINDOW)))
+  } catch (error) {
+    console.log(`⚠️ 读取历史额度失败，不估算消耗速度: ${error.message}`)
+  }
+  results.forEach(result => {
+    if (!result.quota) return
+    result.quota = assessQuota(result.quota, {
+      samples: samples.get(result.name) || [],
+      warnRatio: options.quotaWarnRatio,
+      warnDays: options.quotaWarnDays
+    })
+  })
+}
+
+// 写入 Prometheus textfile（先写临时文件再替换，避免 node_exporter 读到写了一半的文件）
+function writeMetricsFile(metricsFile, reportDir) {
+  try {
+    const tempPath = `${metricsFile}.tmp-${process.pid}`
+    fs.writeFileSync(tempPath, buildMetrics(readHistory(reportDir)), 'utf-8')
+    fs.renameSync(tempPath, metricsFile)
+    console.log(`📈 指标已写入: ${colors.cyan(metricsFile)}`)
+  } catch (error) {
+    console.log(`⚠️ 写入指标文件失败: ${error.message}`)
+  }
+}
+
+// 读取上一次保存的完整结果，用于守护进程重启后继续复查失败账号
+function loadLatestResults(accounts) {
+  const jsonPath = path.join(process.cwd(), 'test-reports', 'claude-test-results-latest.json')
+  if (!fs.existsSync(jsonPath)) return null
+
+  try {
+    const latest = JSON.parse(fs.readFileSync(jsonPath, 'utf-8'))
+    const keys = new Map(accounts.map(account => [account.name, account.key]))
+    // 只保留仍在账号文件中的账号，并补回保存时去掉的完整key
+    return latest.results
+      .filter(result => keys.has(result.name))
+      .map(result => ({ ...result, fullKey: keys.get(result.name) }))
+  } catch (error) {
+    console.log(`⚠️ 读取上次检测结果失败: ${error.message}`)
+    return null
+  }
+}
+
+// 守护进程模式：按计划定时检测，可选同时启动Web服务
+function runDaemon(options) {
+  const team = loadTeamOrExit(options)
+  const reportDir = path.join(process.cwd(), 'test-reports')
+  const log = createFileLogger(path.join(reportDir, 'scheduler.log'))
+
+  // 启动时先校验一次账号文件，之后每次运行重新读取，修改账号无需重启
+  let lastResults
+  try {
+    lastResults = loadLatestResults(loadAccounts(options.configFile, options))
+  } catch (error) {
+    console.error(`❌ ${error.message}`)
+    process.exit(1)
+  }
+
+  let scheduler
+  try {
+    scheduler = createScheduler({
+      schedule: options.schedule,
+      recheckSchedule: options.recheckSchedule,
+      jitterSeconds: options.jitter,
+      log,
+      runFull: async () => {
+        const accounts = loadAccounts(options.configFile, options)
+        const results = await batchTest(accounts, options)
+        const stats = await finalizeRun(results, options, team)
+        lastResults = results
+        return { accounts: accounts.length, stats }
+      },
+      runRecheck: async () => {
+        if (!lastResults) return null
+        const failedNames = new Set(lastResults
+          .filter(result => result.overallStatus !== OVERALL_STATUS.ALL_SUCCESS)
+          .map(result => result.name))
+        const accounts = loadAccounts(options.configFile, options).filter(account => failedNames.has(account.name))
+        if (accounts.length === 0) return null
+
+        const tested = await batchTest(accounts, options)
+        const testedByName = new Map(tested.map(result => [result.name, result]))
+        const merged = lastResults.map(result => testedByName.get(result.name) || result)
+        const stats = await finalizeRun(merged, options, team, tested)
+        lastResults = merged
+        return { accounts: tested.length, stats }
       }
-    } else if (fileExt === '.json') {
-      // JSON格式
+    })
+  } catch (error) {
+    console.error(`❌ 调度配置错误: ${error.message}`)
+    process.exit(1)
+  }
+
+  console.log(colors.bold(`\n🕰️ Claude账号定时检测守护进程\n`))
+  console.log(`配置文件: ${options.configFile}`)
+  console.log(`测试方式: ${getModeLabel(options)}`)
+  console.log(`测试模型: ${options.models.map(m => m.id).join(' → ')}`)
+  console.log(`随机延迟: 0~${options.jitter}s`)
+  console.log(`调度日志: ${path.relative(process.cwd(), path.join(reportDir, 'scheduler.log'))}\n`)
+
+  scheduler.start({ runNow: options.runOnStart })
+
+  if (options.web) {
+    require('./web-server').startWebServer({ scheduler, reportDir })
+  }
+  if (options.gateway) {
+    startGateway(options).catch((error) => {
+      console.error(`❌ 网关启动失败: ${error.message}`)
+      process.exit(1)
+    })
+  }
+
+  const shutdown = (signal) => {
+    log(`🛑 收到 ${signal}，停止调度`)
+    scheduler.stop()
+    process.exit(0)
+  }
+  process.on('SIGINT', () => shutdown('SIGINT'))
+  process.on('SIGTERM', () => shutdown('SIGTERM'))
+}
+
+// 启动负载均衡网关，使用 test-reports 中最近一次的检测结果（结果更新后自动重新读取）
+async function startGateway(options) {
+  const tokens = parseGatewayTokens(process.env.GATEWAY_TOKENS)
+  if (tokens.length === 0 && !isLoopbackHost(options.gatewayHost)) {
+    throw new Error(`监听 ${options.gatewayHost} 时必须通过环境变量 GATEWAY_TOKENS 设置网关 token，例如 GATEWAY_TOKENS="alice:token1,bob:token2"`)
+  }
+
+  const resultsFile = path.join(process.cwd(), 'test-reports', 'claude-test-results-latest.json')
+  const gateway = createGateway({
+    loadAccounts: () => loadAccounts(options.configFile, options),
+    resultsFile,
+    tokens,
+    proxy: options.proxy,
+    maxAttempts: options.gatewayAttempts,
+    timeout: Math.max(options.timeout, 120000)
+  })
+  await gateway.listen(options.gatewayPort, options.gatewayHost)
+
+  const accounts = gateway.status().accounts
+  const baseUrl = `http://${options.gatewayHost.includes(':') ? `[${options.gatewayHost}]` : options.gatewayHost}:${options.gatewayPort}`
+  console.log(colors.bold(`\n🔀 Claude账号负载均衡网关\n`))
+  console.log(`监听地址: ${colors.cyan(baseUrl)}`)
+  console.log(`可用账号: ${accounts.filter(account => account.available).length}/${accounts.length}${fs.existsSync(resultsFile) ? '' : '（还没有检测结果，检测完成后自动使用）'}`)
+  console.log(`故障转移: 每个请求最多尝试 ${options.gatewayAttempts} 个账号`)
+  console.log(`网关认证: ${tokens.length > 0 ? `${tokens.length} 个 token（${tokens.map(item => item.name).join('、')}）` : colors.yellow('未启用（仅监听本机）')}`)
+  if (options.proxy) {
+    console.log(`代理设置: 默认 ${describeProxy(options.proxy)}`)
+  }
+  console.log(`客户端设置: ANTHROPIC_BASE_URL=${baseUrl}${tokens.length > 0 ? ' ANTHROPIC_API_KEY=<网关 token>' : ''}`)
+  console.log(`状态查看: ${baseUrl}/gateway/status\n`)
+  return gateway
+}
+
+// gateway 命令：只运行网关，检测由 daemon 或定时任务完成
+async function runGateway(options) {
+  const resultsFile = path.join(process.cwd(), 'test-reports', 'claude-test-results-latest.json')
+  if (!fs.existsSync(resultsFile)) {
+    throw new Error(`检测结果不存在: ${path.relative(process.cwd(), resultsFile)}，请先运行一次检测，或使用 daemon --gateway --run-on-start`)
+  }
+  const gateway = await startGateway(options)
+
+  const shutdown = () => gateway.close().then(() => process.exit(0))
+  process.on('SIGINT', shutdown)
+  process.on('SIGTERM', shutdown)
+}
+
+// import 命令：把账号文件导入（合并到）加密保险库
+function importAccounts(options) {
+  const accounts = loadAccounts(options.configFile, { skipInvalid: options.skipInvalid })
+  const existing = fs.existsSync(options.vaultFile) ? readVault(options.vaultFile, options.vaultPassphrase) : []
+  const { accounts: merged, added, updated } = mergeAccounts(existing, accounts)
+
+  writeVault(options.vaultFile, merged, options.vaultPassphrase)
+  console.log(`🔐 已写入保险库 ${colors.cyan(options.vaultFile)}: 新增 ${added}，更新 ${updated}，共 ${merged.length} 个账号`)
+  console.log(colors.yellow(`⚠️ 确认保险库可用后，请删除明文账号文件 ${options.configFile}`))
+}
+
+// export 命令：把保险库导出为账号文件，默认脱敏
+function exportAccounts(options) {
+  if (fs.existsSync(options.configFile)) {
+    throw new Error(`目标文件已存在: ${options.configFile}`)
+  }
+  const accounts = readVault(options.vaultFile, options.vaultPassphrase)
+  const format = detectFormat(options.configFile, '')
+  const exported = options.revealKeys ? accounts : accounts.map(account => ({ ...account, key: maskKey(account.key) }))
+
+  fs.writeFileSync(options.configFile, serializeAccounts(exported, format), { encoding: 'utf-8', mode: options.revealKeys ? 0o600 : 0o644 })
+  console.log(`📤 已导出 ${accounts.length} 个账号到 ${colors.cyan(options.configFile)} (${format})`)
+  if (!options.revealKeys) {
+    console.log(colors.yellow('⚠️ 导出的 key 已脱敏，不能直接用于检测；需要可用的 key 时请加 --reveal-keys'))
+  }
+}
+
+// export-config 命令：按最近一次检测结果为每个成员（或账号）生成 Claude CLI 配置
+function exportConfigs(options) {
+  const accounts = loadAccounts(options.configFile, options)
+  const results = loadLatestResults(accounts)
+  if (!results || results.length === 0) {
+    throw new Error('没有找到最近一次的检测结果（test-reports/claude-test-results-latest.json），请先运行一次检测')
+  }
+  const team = loadTeamOrExit(options)
+  if (team && options.requireModels.length > 0) {
+    console.log(colors.yellow('⚠️ 使用 --team 时按团队配置中每个成员的 models 选择账号，忽略 --require-models'))
+  }
+
+  const { exports, skipped } = planConfigExports(results, {
+    team,
+    requiredModels: options.requireModels,
+    previousAssignments: team ? loadPreviousAssignments(path.join(process.cwd(), 'test-reports')) : {}
+  })
+  const written = writeConfigExports(exports, accounts, options.outDir, { defaultProxy: options.proxy, revealKeys: options.revealKeys })
+
+  console.log(`📤 已为 ${written.length} 个${team ? '成员' : '账号'}生成配置到 ${colors.cyan(options.outDir)}（.env、claude-env.sh、settings.json，清单见 ${INDEX_FILE}）`)
+  written.forEach((item) => {
+    console.log(`  ${colors.green('✓')} ${item.dir}: ${item.member ? `${item.account} ` : ''}${item.url}  [${item.models.join(', ')}]`)
+    if (item.proxyNote) console.log(`    ${colors.yellow(`⚠️ ${item.proxyNote}`)}`)
+  })
+  skipped.forEach(item => console.log(`  ${colors.red('✗')} ${item.name}: ${item.reason}`))
+  if (!options.revealKeys) {
+    console.log(colors.yellow('⚠️ 配置中的 key 已脱敏，不能直接使用；需要可用的配置时请加 --reveal-keys（文件权限为 600，请通过安全渠道分发）'))
+  }
+}
+
+// 主函数
+async function main() {
+  let options = {}
+  try {
+    options = parseArgs()
+
+    if (options.command === 'history') {
+      showHistory(options)
+      return
+    }
+
+    // 使用保险库时先获取口令（守护进程在内存中保留，每次运行重新解密）
+    const vaultFile = ['import', 'export'].includes(options.command) ? options.vaultFile : options.configFile
+    if (isVaultFile(vaultFile)) {
       try {
-        accounts = JSON.parse(configContent)
-      } catch (e) {
-        console.error('❌ JSON文件格式错误')
+        options.vaultPassphrase = await resolvePassphrase({
+          envName: options.passphraseEnv,
+          confirm: options.command === 'import' && !fs.existsSync(vaultFile)
+        })
+      } catch (error) {
+        console.error(`❌ ${error.message}`)
         process.exit(1)
       }
-    } else {
-      // 尝试作为JSON解析（向后兼容）
+    }
+
+    if (options.command === 'import' || options.command === 'export') {
       try {
-        accounts = JSON.parse(configContent)
-      } catch (e) {
-        console.error('❌ 配置文件格式错误，支持.json或.csv格式')
+        options.command === 'import' ? importAccounts(options) : exportAccounts(options)
+      } catch (error) {
+        console.error(`❌ ${error.message}`)
         process.exit(1)
       }
+      return
     }
 
-    if (!Array.isArray(accounts) || accounts.length === 0) {
-      console.error('❌ 配置文件应包含账号数据')
-      process.exit(1)
+    if (options.command === 'daemon') {
+      runDaemon(options)
+      return
     }
 
-    // 验证账号格式
-    for (const account of accounts) {
-      if (!account.name || !account.url || !account.key) {
-        console.error(`❌ 账号配置格式错误，需要包含: name, url, key`)
-        console.error('问题账号:', account)
+    if (options.command === 'export-config') {
+      try {
+        exportConfigs(options)
+      } catch (error) {
+        console.error(`❌ ${error.message}`)
         process.exit(1)
       }
+      return
     }
 
-    console.log(colors.bold(`\n🚀 Claude CLI 双模型深度测试工具\n`))
+    if (options.command === 'gateway') {
+      try {
+        await runGateway(options)
+      } catch (error) {
+        console.error(`❌ ${error.message}`)
+        process.exit(1)
+      }
+      return
+    }
+    
+    // 读取账号配置
+    let accounts
+    try {
+      accounts = loadAccounts(options.configFile, options)
+    } catch (error) {
+      console.error(`❌ ${error.message}`)
+      process.exit(1)
+    }
+
+    const team = loadTeamOrExit(options)
+
+    console.log(colors.bold(`\n🚀 Claude CLI 多模型深度测试工具\n`))
     console.log(`配置文件: ${options.configFile}`)
     console.log(`账号数量: ${accounts.length}`)
-    console.log(`测试方式: 真实 Claude CLI 调用`)
-    console.log(`测试模型: claude-sonnet-4-20250514 → claude-opus-4-1-20250805`)
+    console.log(`测试方式: ${options.mode === 'http' ? '直接调用 /v1/messages 接口' : '真实 Claude CLI 调用'}`)
+    console.log(`测试模型: ${options.models.map(m => m.id).join(' → ')}`)
     console.log(`超时时间: ${options.timeout}ms`)
-    console.log(`并行数量: ${options.parallel}`)
+    console.log(`并行数量: ${describeConcurrency(options)}`)
+    const proxiedCount = accounts.filter(account => account.proxy).length
+    if (options.proxy || proxiedCount > 0) {
+      console.log(`代理设置: ${options.proxy ? `默认 ${describeProxy(options.proxy)}` : '默认不使用'}${proxiedCount > 0 ? `，${proxiedCount} 个账号单独设置` : ''}`)
+    }
+    console.log(`重试策略: ${options.maxRetries === null ? '按错误类别' : options.maxRetries === 0 ? '不重试' : `按错误类别，最多 ${options.maxRetries} 次`}`)
+    console.log(`真实性校验: ${options.checkModelField ? '比较响应 model 字段' : '不比较 model 字段'}${options.challenges.length > 0 ? `，挑战问题 ${options.challenges.length} 个` : ''}`)
+    if (options.capabilities.length > 0) {
+      console.log(`能力探测: ${options.capabilities.map(name => CAPABILITIES[name].label).join('、')}${options.capabilities.includes('long_context') ? `（长上下文 ${options.longContextTokens} tokens）` : ''}`)
+    }
+    console.log(`额度查询: ${options.quota === 'off' ? '关闭' : `${options.quota}，剩余不足 ${Math.round(options.quotaWarnRatio * 100)}% 或 ${options.quotaWarnDays} 天内耗尽/到期时预警`}`)
+    if (options.reportFormats.length > 0) {
+      console.log(`报告文件: ${options.reportFormats.map(spec => spec.file ? `${spec.format} → ${spec.file}` : spec.format).join(', ')}`)
+    }
     console.log(colors.yellow(`\n✨ 优势: 直接通过 Claude CLI 验证，确保账号真实可用`))
 
     // 执行批量测试
     const results = await batchTest(accounts, options)
 
-    // 生成报告
-    const { stats } = generateReport(results)
-
-    // 保存结果
-    saveResults(results, stats)
-
-    // 发送钉钉通知
-    await sendDingTalkNotification(results, stats, options)
+    // 报告、保存、历史、再分配、通知
+    const stats = await finalizeRun(results, options, team)
 
     // 设置退出码
-    process.exit(stats.both_failed > 0 ? 1 : 0)
+    process.exit(stats.all_failed > 0 ? 1 : 0)
 
   } catch (error) {
     console.error('\n❌ 测试过程出错:', error.message)
@@ -873,5 +1471,10 @@ async function main() {
   }
 }
 
-// 运行主函数
-main()
\ No newline at end of file
+// 直接运行时执行主函数；被 require 时只导出函数（探测逻辑请使用 probe.js）
+if (require.main === module) {
+  main()
+}
+
+module.exports = { main, loadAccounts, batchTest }
+
@@ -0,0 +1,253 @@
+/**
+ * 检测历史 - 追加写入每次检测的结果，用于统计账号的可用率和延迟趋势
+ *
+ * 存储: test-reports/check-history.jsonl，每行一次检测:
+ *   {
+ *     "time": "2025-09-01T08:00:00.000Z",
+ *     "mode": "cli",
+ *     "scope": "full",
+ *     "models": [{ "key": "sonnet4", "id": "claude-sonnet-4-20250514", "label": "Sonnet 4" }],
+ *     "accounts": [
+ *       { "name": "laogan老甘", "url": "https://...", "overallStatus": "all_success",
+ *         "models": { "sonnet4": { "status": "success", "errorType": null, "errorClass": null, "attempts": 1, "responseTime": 5230 } },
+ *         "quota": { "status": "ok", "used": 12.5, "remaining": 37.5, "limit": 50, "expiresAt": null, "warnings": [] } }
+ *     ]
+ *   }
+ *
+ * quota 只在查询了额度的账号上出现（见 quota.js），已用额度用于估算消耗速度。
+ *
+ * scope 为 full（全量检测）或 recheck（守护进程只复查失败账号，accounts 只包含被复查的账号）。
+ * 文件只追加不改写，损坏的行在读取时跳过。
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const HISTORY_FILE = 'check-history.jsonl'
+
+function historyPath(reportDir) {
+  return path.join(reportDir, HISTORY_FILE)
+}
+
+// 追加一次检测记录
+function appendRunHistory(results, models, options, reportDir, scope = 'full') {
+  if (!fs.existsSync(reportDir)) {
+    fs.mkdirSync(reportDir, { recursive: true })
+  }
+
+  const record = {
+    time: new Date().toISOString(),
+    mode: options.mode,
+    scope,
+    models: models.map(m => ({ key: m.key, id: m.id, label: m.label })),
+    accounts: results.map(result => {
+      const modelRecords = {}
+      models.forEach(m => {
+        const modelResult = result.models[m.key]
+        if (!modelResult) return
+        modelRecords[m.key] = {
+          status: modelResult.status,
+          errorType: modelResult.errorType || null,
+          errorClass: modelResult.errorClass || null,
+          attempts: modelResult.attempts || 0,
+          responseTime: modelResult.responseTime || 0
+        }
+      })
+      const record = {
+        name: result.name,
+        url: result.url,
+        overallStatus: result.overallStatus,
+        models: modelRecords
+      }
+      if (result.quota) {
+        const { status, used = null, remaining = null, limit = null, expiresAt = null, warnings } = result.quota
+        record.quota = { status, used, remaining, limit, expiresAt, warnings }
+      }
+      return record
+    })
+  }
+
+  fs.appendFileSync(historyPath(reportDir), JSON.stringify(record) + '\n', 'utf-8')
+  return record
+}
+
+// 历史文件的版本标识（修改时间和大小），文件变化后不同，用于缓存由历史生成的内容；文件不存在时为 null
+function historyVersion(reportDir) {
+  const filePath = historyPath(reportDir)
+  if (!fs.existsSync(filePath)) return null
+  const stat = fs.statSync(filePath)
+  return `${stat.mtimeMs}:${stat.size}`
+}
+
+// 读取指定时间之后的检测记录（按时间升序）
+function readHistory(reportDir, sinceTime = 0) {
+  const filePath = historyPath(reportDir)
+  if (!fs.existsSync(filePath)) return []
+
+  return fs.readFileSync(filePath, 'utf-8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line)
+      } catch (error) {
+        return null
+      }
+    })
+    .filter(run => run && Date.parse(run.time) >= sinceTime)
+    .sort((a, b) => Date.parse(a.time) - Date.parse(b.time))
+}
+
+// 解析时间窗口，例如 30m / 24h / 7d
+function parseWindow(value) {
+  const match = /^(\d+)\s*([mhd])$/.exec(String(value).trim())
+  if (!match) {
+    throw new Error(`无效的时间窗口: ${value}，示例: 30m, 24h, 7d`)
+  }
+  const units = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }
+  return parseInt(match[1]) * units[match[2]]
+}
+
+// 计算百分位（最近秩法）
+function percentile(values, p) {
+  if (values.length === 0) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  const rank = Math.ceil(p / 100 * sorted.length)
+  return sorted[Math.max(0, rank - 1)]
+}
+
+// 历史记录中出现过的模型 key → 显示名称
+function collectModelLabels(runs) {
+  const labels = {}
+  for (const run of runs) {
+    for (const model of run.models || []) {
+      labels[model.key] = model.label
+    }
+  }
+  return labels
+}
+
+// 按账号、模型汇总历史: 可用率、p50/p95 延迟、最近失败时间
+// 跳过的模型（依赖模型失败）不计入可用率
+function summarizeHistory(runs) {
+  const accounts = new Map()
+
+  for (const run of runs) {
+    for (const account of run.accounts) {
+      if (!accounts.has(account.name)) {
+        accounts.set(account.name, {
+          name: account.name,
+          url: account.url,
+          runs: 0,
+          lastSeen: null,
+          lastFailure: null,
+          lastFailureType: null,
+          models: {}
+        })
+      }
+      const summary = accounts.get(account.name)
+      summary.runs++
+      summary.url = account.url
+      summary.lastSeen = run.time
+
+      for (const [key, record] of Object.entries(account.models)) {
+        if (!summary.models[key]) {
+          summary.models[key] = { checks: 0, success: 0, failed: 0, latencies: [], lastFailure: null, lastFailureType: null }
+        }
+        const modelSummary = summary.models[key]
+        if (record.status === 'success') {
+          modelSummary.checks++
+          modelSummary.success++
+          modelSummary.latencies.push(record.responseTime)
+        } else if (record.status === 'failed') {
+          modelSummary.checks++
+          modelSummary.failed++
+          modelSummary.lastFailure = run.time
+          modelSummary.lastFailureType = record.errorType
+          summary.lastFailure = run.time
+          summary.lastFailureType = record.errorType
+        }
+      }
+    }
+  }
+
+  return [...accounts.values()].map(summary => {
+    const models = {}
+    for (const [key, modelSummary] of Object.entries(summary.models)) {
+      models[key] = {
+        checks: modelSummary.checks,
+        success: modelSummary.success,
+        failed: modelSummary.failed,
+        uptime: modelSummary.checks > 0 ? modelSummary.success / modelSummary.checks * 100 : null,
+        p50: percentile(modelSummary.latencies, 50),
+        p95: percentile(modelSummary.latencies, 95),
+        lastFailure: modelSummary.lastFailure,
+        lastFailureType: modelSummary.lastFailureType
+      }
+    }
+    return { ...summary, models }
+  })
+}
+
+// 账号在一次检测中的状态签名，用于判断状态是否发生变化
+function statusSignature(account) {
+  return Object.entries(account.models)
+    .map(([key, record]) => `${key}:${record.status}`)
+    .sort()
+    .join('|')
+}
+
+// 每个账号最近一次状态变化的时间（从未变化时为首次出现的时间）
+function findLastChanges(runs) {
+  const changes = {}
+  const previous = {}
+  for (const run of runs) {
+    for (const account of run.accounts) {
+      const signature = statusSignature(account)
+      if (previous[account.name] !== signature) {
+        changes[account.name] = run.time
+        previous[account.name] = signature
+      }
+    }
+  }
+  return changes
+}
+
+// 单个账号的检测时间线（按时间倒序）
+function accountTimeline(runs, name, limit = 50) {
+  return runs
+    .map(run => {
+      const account = run.accounts.find(a => a.name === name)
+      return account ? { time: run.time, mode: run.mode, overallStatus: account.overallStatus, models: account.models } : null
+    })
+    .filter(Boolean)
+    .reverse()
+    .slice(0, limit)
+}
+
+// 每个账号历史中的已用额度 [{ time, used }]（按时间升序），用于估算额度消耗速度
+function collectQuotaSamples(runs) {
+  const samples = new Map()
+  for (const run of runs) {
+    for (const account of run.accounts) {
+      if (!account.quota || account.quota.used === null || account.quota.used === undefined) continue
+      if (!samples.has(account.name)) samples.set(account.name, [])
+      samples.get(account.name).push({ time: run.time, used: account.quota.used })
+    }
+  }
+  return samples
+}
+
+module.exports = {
+  HISTORY_FILE,
+  appendRunHistory,
+  historyVersion,
+  readHistory,
+  parseWindow,
+  percentile,
+  collectModelLabels,
+  summarizeHistory,
+  findLastChanges,
+  accountTimeline,
+  collectQuotaSamples
+}
@@ -0,0 +1,164 @@
+/**
+ * 通过 Claude CLI 的模型探测
+ *
+ * 以 `claude -p --model <模型> --output-format stream-json --verbose --include-partial-messages` 运行，
+ * 通过 ANTHROPIC_BASE_URL / ANTHROPIC_API_KEY 指向被测账号，从 stdin 发送测试问题。
+ * 验证的是完整调用链路：环境变量 → Claude CLI → 模型响应。
+ * 账号的代理通过 HTTPS_PROXY / HTTP_PROXY 传给 CLI，direct 时清除继承的代理变量（见 proxy.js）。
+ *
+ * CLI 输出的 stream_event 是原始的 API 流式事件，首字延迟从 CLI 输出 init 消息（启动完成、即将发出请求）算起，
+ * 不包含 CLI 启动时间；输出 token 数和输出速度见 stream-metrics.js。
+ * 旧版 CLI 不输出 stream_event 时，只有总响应时间和 result 消息中的输出 token 数。
+ * Claude CLI 不能设置 temperature 和 max_tokens，options 中只使用 prompt 和 timeout（挑战问题因此只支持 http 探测）。
+ *
+ * 返回结构与 testSingleModelHTTP 保持一致:
+ *   { model, status: 'success'|'failed', responseTime, error, errorClass, errorType, response, speed, actualModel,
+ *     ttft, generationTime, outputTokens, tokensPerSecond }
+ *
+ * 错误分类见 error-classes.js
+ */
+
+const { spawn } = require('child_process')
+const { DEFAULT_PROMPT } = require('./http-probe')
+const { classifyAs, classifyCLIError } = require('./error-classes')
+const { classifySpeed, createStreamCollector, computeStreamMetrics } = require('./stream-metrics')
+const { proxyEnv } = require('./proxy')
+
+const CLI_ARGS = ['-p', '--output-format', 'stream-json', '--verbose', '--include-partial-messages']
+
+// 测试单个模型 - 通过 Claude CLI
+async function testSingleModelCLI(account, modelName, options = {}) {
+  return new Promise((resolve) => {
+    const startTime = Date.now()
+    const timeout = options.timeout || 45000
+    const result = {
+      model: modelName,
+      status: 'testing',
+      responseTime: 0,
+      error: null,
+      response: null,
+      speed: null,
+      actualModel: null,
+      ttft: null,
+      generationTime: null,
+      outputTokens: null,
+      tokensPerSecond: null,
+      errorClass: null
+    }
+
+    // 账号设置了代理时通过 HTTPS_PROXY 等环境变量传给 CLI（见 proxy.js）
+    let env
+    try {
+      env = proxyEnv({
+        ...process.env,
+        ANTHROPIC_BASE_URL: account.url,
+        ANTHROPIC_API_KEY: account.key
+      }, account.proxy)
+    } catch (error) {
+      result.status = 'failed'
+      Object.assign(result, classifyAs('proxy_error', error.message))
+      resolve(result)
+      return
+    }
+
+    const claude = spawn('claude', ['--model', modelName, ...CLI_ARGS], {
+      env,
+      stdio: ['pipe', 'pipe', 'pipe']
+    })
+
+    const stream = createStreamCollector()
+    let requestStart = null // init 消息的时间，之后 CLI 才发出 API 请求
+    let resultMessage = null
+    let plainOutput = '' // 不是 JSON 的输出行（错误信息等）
+    let lineBuffer = ''
+    let errorOutput = ''
+    let hasResponded = false
+    const finish = () => {
+      hasResponded = true
+      clearTimeout(timer)
+      result.responseTime = Date.now() - startTime
+      resolve(result)
+    }
+
+    // 处理一行 stream-json 输出
+    const handleLine = (line) => {
+      if (!line.trim()) return
+      let message
+      try {
+        message = JSON.parse(line)
+      } catch (error) {
+        plainOutput += line + '\n'
+        return
+      }
+      if (message.type === 'system' && message.subtype === 'init') {
+        requestStart = Date.now()
+      } else if (message.type === 'stream_event') {
+        stream.handle(message.event)
+      } else if (message.type === 'result') {
+        resultMessage = message
+      }
+    }
+
+    claude.stdout.on('data', (data) => {
+      lineBuffer += data.toString()
+      const lines = lineBuffer.split('\n')
+      lineBuffer = lines.pop()
+      lines.forEach(handleLine)
+    })
+
+    claude.stderr.on('data', (data) => {
+      errorOutput += data.toString()
+    })
+
+    // 设置超时
+    const timer = setTimeout(() => {
+      if (hasResponded) return
+      claude.kill()
+      result.status = 'failed'
+      Object.assign(result, classifyAs('timeout', '响应超时'))
+      finish()
+    }, timeout)
+
+    claude.on('close', (code) => {
+      if (hasResponded) return
+      handleLine(lineBuffer)
+      result.responseTime = Date.now() - startTime
+
+      const text = resultMessage && typeof resultMessage.result === 'string' ? resultMessage.result : stream.state.text
+      if (code === 0 && resultMessage && !resultMessage.is_error && text.trim().length > 0) {
+        // 成功：收到了有效回复
+        result.status = 'success'
+        result.response = text.trim().substring(0, 200)
+        result.actualModel = stream.state.model
+        Object.assign(result, computeStreamMetrics(stream.state, requestStart || startTime))
+        if (result.outputTokens === null && resultMessage.usage) {
+          result.outputTokens = resultMessage.usage.output_tokens || null
+        }
+        result.speed = classifySpeed(result)
+      } else {
+        result.status = 'failed'
+        const errorText = [errorOutput, resultMessage ? resultMessage.result : '', plainOutput].filter(Boolean).join('\n')
+        Object.assign(result, classifyCLIError(errorText, code))
+      }
+      finish()
+    })
+
+    claude.on('error', (error) => {
+      if (hasResponded) return
+      result.status = 'failed'
+      Object.assign(result, classifyAs('cli_error', `无法启动 Claude CLI: ${error.message}`))
+      finish()
+    })
+
+    // 发送测试问题（-p 模式从 stdin 读取完整输入，不需要等待 CLI 启动）
+    claude.stdin.on('error', () => {
+      // 忽略写入错误（CLI 启动失败等），由 close / error 事件处理
+    })
+    claude.stdin.write(`${options.prompt || DEFAULT_PROMPT}\n`)
+    claude.stdin.end()
+  })
+}
+
+module.exports = {
+  testSingleModelCLI
+}
@@ -0,0 +1,207 @@
+/**
+ * 客户端配置导出 - 按最近一次检测结果，为每个成员（或每个账号）生成可以直接使用的 Claude CLI 配置
+ *
+ * export-config 命令使用（见 check-claude-cli-accounts.js）:
+ *   node check-claude-cli-accounts.js export-config accounts.csv --team team.json --out-dir claude-configs --reveal-keys
+ *
+ * 每个成员/账号一个目录:
+ *   .env           ANTHROPIC_BASE_URL / ANTHROPIC_API_KEY（值不加引号），供 docker --env-file、dotenv 等使用
+ *   claude-env.sh  export 语句，可以 source 或追加到 ~/.bashrc / ~/.zshrc
+ *   settings.json  Claude CLI 设置（放到 ~/.claude/settings.json，已有设置时合并其中的 env），
+ *                  账号使用 HTTP 代理或 direct 时同时写入代理变量（只对 Claude CLI 生效，不影响其它程序）
+ * 输出目录下的 index.json 记录每个目录对应的成员、账号和模型（不含 key），重新导出时删除上次导出、本次不再生成的目录。
+ *
+ * 账号选择:
+ *   - 有团队配置时按成员生成，分配规则与 --team 再分配相同（见 rebalance.js，优先沿用上次的分配方案），
+ *     只选择通过该成员所需全部模型的账号，没有可用账号的成员不生成目录
+ *   - 没有团队配置时按账号生成，只包含通过 requiredModels（默认全部测试模型）的账号
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { rebalance } = require('./rebalance')
+const { maskKey } = require('./redact')
+const { resolveProxy, describeProxy, proxyEnv } = require('./proxy')
+
+const INDEX_FILE = 'index.json'
+const CONFIG_FILES = ['.env', 'claude-env.sh', 'settings.json']
+
+// 检测结果中的模型列表 [{ key, id }]，顺序与检测时的模型矩阵一致
+function collectResultModels(results) {
+  const models = new Map()
+  for (const result of results) {
+    for (const [key, modelResult] of Object.entries(result.models || {})) {
+      if (!models.has(key)) models.set(key, { key, id: modelResult.model })
+    }
+  }
+  return [...models.values()]
+}
+
+// 把需要的模型（模型 key 或模型ID）转换为模型 key，为空时表示全部模型
+function resolveModelKeys(required, models) {
+  if (!required || required.length === 0) return models.map(m => m.key)
+  return required.map((item) => {
+    const model = models.find(m => m.key === item || m.id === item)
+    if (!model) {
+      throw new Error(`模型 ${item} 不在最近一次检测的模型中（${models.map(m => m.key).join(', ')}）`)
+    }
+    return model.key
+  })
+}
+
+// 账号是否通过全部所需模型
+function passesModels(result, modelKeys) {
+  return modelKeys.every(key => result.models[key] && result.models[key].status === 'success')
+}
+
+// 成员名/账号名转换为目录名，去掉路径分隔符等不能用于文件名的字符
+function safeDirName(name) {
+  const cleaned = String(name).trim().replace(/[\\/:*?"<>|\s]+/g, '_').replace(/^\.+/, '')
+  return cleaned || '_'
+}
+
+// 单引号包裹的 shell 字符串
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`
+}
+
+// 决定导出哪些目录: 有团队配置时每个成员一个，否则每个通过所需模型的账号一个
+// 返回 { exports: [{ dir, member, account, models }], skipped: [{ name, reason }] }
+function planConfigExports(results, { team = null, requiredModels = [], previousAssignments = {} } = {}) {
+  const models = collectResultModels(results)
+  const exports = []
+  const skipped = []
+  const usedDirs = new Set()
+  // 不同名称清理后可能得到相同目录名，重复时追加序号
+  const dirFor = (name) => {
+    const base = safeDirName(name)
+    let dir = base
+    for (let i = 2; usedDirs.has(dir); i++) dir = `${base}_${i}`
+    usedDirs.add(dir)
+    return dir
+  }
+
+  if (team) {
+    const plan = rebalance(results, team, models, previousAssignments)
+    for (const assignment of plan.assignments) {
+      if (!assignment.to) {
+        skipped.push({
+          name: assignment.member,
+          reason: assignment.reason === 'model_not_tested'
+            ? `需要的模型 ${assignment.missingModels.join(', ')} 不在最近一次检测的模型中`
+            : `没有通过 ${assignment.models.join(', ')} 的可用账号`
+        })
+        continue
+      }
+      exports.push({ dir: dirFor(assignment.member), member: assignment.member, account: assignment.to, models: assignment.models })
+    }
+    return { exports, skipped }
+  }
+
+  const modelKeys = resolveModelKeys(requiredModels, models)
+  for (const result of results) {
+    if (passesModels(result, modelKeys)) {
+      exports.push({ dir: dirFor(result.name), member: null, account: result.name, models: modelKeys })
+    } else {
+      const failed = modelKeys.filter(key => !result.models[key] || result.models[key].status !== 'success')
+      skipped.push({ name: result.name, reason: `未通过 ${failed.join(', ')}` })
+    }
+  }
+  return { exports, skipped }
+}
+
+// 生成一个账号的配置文件内容 { 文件名: 内容 }，proxy 为账号实际使用的代理
+// revealKeys 为 false 时 key 和代理密码脱敏，生成的文件只能用于核对
+function buildConfigFiles(account, { proxy = null, revealKeys = false, label = account.name } = {}) {
+  const key = revealKeys ? account.key : maskKey(account.key)
+  const header = `Claude CLI 配置 - ${label}（账号 ${account.name}，${new Date().toLocaleString('zh-CN')} 生成）`.replace(/[\r\n]+/g, ' ')
+  const variables = { ANTHROPIC_BASE_URL: account.url, ANTHROPIC_API_KEY: key }
+  // .env 不加引号（docker --env-file 会把引号当作值的一部分），值中不能有换行
+  for (const [name, value] of Object.entries(variables)) {
+    if (/[\r\n]/.test(String(value))) {
+      throw new Error(`账号 ${account.name} 的 ${name} 中含有换行，不能写入配置`)
+    }
+  }
+
+  const settingsEnv = { ...variables }
+  let proxyNote = null
+  if (proxy) {
+    try {
+      Object.assign(settingsEnv, proxyEnv({}, revealKeys ? proxy : describeProxy(proxy)))
+    } catch (error) {
+      proxyNote = `账号使用的代理 ${describeProxy(proxy)} 不能用于 Claude CLI: ${error.message}`
+    }
+  }
+
+  return {
+    files: {
+      '.env': `# ${header}\n` + Object.entries(variables).map(([name, value]) => `${name}=${value}`).join('\n') + '\n',
+      'claude-env.sh': `# ${header}\n# 使用: source claude-env.sh，或把以下内容追加到 ~/.bashrc / ~/.zshrc\n` +
+        Object.entries(variables).map(([name, value]) => `export ${name}=${shellQuote(value)}`).join('\n') + '\n',
+      'settings.json': JSON.stringify({ env: settingsEnv }, null, 2) + '\n'
+    },
+    proxyNote
+  }
+}
+
+// 读取上次导出的 index.json，不存在或损坏时返回空记录
+function readIndex(indexPath) {
+  if (!fs.existsSync(indexPath)) return {}
+  try {
+    return JSON.parse(fs.readFileSync(indexPath, 'utf-8'))
+  } catch (error) {
+    return {}
+  }
+}
+
+// 写入导出目录，accounts 为含完整 key 的账号列表；defaultProxy 为账号没有单独设置时的代理
+// 返回写入的条目（附带 path 和 proxyNote）
+function writeConfigExports(planned, accounts, outDir, { defaultProxy = null, revealKeys = false } = {}) {
+  const accountsByName = new Map(accounts.map(account => [account.name, account]))
+  // 先生成全部配置内容，有账号不能导出时不改动输出目录
+  const built = planned.map((item) => {
+    const account = accountsByName.get(item.account)
+    const proxy = resolveProxy(account.proxy, defaultProxy)
+    return { item, account, ...buildConfigFiles(account, { proxy, revealKeys, label: item.member || account.name }) }
+  })
+  fs.mkdirSync(outDir, { recursive: true, mode: 0o700 })
+
+  // 删除上次导出、本次不再生成的配置（只删除 index.json 中记录过的目录里的配置文件，目录为空时一并删除）
+  const indexPath = path.join(outDir, INDEX_FILE)
+  const current = new Set(planned.map(item => item.dir))
+  for (const item of readIndex(indexPath).exports || []) {
+    if (current.has(item.dir) || safeDirName(item.dir) !== item.dir) continue
+    for (const file of CONFIG_FILES) fs.rmSync(path.join(outDir, item.dir, file), { force: true })
+    try {
+      fs.rmdirSync(path.join(outDir, item.dir))
+    } catch (error) {
+      // 目录中还有其它文件时保留
+    }
+  }
+
+  const written = built.map(({ item, account, files, proxyNote }) => {
+    const dir = path.join(outDir, item.dir)
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 })
+    for (const [name, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(dir, name), content, { encoding: 'utf-8', mode: 0o600 })
+      fs.chmodSync(path.join(dir, name), 0o600)
+    }
+    return { ...item, url: account.url, path: dir, proxyNote }
+  })
+
+  fs.writeFileSync(indexPath, JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    revealKeys,
+    exports: written.map(({ dir, member, account, url, models, proxyNote }) => ({ dir, member, account, url, models, proxyNote }))
+  }, null, 2) + '\n', 'utf-8')
+  return written
+}
+
+module.exports = {
+  INDEX_FILE,
+  CONFIG_FILES,
+  collectResultModels,
+  planConfigExports,
+  buildConfigFiles,
+  writeConfigExports
+}
@@ -0,0 +1,197 @@
+/**
+ * 探测错误分类和重试策略
+ *
+ * HTTP 探测按状态码、错误 JSON 和网络错误码分类，CLI 探测按输出中的错误信息分类。
+ * 每个单模型结果带有:
+ *   errorClass  错误类别（下表的 key），成功时为 null
+ *   errorType   类别的中文名称（报告、历史记录和通知中使用）
+ *   attempts    得到最终结果共尝试的次数
+ *
+ * 暂时性错误（限流、上游过载、中转服务5xx、DNS/连接失败、代理错误、超时）按类别的重试次数做指数退避重试，
+ * 认证失败、额度耗尽、模型无权限等确定性错误不重试。
+ */
+
+const ERROR_CLASSES = {
+  auth_invalid: { label: '认证失败', retries: 0 },
+  key_expired: { label: 'Key已过期', retries: 0 },
+  quota_exhausted: { label: '额度耗尽', retries: 0 },
+  model_not_allowed: { label: '无权限', retries: 0 },
+  model_not_found: { label: '模型不存在', retries: 0 },
+  rate_limited: { label: '限流', retries: 2, baseDelay: 5000 },
+  overloaded: { label: '上游过载', retries: 3, baseDelay: 3000 },
+  relay_error: { label: '服务端错误', retries: 2, baseDelay: 2000 },
+  dns_error: { label: 'DNS解析失败', retries: 1, baseDelay: 2000 },
+  tls_error: { label: 'TLS错误', retries: 0 },
+  connect_error: { label: '连接错误', retries: 2, baseDelay: 2000 },
+  proxy_error: { label: '代理错误', retries: 1, baseDelay: 2000 },
+  timeout: { label: '超时', retries: 1, baseDelay: 2000 },
+  cli_error: { label: 'CLI错误', retries: 0 },
+  invalid_url: { label: 'URL错误', retries: 0 },
+  invalid_response: { label: '无效响应', retries: 1, baseDelay: 2000 },
+  suspected_substitution: { label: '疑似模型替换', retries: 0 },
+  unknown: { label: '未知错误', retries: 0 }
+}
+
+const MAX_RETRY_DELAY = 30000
+
+// 错误信息中的关键字（API 错误 JSON 的 message 或 CLI 输出）
+const EXPIRED_PATTERN = /expired|过期|失效/i
+const QUOTA_PATTERN = /quota|insufficient[_ ](balance|credits?|funds)|credit balance|out of credits|balance is (too low|insufficient)|billing|额度|余额|用完|超出.*限额/i
+
+const DNS_CODES = ['ENOTFOUND', 'EAI_AGAIN']
+const CONNECT_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'ETIMEDOUT', 'EPIPE', 'ECONNABORTED']
+const TLS_CODE_PATTERN = /^(ERR_TLS_|ERR_SSL_|CERT_|UNABLE_TO_|DEPTH_ZERO_|SELF_SIGNED_|EPROTO$)/
+
+// 组装指定类别的错误字段 { errorClass, errorType, error }
+function classifyAs(errorClass, error) {
+  return { errorClass, errorType: ERROR_CLASSES[errorClass].label, error }
+}
+
+// 根据 HTTP 状态码和错误 JSON 分类
+function classifyHttpError(statusCode, body) {
+  const apiError = body && typeof body === 'object' && body.error ? body.error : null
+  const type = apiError && apiError.type ? apiError.type : ''
+  const message = apiError && apiError.message
+    ? apiError.message
+    : (typeof body === 'string' ? body.trim().substring(0, 200) : '')
+
+  // 明确的权限错误（例如 insufficient permissions）不按额度判断
+  if (type === 'permission_error') {
+    return classifyAs('model_not_allowed', message || '无权限访问该模型')
+  }
+  // 额度耗尽在不同中转服务上可能是 402/403/429，优先按错误信息判断
+  if (statusCode === 402 || (statusCode < 500 && QUOTA_PATTERN.test(message))) {
+    return classifyAs('quota_exhausted', message || '账号额度已用完')
+  }
+  if (statusCode === 401 || type === 'authentication_error') {
+    return EXPIRED_PATTERN.test(message)
+      ? classifyAs('key_expired', message)
+      : classifyAs('auth_invalid', message || 'API Key 无效')
+  }
+  if (statusCode === 403) {
+    return classifyAs('model_not_allowed', message || '无权限访问该模型')
+  }
+  if (statusCode === 404 || type === 'not_found_error') {
+    return classifyAs('model_not_found', message || '指定的模型不存在或不可用')
+  }
+  if (statusCode === 429 || type === 'rate_limit_error') {
+    return classifyAs('rate_limited', message || '请求过于频繁')
+  }
+  if (statusCode === 529 || type === 'overloaded_error') {
+    return classifyAs('overloaded', message || '上游模型服务过载')
+  }
+  if (statusCode >= 500) {
+    return classifyAs('relay_error', message || `中转服务返回 HTTP ${statusCode}`)
+  }
+  return classifyAs('unknown', message || `HTTP ${statusCode}`)
+}
+
+// 根据网络层错误（error.code）分类
+function classifyNetworkError(error) {
+  const code = error.code || ''
+  if (code === 'EPROXY') {
+    return classifyAs('proxy_error', error.message)
+  }
+  if (DNS_CODES.includes(code)) {
+    return classifyAs('dns_error', `无法解析域名 ${error.hostname || error.message}`)
+  }
+  if (TLS_CODE_PATTERN.test(code) || /certificate|ssl|tls/i.test(error.message)) {
+    return classifyAs('tls_error', `证书或TLS握手失败: ${code || error.message}`)
+  }
+  if (CONNECT_CODES.includes(code)) {
+    return classifyAs('connect_error', `网络连接失败: ${code}`)
+  }
+  return classifyAs('connect_error', `网络连接失败: ${code || error.message}`)
+}
+
+// 从 CLI 输出中取出最相关的一行错误信息
+function extractErrorLine(output) {
+  const lines = output.split('\n').map(line => line.trim()).filter(Boolean)
+  const line = lines.find(item => /error|失败|invalid|denied/i.test(item)) || lines[0] || ''
+  return line.substring(0, 200)
+}
+
+// 解析 CLI 输出中附带的 API 错误 JSON，失败时返回 null
+function parseErrorBody(output) {
+  const match = output.match(/\{[\s\S]*\}/)
+  if (!match) return null
+  try {
+    const body = JSON.parse(match[0])
+    return body && body.error ? body : null
+  } catch (error) {
+    return null
+  }
+}
+
+// 根据 Claude CLI 的输出和退出码分类
+function classifyCLIError(output, code) {
+  const message = extractErrorLine(output)
+  // Claude CLI 的错误输出形如 "API Error: 401 {...}"
+  const statusMatch = output.match(/(?:API Error|status|HTTP)[:\s]*(\d{3})\b/i)
+  if (statusMatch) {
+    const result = classifyHttpError(parseInt(statusMatch[1]), parseErrorBody(output) || message)
+    if (result.errorClass !== 'unknown') return result
+  }
+
+  if (QUOTA_PATTERN.test(output)) return classifyAs('quota_exhausted', message)
+  if (/authentication|unauthorized|invalid (x-)?api[ -_]?key/i.test(output)) {
+    return EXPIRED_PATTERN.test(output) ? classifyAs('key_expired', message) : classifyAs('auth_invalid', message)
+  }
+  if (/overloaded/i.test(output)) return classifyAs('overloaded', message)
+  if (/rate limit/i.test(output)) return classifyAs('rate_limited', message)
+  if (/permission|forbidden/i.test(output)) return classifyAs('model_not_allowed', message)
+  if (/ENOTFOUND|EAI_AGAIN/.test(output)) return classifyAs('dns_error', message)
+  if (/certificate|ssl|tls/i.test(output)) return classifyAs('tls_error', message)
+  if (/ECONNREFUSED|ECONNRESET|ETIMEDOUT|connection|network/i.test(output)) return classifyAs('connect_error', message)
+  if (/model/i.test(output) && /not found|not exist|invalid/i.test(output)) return classifyAs('model_not_found', message)
+  if (code !== 0) {
+    return classifyAs('cli_error', message ? `Claude CLI 退出码 ${code}: ${message}` : `Claude CLI 退出码: ${code}`)
+  }
+  return classifyAs('unknown', message || '没有收到有效响应')
+}
+
+// 错误类别的重试策略，maxRetries 不为 null 时作为所有类别的重试次数上限
+function retryPolicy(errorClass, maxRetries = null) {
+  const policy = ERROR_CLASSES[errorClass] || ERROR_CLASSES.unknown
+  const retries = maxRetries === null ? policy.retries : Math.min(policy.retries, maxRetries)
+  return { retries, baseDelay: policy.baseDelay || 0 }
+}
+
+// 第 attempt 次失败后的等待时间: 指数退避 + 随机抖动；服务端给出 Retry-After 时优先使用
+function retryDelay(baseDelay, attempt, retryAfterMs = null) {
+  if (retryAfterMs) return Math.min(retryAfterMs, MAX_RETRY_DELAY)
+  const delay = baseDelay * Math.pow(2, attempt - 1)
+  return Math.min(delay + Math.floor(Math.random() * baseDelay / 2), MAX_RETRY_DELAY)
+}
+
+// 按错误类别重试单模型探测，结果附带 attempts 和每次失败的类别 (retriedErrors)
+// onRetry(result, attempt, delay) 在每次等待重试前调用
+async function probeWithRetries(probe, { maxRetries = null, onRetry = null } = {}) {
+  const retriedErrors = []
+  for (let attempt = 1; ; attempt++) {
+    const result = await probe()
+    const { retries, baseDelay } = result.status === 'success'
+      ? { retries: 0, baseDelay: 0 }
+      : retryPolicy(result.errorClass, maxRetries)
+
+    if (result.status === 'success' || attempt > retries) {
+      return { ...result, attempts: attempt, retriedErrors }
+    }
+
+    const delay = retryDelay(baseDelay, attempt, result.retryAfterMs)
+    retriedErrors.push(result.errorClass)
+    if (onRetry) onRetry(result, attempt, delay)
+    await new Promise(resolve => setTimeout(resolve, delay))
+  }
+}
+
+module.exports = {
+  ERROR_CLASSES,
+  classifyAs,
+  classifyHttpError,
+  classifyNetworkError,
+  classifyCLIError,
+  retryPolicy,
+  retryDelay,
+  probeWithRetries
+}
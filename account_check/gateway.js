@@ -0,0 +1,531 @@
+/**
+ * 负载均衡网关 - 在本机提供 Anthropic 兼容的 /v1/messages 接口，把请求转发给最近一次检测中健康的账号
+ *
+ * 团队成员把 ANTHROPIC_BASE_URL 指向网关，ANTHROPIC_API_KEY（或 ANTHROPIC_AUTH_TOKEN）设为自己的网关 token，
+ * 不再需要拿到各个中转服务的 key:
+ *
+ *   const { createGateway } = require('./gateway')
+ *   const gateway = createGateway({ loadAccounts: () => accounts, resultsFile: 'test-reports/claude-test-results-latest.json' })
+ *   gateway.listen(3100, '127.0.0.1')
+ *
+ * 账号选择:
+ *   - 只使用最近一次检测结果中至少一个模型通过的账号（额度已耗尽、过期或停用的除外），没有检测结果的账号不使用
+ *   - 请求的模型在检测的模型矩阵中时，只选该模型通过的账号；不在矩阵中时（例如 Claude Code 后台使用的 Haiku）从所有可用账号中选
+ *   - 按延迟加权随机选择: 该模型的首字延迟（没有时为响应时间，矩阵外的模型取账号的平均延迟）越低，权重越高
+ *
+ * 故障转移（同一请求最多尝试 maxAttempts 个账号，响应开始返回给客户端之后不再切换），错误分类见 error-classes.js:
+ *   限流、上游过载、5xx、网络错误、代理错误、超时  → 换下一个账号，该账号冷却一段时间（限流时按 Retry-After）
+ *   认证失败、Key过期、额度耗尽                    → 换下一个账号，该账号在下次检测结果出来之前不再使用
+ *   无权限、模型不存在                              → 换下一个账号，该账号的这个模型在下次检测结果出来之前不再使用
+ *   其它错误（请求本身有问题）                      → 直接返回给客户端
+ * 检测结果文件更新后（定时检测、daemon）重新读取账号和结果，清除所有标记。
+ *
+ * 接口:
+ *   POST /v1/messages、/v1/messages/count_tokens  转发（支持流式响应），响应头 x-gateway-account 为实际使用的账号名称
+ *   GET  /gateway/status                          账号可用状态、权重和请求统计（key 已脱敏）
+ * 配置了 tokens 时所有接口都需要在 x-api-key 或 Authorization: Bearer 中携带其中一个 token。
+ */
+
+const fs = require('fs')
+const http = require('http')
+const https = require('https')
+const zlib = require('zlib')
+const { pipeline } = require('stream')
+const { classifyAs, classifyHttpError, classifyNetworkError } = require('./error-classes')
+const { canonicalModel, sameModel } = require('./authenticity')
+const { ANTHROPIC_VERSION } = require('./http-probe')
+const { maskKey, redactText } = require('./redact')
+const { resolveProxy, describeProxy, requestOptions } = require('./proxy')
+const { safeEqual } = require('./web-security')
+
+const MESSAGES_PATH = '/v1/messages'
+const GATEWAY_PATHS = [MESSAGES_PATH, '/v1/messages/count_tokens']
+const DEFAULT_MAX_ATTEMPTS = 3
+const DEFAULT_TIMEOUT = 120000 // 上游连接空闲超时（等待响应头、流式响应两次数据之间）
+const MAX_BODY_SIZE = 32 * 1024 * 1024
+const RELOAD_INTERVAL = 10000 // 检查检测结果文件是否更新的最短间隔
+const MIN_LATENCY = 100 // 计算权重时延迟的下限，避免个别极低延迟的账号拿走几乎全部请求
+const UNAVAILABLE_QUOTA = ['exhausted', 'expired', 'disabled']
+
+// 需要换账号的错误类别: scope 为 account（整个账号）或 model（该账号的这个模型），
+// cooldown 为暂停使用的毫秒数，untilRecheck 表示到下次检测结果出来之前不再使用
+const FAILOVER_POLICIES = {
+  rate_limited: { scope: 'account', cooldown: 60000 },
+  overloaded: { scope: 'account', cooldown: 30000 },
+  relay_error: { scope: 'account', cooldown: 30000 },
+  dns_error: { scope: 'account', cooldown: 60000 },
+  tls_error: { scope: 'account', cooldown: 60000 },
+  connect_error: { scope: 'account', cooldown: 30000 },
+  proxy_error: { scope: 'account', cooldown: 60000 },
+  timeout: { scope: 'account', cooldown: 30000 },
+  auth_invalid: { scope: 'account', untilRecheck: true },
+  key_expired: { scope: 'account', untilRecheck: true },
+  quota_exhausted: { scope: 'account', untilRecheck: true },
+  model_not_allowed: { scope: 'model', untilRecheck: true },
+  model_not_found: { scope: 'model', untilRecheck: true }
+}
+
+// 不转发的请求头（逐跳头、客户端的网关 token 和 accept-encoding，上游响应不压缩，错误响应才能读出来分类）
+const DROPPED_REQUEST_HEADERS = ['host', 'connection', 'keep-alive', 'proxy-authorization', 'proxy-connection', 'te', 'trailer',
+  'transfer-encoding', 'upgrade', 'content-length', 'x-api-key', 'authorization', 'accept-encoding']
+const DROPPED_RESPONSE_HEADERS = ['connection', 'keep-alive', 'transfer-encoding']
+
+// 解析网关 token 列表: "alice:token1,bob:token2"，没有名称时按顺序命名为 token1、token2…
+function parseGatewayTokens(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean).map((item, index) => {
+    const separator = item.indexOf(':')
+    const token = separator === -1
+      ? { name: `token${index + 1}`, token: item }
+      : { name: item.slice(0, separator).trim(), token: item.slice(separator + 1).trim() }
+    if (!token.name || !token.token) {
+      throw new Error(`网关 token "${item.slice(0, separator)}" 缺少名称或 token`)
+    }
+    return token
+  })
+}
+
+// 是否只监听本机地址（监听其它地址时必须配置 token）
+function isLoopbackHost(host) {
+  return ['localhost', '127.0.0.1', '::1'].includes(host) || /^127\./.test(host)
+}
+
+// 单模型结果的延迟: 首字延迟，没有时为响应时间
+function latencyOf(modelResult) {
+  return modelResult.ttft !== null && modelResult.ttft !== undefined ? modelResult.ttft : modelResult.responseTime
+}
+
+// 由账号列表和最近一次检测结果生成候选账号，defaultProxy 为账号没有单独设置时使用的代理
+function buildPool(accounts, results, defaultProxy = null) {
+  const resultsByName = new Map(results.map(result => [result.name, result]))
+  return accounts.map((account) => {
+    const result = resultsByName.get(account.name)
+    const models = new Map() // canonicalModel → 延迟（未通过时为 null）
+    let reason = null
+    if (!result) {
+      reason = '没有检测结果'
+    } else {
+      for (const modelResult of Object.values(result.models || {})) {
+        if (modelResult && modelResult.model) {
+          models.set(canonicalModel(modelResult.model), modelResult.status === 'success' ? latencyOf(modelResult) : null)
+        }
+      }
+      if (![...models.values()].some(latency => latency !== null)) {
+        reason = '检测未通过'
+      } else if (result.quota && UNAVAILABLE_QUOTA.includes(result.quota.status)) {
+        reason = '额度不可用'
+      }
+    }
+    const latencies = [...models.values()].filter(latency => latency !== null)
+    return {
+      name: account.name,
+      account: { ...account, proxy: resolveProxy(account.proxy, defaultProxy) },
+      models,
+      averageLatency: latencies.length > 0 ? latencies.reduce((sum, value) => sum + value, 0) / latencies.length : null,
+      reason,
+      blockedUntil: 0,
+      blockedModels: new Map(),
+      lastError: null
+    }
+  })
+}
+
+// 检测结果中与请求模型对应的模型 key，请求系列别名（sonnet 等）时为该系列的全部版本
+function matrixKeys(entry, modelKey) {
+  return [...entry.models.keys()].filter(key => sameModel(modelKey, key))
+}
+
+// 账号处理指定模型时的延迟（对应多个版本时取通过的版本中最快的），不能使用时返回 null
+function candidateLatency(entry, modelKey, inMatrix, now) {
+  if (entry.reason || entry.blockedUntil > now) return null
+  if ((entry.blockedModels.get(modelKey) || 0) > now) return null
+  if (!inMatrix) return entry.averageLatency
+  const latencies = matrixKeys(entry, modelKey).map(key => entry.models.get(key)).filter(latency => latency !== null)
+  return latencies.length > 0 ? Math.min(...latencies) : null
+}
+
+// 按延迟加权随机选择一个账号，exclude 为本次请求已经试过的账号名称；没有可用账号时返回 null
+function pickAccount(pool, model, exclude = new Set(), { now = Date.now(), random = Math.random } = {}) {
+  const modelKey = canonicalModel(model)
+  const inMatrix = pool.some(entry => matrixKeys(entry, modelKey).length > 0)
+  const candidates = pool
+    .filter(entry => !exclude.has(entry.name))
+    .map(entry => ({ entry, latency: candidateLatency(entry, modelKey, inMatrix, now) }))
+    .filter(candidate => candidate.latency !== null)
+  if (candidates.length === 0) return null
+
+  const weights = candidates.map(candidate => 1 / Math.max(candidate.latency, MIN_LATENCY))
+  let point = random() * weights.reduce((sum, weight) => sum + weight, 0)
+  for (let i = 0; i < candidates.length; i++) {
+    point -= weights[i]
+    if (point < 0) return candidates[i].entry
+  }
+  return candidates[candidates.length - 1].entry
+}
+
+// 按错误类别暂停使用账号（或账号的某个模型），返回暂停到的时间；不需要换账号的错误返回 null
+function markFailure(entry, model, failure, { retryAfterMs = null, now = Date.now() } = {}) {
+  const policy = FAILOVER_POLICIES[failure.errorClass]
+  if (!policy) return null
+  const until = policy.untilRecheck ? Infinity : now + Math.max(policy.cooldown, retryAfterMs || 0)
+  if (policy.scope === 'model' && model) {
+    entry.blockedModels.set(canonicalModel(model), until)
+  } else {
+    entry.blockedUntil = until
+  }
+  entry.lastError = { time: new Date(now).toISOString(), model: model || null, errorType: failure.errorType, error: failure.error }
+  return until
+}
+
+// 暂停时间的描述
+function describeBlock(until, now = Date.now()) {
+  return until === Infinity ? '下次检测前不再使用' : `${Math.ceil((until - now) / 1000)} 秒内不再使用`
+}
+
+// Anthropic 格式的错误响应
+function sendError(res, status, type, message, headers = {}) {
+  if (res.headersSent) return res.end()
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers })
+  res.end(JSON.stringify({ type: 'error', error: { type, message } }))
+}
+
+// 读取请求体，超过 MAX_BODY_SIZE 时拒绝
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    req.on('data', (chunk) => {
+      size += chunk.length
+      if (size > MAX_BODY_SIZE) {
+        reject(new Error(`请求体超过 ${MAX_BODY_SIZE / 1024 / 1024}MB`))
+        req.destroy()
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+    req.on('error', reject)
+  })
+}
+
+// 转发给上游的请求头: 去掉逐跳头和网关 token，换成账号的 key
+function upstreamHeaders(headers, account, length) {
+  const forwarded = {}
+  for (const [name, value] of Object.entries(headers)) {
+    if (!DROPPED_REQUEST_HEADERS.includes(name)) forwarded[name] = value
+  }
+  return {
+    ...forwarded,
+    'anthropic-version': headers['anthropic-version'] || ANTHROPIC_VERSION,
+    'accept-encoding': 'identity',
+    'x-api-key': account.key,
+    'authorization': `Bearer ${account.key}`,
+    'content-length': length
+  }
+}
+
+// 解压错误响应体（请求了 identity，个别中转服务仍会压缩），解压失败时按原样返回
+function decodeBody(buffer, encoding) {
+  try {
+    if (/\bgzip\b/i.test(encoding || '')) return zlib.gunzipSync(buffer)
+    if (/\bdeflate\b/i.test(encoding || '')) return zlib.inflateSync(buffer)
+    if (/\bbr\b/i.test(encoding || '')) return zlib.brotliDecompressSync(buffer)
+  } catch (error) {
+    // 内容与 content-encoding 不符
+  }
+  return buffer
+}
+
+// 把请求发给一个账号
+// 成功（或不需要换账号的错误）时返回 { response }，response 尚未读取的错误响应带有 errorBody；
+// 需要换账号时返回 { failure, retryAfterMs }
+function sendUpstream(entry, req, body, pathWithQuery, timeout) {
+  return new Promise((resolve) => {
+    const account = entry.account
+    let settled = false
+    const done = (outcome) => {
+      if (settled) return
+      settled = true
+      resolve(outcome)
+    }
+
+    let urlObj
+    try {
+      urlObj = new URL(account.url.replace(/\/+$/, '') + pathWithQuery)
+    } catch (error) {
+      return done({ failure: classifyAs('invalid_url', `无效的URL: ${account.url}`) })
+    }
+    const transport = urlObj.protocol === 'http:' ? http : https
+    const upstream = transport.request(requestOptions(urlObj, {
+      method: 'POST',
+      headers: upstreamHeaders(req.headers, account, body.length)
+    }, account.proxy), (res) => {
+      if (res.statusCode < 400) return done({ response: res, upstream })
+
+      // 错误响应很短，读完后再决定换账号还是返回给客户端
+      const chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('end', () => {
+        const text = decodeBody(Buffer.concat(chunks), res.headers['content-encoding']).toString('utf8')
+        let parsed = text
+        try {
+          parsed = JSON.parse(text)
+        } catch (error) {
+          // 非JSON响应，保留原始文本
+        }
+        const failure = classifyHttpError(res.statusCode, parsed)
+        // count_tokens 等辅助接口返回 404 通常是中转服务不支持该接口，不代表模型不存在
+        const unsupportedEndpoint = res.statusCode === 404 && !urlObj.pathname.replace(/\/+$/, '').endsWith(MESSAGES_PATH)
+        if (FAILOVER_POLICIES[failure.errorClass] && !unsupportedEndpoint) {
+          const retryAfter = parseInt(res.headers['retry-after'])
+          return done({ failure: { ...failure, error: redactText(failure.error, [account.key]) }, retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null })
+        }
+        res.errorBody = redactText(text, [account.key])
+        done({ response: res, upstream })
+      })
+      res.on('error', error => done({ failure: classifyNetworkError(error) }))
+    })
+
+    // 响应开始返回后超时同样断开，relayResponse 中的 pipeline 随之断开客户端
+    upstream.setTimeout(timeout, () => {
+      upstream.destroy(new Error('上游响应超时'))
+      done({ failure: classifyAs('timeout', '上游响应超时') })
+    })
+    upstream.on('error', error => done({ failure: classifyNetworkError(error) }))
+    upstream.end(body)
+  })
+}
+
+// 把上游响应返回给客户端
+function relayResponse(res, response, entry) {
+  const headers = { 'x-gateway-account': encodeURIComponent(entry.name) }
+  for (const [name, value] of Object.entries(response.headers)) {
+    if (!DROPPED_RESPONSE_HEADERS.includes(name)) headers[name] = value
+  }
+  if (response.errorBody !== undefined) {
+    delete headers['content-encoding']
+    headers['content-length'] = Buffer.byteLength(response.errorBody)
+    res.writeHead(response.statusCode, headers)
+    res.end(response.errorBody)
+    return
+  }
+  res.writeHead(response.statusCode, headers)
+  // 上游中途断开或空闲超时时同时断开客户端，否则客户端会一直等待
+  pipeline(response, res, (error) => {
+    if (error) res.destroy(error)
+  })
+}
+
+// 创建网关
+// loadAccounts() 返回账号列表（含完整 key），resultsFile 为 saveResults 写入的 claude-test-results-latest.json
+// tokens: [{ name, token }]，为空时不校验 token；proxy 为账号没有单独设置时使用的代理
+function createGateway({
+  loadAccounts,
+  resultsFile,
+  tokens = [],
+  proxy = null,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  timeout = DEFAULT_TIMEOUT,
+  log = console.log
+}) {
+  let pool = []
+  let generatedAt = null
+  let loadedMtime = null
+  let lastReloadCheck = 0
+  const counters = new Map() // 账号名称 → { requests, failures }，重新读取结果后保留
+
+  // 读取账号和检测结果，force 为 false 时只在结果文件更新后重新读取
+  function reload(force = false) {
+    const now = Date.now()
+    if (!force && now - lastReloadCheck < RELOAD_INTERVAL) return false
+    lastReloadCheck = now
+
+    const mtime = fs.existsSync(resultsFile) ? fs.statSync(resultsFile).mtimeMs : null
+    if (!force && mtime === loadedMtime) return false
+    if (mtime === null) {
+      // 还没有检测结果（例如 daemon 首次检测前），结果文件出现后自动读取
+      pool = []
+      generatedAt = null
+      loadedMtime = null
+      return true
+    }
+    const latest = JSON.parse(fs.readFileSync(resultsFile, 'utf-8'))
+    pool = buildPool(loadAccounts(), latest.results || [], proxy)
+    generatedAt = latest.generatedAt || null
+    loadedMtime = mtime
+    return true
+  }
+
+  // 请求中尝试重新读取，失败时继续使用之前的结果
+  function reloadQuietly() {
+    try {
+      if (reload()) {
+        log(`🔄 检测结果已更新（${generatedAt ? new Date(generatedAt).toLocaleString('zh-CN') : '未知时间'}），可用账号 ${pool.filter(e => !e.reason).length}/${pool.length}`)
+      }
+    } catch (error) {
+      log(`⚠️ 重新读取检测结果失败，继续使用之前的结果: ${error.message}`)
+    }
+  }
+
+  function counter(name) {
+    if (!counters.has(name)) counters.set(name, { requests: 0, failures: 0 })
+    return counters.get(name)
+  }
+
+  // 校验网关 token，返回用户名；未配置 token 时为 anonymous，未通过时为 null
+  function authorize(req) {
+    if (tokens.length === 0) return 'anonymous'
+    const bearer = /^bearer\s+(.+)$/i.exec(req.headers.authorization || '')
+    const presented = req.headers['x-api-key'] || (bearer && bearer[1].trim())
+    if (!presented) return null
+    const matched = tokens.find(item => safeEqual(item.token, presented))
+    return matched ? matched.name : null
+  }
+
+  // 账号状态（key 已脱敏）
+  function status(now = Date.now()) {
+    return {
+      generatedAt,
+      resultsFile,
+      maxAttempts,
+      accounts: pool.map((entry) => {
+        const blockedModels = [...entry.blockedModels.entries()]
+          .filter(([, until]) => until > now)
+          .map(([model, until]) => ({ model, until: until === Infinity ? 'recheck' : new Date(until).toISOString() }))
+        return {
+          name: entry.name,
+          url: entry.account.url,
+          key: maskKey(entry.account.key),
+          proxy: describeProxy(entry.account.proxy),
+          available: !entry.reason && entry.blockedUntil <= now,
+          reason: entry.reason || (entry.blockedUntil > now ? describeBlock(entry.blockedUntil, now) : null),
+          blockedUntil: entry.blockedUntil > now ? (entry.blockedUntil === Infinity ? 'recheck' : new Date(entry.blockedUntil).toISOString()) : null,
+          blockedModels,
+          averageLatency: entry.averageLatency === null ? null : Math.round(entry.averageLatency),
+          lastError: entry.lastError,
+          ...counter(entry.name)
+        }
+      })
+    }
+  }
+
+  // 转发 /v1/messages 请求，失败时换账号重试
+  async function forward(req, res, user, pathWithQuery) {
+    let body
+    try {
+      body = await readBody(req)
+    } catch (error) {
+      return sendError(res, 413, 'request_too_large', error.message)
+    }
+    let model = null
+    try {
+      model = JSON.parse(body.toString('utf8')).model || null
+    } catch (error) {
+      return sendError(res, 400, 'invalid_request_error', '请求体不是有效的JSON')
+    }
+
+    // 请求体读完后 req 即结束，客户端是否断开以响应的 close 事件为准
+    let clientGone = false
+    res.on('close', () => {
+      clientGone = !res.writableFinished
+    })
+
+    reloadQuietly()
+    const tried = new Set()
+    let lastFailure = null
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const entry = pickAccount(pool, model, tried)
+      if (!entry) break
+      tried.add(entry.name)
+      counter(entry.name).requests++
+
+      const startTime = Date.now()
+      const outcome = await sendUpstream(entry, req, body, pathWithQuery, timeout)
+      if (outcome.response) {
+        if (clientGone) {
+          outcome.upstream.destroy()
+          return
+        }
+        log(`🔀 ${user} ${model || '-'} → ${entry.name}: HTTP ${outcome.response.statusCode} (${Date.now() - startTime}ms)`)
+        res.on('close', () => {
+          if (!res.writableFinished) outcome.upstream.destroy()
+        })
+        relayResponse(res, outcome.response, entry)
+        return
+      }
+
+      counter(entry.name).failures++
+      lastFailure = outcome.failure
+      const until = markFailure(entry, model, outcome.failure, { retryAfterMs: outcome.retryAfterMs })
+      log(`⚠️ ${entry.name} ${model || '-'}: ${outcome.failure.errorType} - ${outcome.failure.error}，${until ? describeBlock(until) : ''}，换下一个账号`)
+    }
+
+    const message = lastFailure
+      ? `已尝试 ${tried.size} 个账号均失败，最后一个错误: ${lastFailure.errorType} - ${lastFailure.error}`
+      : `没有可用的账号${model ? `（模型 ${model}）` : ''}`
+    log(`❌ ${user} ${model || '-'}: ${message}`)
+    sendError(res, lastFailure && lastFailure.errorClass === 'rate_limited' ? 429 : 503, 'overloaded_error', message)
+  }
+
+  const server = http.createServer((req, res) => {
+    // 只拆分路径和查询串，不做完整 URL 解析（// 开头等畸形路径会让 new URL 抛出异常）
+    const queryIndex = req.url.indexOf('?')
+    const pathname = queryIndex === -1 ? req.url : req.url.slice(0, queryIndex)
+    const search = queryIndex === -1 ? '' : req.url.slice(queryIndex)
+    if (!pathname.startsWith('/')) {
+      return sendError(res, 400, 'invalid_request_error', '请求路径无效')
+    }
+    const user = authorize(req)
+    if (!user) {
+      return sendError(res, 401, 'authentication_error', '网关 token 无效，请把 ANTHROPIC_API_KEY 设置为网关分配的 token')
+    }
+    if (req.method === 'GET' && pathname === '/gateway/status') {
+      reloadQuietly()
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      return res.end(JSON.stringify({ success: true, data: status() }))
+    }
+    if (req.method === 'POST' && GATEWAY_PATHS.includes(pathname.replace(/\/+$/, ''))) {
+      forward(req, res, user, pathname + search).catch((error) => {
+        log(`❌ 网关转发异常: ${error.message}`)
+        sendError(res, 500, 'api_error', '网关内部错误')
+      })
+      return
+    }
+    sendError(res, 404, 'not_found_error', `网关只支持 POST ${GATEWAY_PATHS.join('、')}`)
+  })
+
+  reload(true)
+
+  return {
+    server,
+    reload: () => reload(true),
+    status,
+    listen(port, host) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject)
+        server.listen(port, host, () => {
+          server.removeListener('error', reject)
+          resolve(server)
+        })
+      })
+    },
+    // 停止监听并断开所有连接（包括进行中的流式响应）
+    close() {
+      return new Promise((resolve) => {
+        server.close(resolve)
+        server.closeAllConnections()
+      })
+    }
+  }
+}
+
+module.exports = {
+  GATEWAY_PATHS,
+  DEFAULT_MAX_ATTEMPTS,
+  FAILOVER_POLICIES,
+  parseGatewayTokens,
+  isLoopbackHost,
+  buildPool,
+  pickAccount,
+  markFailure,
+  createGateway
+}
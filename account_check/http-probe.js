@@ -0,0 +1,324 @@
+/**
+ * 直接调用中转服务 /v1/messages 接口的模型探测
+ *
+ * 与 Claude CLI 方式相比:
+ * - 不依赖本机安装 Claude CLI
+ * - 能拿到真实的 HTTP 状态码、错误 JSON 以及响应中返回的 model 字段
+ * - 没有 CLI 启动带来的耗时噪声
+ *
+ * 请求使用流式响应 (stream: true)，记录首字延迟、生成耗时、输出 token 数和输出速度（见 stream-metrics.js）。
+ * 中转服务忽略 stream 参数、直接返回完整 JSON 时照常判定，只是没有流式指标。
+ *
+ * 返回结构与 testSingleModelCLI (cli-probe.js) 保持一致，额外附带:
+ *   httpStatus    HTTP 状态码（网络层失败时为 null）
+ *   errorBody     接口返回的错误 JSON（无法解析时为原始文本）
+ *   retryAfterMs  响应头 Retry-After 换算的毫秒数（没有时为 null）
+ *
+ * postMessages 发送一次非流式请求并返回完整 JSON，供能力探测 (capabilities.js) 使用。
+ * 账号带有 proxy 字段时通过该代理发送请求（见 proxy.js）。
+ *
+ * 错误分类见 error-classes.js
+ */
+
+const http = require('http')
+const https = require('https')
+const { classifyAs, classifyHttpError, classifyNetworkError } = require('./error-classes')
+const { classifySpeed, createStreamCollector, computeStreamMetrics } = require('./stream-metrics')
+const { requestOptions } = require('./proxy')
+
+const ANTHROPIC_VERSION = '2023-06-01'
+const DEFAULT_PROMPT = '你是什么模型，有什么优势？'
+
+// 拼接 /v1/messages 地址，与 Claude CLI 使用 ANTHROPIC_BASE_URL 的方式一致
+function buildMessagesUrl(baseUrl) {
+  return baseUrl.replace(/\/+$/, '') + '/v1/messages'
+}
+
+// /v1/messages 请求头，同时带 x-api-key 和 Bearer 以兼容不同中转服务
+function buildHeaders(account, postData, extraHeaders = {}) {
+  return {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(postData),
+    'anthropic-version': ANTHROPIC_VERSION,
+    'x-api-key': account.key,
+    'Authorization': `Bearer ${account.key}`,
+    ...extraHeaders
+  }
+}
+
+// 从 messages 响应中提取文本内容
+function extractText(body) {
+  if (!body || !Array.isArray(body.content)) return ''
+  return body.content
+    .filter(block => block.type === 'text' && typeof block.text === 'string')
+    .map(block => block.text)
+    .join('')
+}
+
+// 解析 SSE 数据流，每个完整事件的 data (JSON) 交给 onEvent
+// write 处理收到的数据，end 在响应结束时处理最后一个没有以空行结尾的事件
+function createSSEParser(onEvent) {
+  let buffer = ''
+  const handleBlock = (block) => {
+    const data = block
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trim())
+      .join('\n')
+    if (!data) return
+    try {
+      onEvent(JSON.parse(data))
+    } catch (error) {
+      // 忽略无法解析的事件
+    }
+  }
+  return {
+    write(chunk) {
+      buffer += chunk
+      const blocks = buffer.split(/\r?\n\r?\n/)
+      buffer = blocks.pop()
+      blocks.forEach(handleBlock)
+    },
+    end() {
+      handleBlock(buffer)
+      buffer = ''
+    }
+  }
+}
+
+// 测试单个模型 - 直接调用 /v1/messages
+async function testSingleModelHTTP(account, modelName, options = {}) {
+  return new Promise((resolve) => {
+    const startTime = Date.now()
+    const timeout = options.timeout || 45000
+    const result = {
+      model: modelName,
+      status: 'testing',
+      responseTime: 0,
+      error: null,
+      response: null,
+      speed: null,
+      actualModel: null,
+      ttft: null,
+      generationTime: null,
+      outputTokens: null,
+      tokensPerSecond: null,
+      errorClass: null,
+      httpStatus: null,
+      errorBody: null,
+      retryAfterMs: null
+    }
+
+    let hasResponded = false
+    const finish = () => {
+      if (hasResponded) return
+      hasResponded = true
+      result.responseTime = Date.now() - startTime
+      resolve(result)
+    }
+
+    let urlObj
+    try {
+      urlObj = new URL(buildMessagesUrl(account.url))
+    } catch (error) {
+      result.status = 'failed'
+      Object.assign(result, classifyAs('invalid_url', `无效的URL: ${account.url}`))
+      finish()
+      return
+    }
+
+    const requestBody = {
+      model: modelName,
+      max_tokens: options.maxTokens || 256,
+      messages: [{ role: 'user', content: options.prompt || DEFAULT_PROMPT }],
+      stream: true
+    }
+    if (options.temperature !== undefined) {
+      requestBody.temperature = options.temperature
+    }
+    const postData = JSON.stringify(requestBody)
+
+    const transport = urlObj.protocol === 'http:' ? http : https
+    const req = transport.request(requestOptions(urlObj, {
+      method: 'POST',
+      headers: buildHeaders(account, postData)
+    }, account.proxy), (res) => {
+      const isStream = res.statusCode >= 200 && res.statusCode < 300 &&
+        /text\/event-stream/i.test(res.headers['content-type'] || '')
+      const stream = createStreamCollector()
+      const parser = createSSEParser(event => stream.handle(event))
+      let data = ''
+      res.setEncoding('utf8')
+      res.on('data', (chunk) => {
+        if (isStream) {
+          parser.write(chunk)
+        } else {
+          data += chunk
+        }
+      })
+
+      res.on('end', () => {
+        clearTimeout(timer)
+        result.httpStatus = res.statusCode
+
+        if (isStream) {
+          parser.end()
+          handleStream(stream.state)
+        } else {
+          handleBody(data, res)
+        }
+        finish()
+      })
+
+      // 响应中途连接被重置或中断，不会再触发 end
+      res.on('error', (error) => {
+        if (hasResponded) return
+        clearTimeout(timer)
+        result.httpStatus = res.statusCode
+        result.status = 'failed'
+        Object.assign(result, classifyNetworkError(error))
+        finish()
+      })
+    })
+
+    // 流式响应: 文本来自 content_block_delta，中途出错时为 error 事件
+    const handleStream = (state) => {
+      if (state.error) {
+        result.status = 'failed'
+        result.errorBody = state.error
+        Object.assign(result, classifyHttpError(result.httpStatus, state.error))
+        return
+      }
+      if (state.text.length === 0) {
+        result.status = 'failed'
+        Object.assign(result, classifyAs('invalid_response', '没有收到有效响应'))
+        return
+      }
+      result.status = 'success'
+      result.response = state.text.trim().substring(0, 200)
+      result.actualModel = state.model
+      result.responseTime = Date.now() - startTime
+      Object.assign(result, computeStreamMetrics(state, startTime))
+      result.speed = classifySpeed(result)
+    }
+
+    // 完整 JSON 响应: 错误响应，或不支持流式的中转服务
+    const handleBody = (data, res) => {
+      let body = data
+      try {
+        body = JSON.parse(data)
+      } catch (error) {
+        // 非JSON响应，保留原始文本
+      }
+
+      const text = extractText(body)
+      if (res.statusCode >= 200 && res.statusCode < 300 && body && body.type !== 'error' && text.length > 0) {
+        result.status = 'success'
+        result.response = text.trim().substring(0, 200)
+        result.actualModel = body.model || null
+        result.outputTokens = (body.usage && body.usage.output_tokens) || null
+        result.responseTime = Date.now() - startTime
+        result.speed = classifySpeed(result)
+      } else {
+        result.status = 'failed'
+        result.errorBody = body
+        const isApiError = res.statusCode >= 300 || (body && body.type === 'error')
+        Object.assign(result, isApiError
+          ? classifyHttpError(res.statusCode, body)
+          : classifyAs('invalid_response', '没有收到有效响应'))
+        const retryAfter = parseInt(res.headers['retry-after'])
+        if (retryAfter > 0) {
+          result.retryAfterMs = retryAfter * 1000
+        }
+      }
+    }
+
+    // 设置超时
+    const timer = setTimeout(() => {
+      if (hasResponded) return
+      req.destroy()
+      result.status = 'failed'
+      Object.assign(result, classifyAs('timeout', '响应超时'))
+      finish()
+    }, timeout)
+
+    req.on('error', (error) => {
+      if (hasResponded) return
+      clearTimeout(timer)
+      result.status = 'failed'
+      Object.assign(result, classifyNetworkError(error))
+      finish()
+    })
+
+    req.write(postData)
+    req.end()
+  })
+}
+
+// 发送一次非流式 /v1/messages 请求
+// 返回 { httpStatus, headers, body, responseTime, failure }，body 无法解析时为原始文本；
+// URL 错误、网络错误和超时时 httpStatus 为 null，failure 为错误分类（{ errorClass, errorType, error }）
+function postMessages(account, requestBody, { timeout = 45000, headers = {} } = {}) {
+  return new Promise((resolve) => {
+    const startTime = Date.now()
+    let settled = false
+    const done = (result) => {
+      if (settled) return
+      settled = true
+      resolve({ httpStatus: null, headers: {}, body: null, failure: null, ...result, responseTime: Date.now() - startTime })
+    }
+
+    let urlObj
+    try {
+      urlObj = new URL(buildMessagesUrl(account.url))
+    } catch (error) {
+      return done({ failure: classifyAs('invalid_url', `无效的URL: ${account.url}`) })
+    }
+
+    const postData = JSON.stringify({ ...requestBody, stream: false })
+    const transport = urlObj.protocol === 'http:' ? http : https
+    const req = transport.request(requestOptions(urlObj, {
+      method: 'POST',
+      headers: buildHeaders(account, postData, headers)
+    }, account.proxy), (res) => {
+      let data = ''
+      res.setEncoding('utf8')
+      res.on('data', chunk => { data += chunk })
+      res.on('end', () => {
+        clearTimeout(timer)
+        let body = data
+        try {
+          body = JSON.parse(data)
+        } catch (error) {
+          // 非JSON响应，保留原始文本
+        }
+        done({ httpStatus: res.statusCode, headers: res.headers, body })
+      })
+      res.on('error', (error) => {
+        clearTimeout(timer)
+        done({ failure: classifyNetworkError(error) })
+      })
+    })
+
+    const timer = setTimeout(() => {
+      req.destroy()
+      done({ failure: classifyAs('timeout', '响应超时') })
+    }, timeout)
+
+    req.on('error', (error) => {
+      clearTimeout(timer)
+      done({ failure: classifyNetworkError(error) })
+    })
+
+    req.write(postData)
+    req.end()
+  })
+}
+
+module.exports = {
+  ANTHROPIC_VERSION,
+  DEFAULT_PROMPT,
+  testSingleModelHTTP,
+  postMessages,
+  buildMessagesUrl
+}
@@ -0,0 +1,102 @@
+/**
+ * Web服务的批量验证任务队列
+ *
+ * - createTaskQueue: 全局有界队列，限制同时进行的账号测试数量（实现见 task-pool.js）
+ *   （CLI 模式下每个账号测试都会启动 Claude CLI 进程），可以再限制同一中转服务同时测试的账号数
+ * - createJobManager: 管理批量验证任务，每个任务拆分为单账号测试投入队列，
+ *   通过 EventEmitter 推送进度，供 SSE 接口转发
+ *
+ * 任务事件:
+ *   model    单个模型测试完成 { account, model, result }
+ *   account  单个账号测试完成 { index, result, completed, total }
+ *   done     任务结束 { status, stats }
+ */
+
+const crypto = require('crypto')
+const { EventEmitter } = require('events')
+const { relayHost } = require('./task-pool')
+
+// 创建批量任务管理器
+// runAccount(account, job, hooks) 执行单账号测试并返回结果
+// summarize(results, job) 在任务完成后计算统计
+function createJobManager({ queue, runAccount, summarize, maxJobs = 50 }) {
+  const jobs = new Map()
+
+  // 只保留最近 maxJobs 个任务，优先清理已结束的任务
+  function prune() {
+    if (jobs.size <= maxJobs) return
+    for (const [id, job] of jobs) {
+      if (jobs.size <= maxJobs) break
+      if (job.status === 'completed' || job.status === 'failed') {
+        jobs.delete(id)
+      }
+    }
+  }
+
+  // user 为创建任务的用户，查询任务时只对该用户可见
+  function createJob(accounts, settings = {}, user = null) {
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      user,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      total: accounts.length,
+      completed: 0,
+      settings,
+      accounts,
+      results: new Array(accounts.length).fill(null),
+      stats: null,
+      error: null,
+      events: new EventEmitter()
+    }
+    job.events.setMaxListeners(0)
+    jobs.set(job.id, job)
+    prune()
+
+    const tasks = accounts.map((account, index) => queue.push(async () => {
+      if (!job.startedAt) {
+        job.startedAt = new Date().toISOString()
+        job.status = 'running'
+      }
+      const result = await runAccount(account, job, {
+        onModelResult: (model, modelResult) => {
+          job.events.emit('model', { account: account.name, model: model.key, result: modelResult })
+        }
+      })
+      job.results[index] = result
+      job.completed++
+      job.events.emit('account', { index, result, completed: job.completed, total: job.total })
+    }, relayHost(account.url)))
+
+    Promise.allSettled(tasks)
+      .then((outcomes) => {
+        const rejected = outcomes.find(outcome => outcome.status === 'rejected')
+        if (rejected) {
+          throw rejected.reason
+        }
+        job.stats = summarize(job.results, job)
+        job.status = 'completed'
+      })
+      .catch((error) => {
+        job.error = error.message
+        job.status = 'failed'
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString()
+        job.events.emit('done', { status: job.status, stats: job.stats, error: job.error })
+      })
+
+    return job
+  }
+
+  return {
+    createJob,
+    getJob: (id) => jobs.get(id) || null
+  }
+}
+
+module.exports = {
+  createJobManager
+}
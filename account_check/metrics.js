@@ -0,0 +1,136 @@
+/**
+ * Prometheus 指标 - 由检测历史 (check-history.jsonl) 生成文本格式的指标
+ *
+ * 两种接入方式:
+ * - Web服务 GET /metrics（与 /api 使用相同的认证）
+ * - 命令行 --metrics-file /var/lib/node_exporter/textfile/claude_accounts.prom，
+ *   每次检测后写入，供 node_exporter 的 textfile collector 读取
+ *
+ * 指标（只包含最近一次全量检测中的账号和模型）:
+ *   claude_account_up{account,url,model}                         最近一次检测是否通过 (1/0)
+ *   claude_account_response_time_seconds{account,url,model}      最近一次测试的响应时间
+ *   claude_account_consecutive_failures{account,url,model}       连续失败次数
+ *   claude_account_last_check_timestamp_seconds{account,url}     最近一次检测时间
+ *   claude_account_errors_total{account,url,model,error_class}   历史中各错误类别的失败次数
+ *   claude_account_quota_remaining_usd{account,url}              最近一次查询到的剩余额度（只包含有总额度的账号，见 quota.js）
+ *   claude_account_quota_expiry_timestamp_seconds{account,url}   账号到期时间
+ *   claude_check_last_run_timestamp_seconds{scope}               最近一次全量检测 / 复查的时间
+ *   claude_check_runs_total{scope}                               历史中的检测次数
+ */
+
+const { ERROR_CLASSES } = require('./error-classes')
+
+// 旧历史记录没有 errorClass，按中文名称反查
+const CLASS_BY_LABEL = Object.fromEntries(Object.entries(ERROR_CLASSES).map(([key, value]) => [value.label, key]))
+
+// 标签值转义: 反斜杠、双引号、换行
+function escapeLabel(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+}
+
+function formatLabels(labels) {
+  return '{' + Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',') + '}'
+}
+
+function toSeconds(time) {
+  return Date.parse(time) / 1000
+}
+
+// 按历史回放每个账号、模型的最新状态和错误计数
+function collectAccountMetrics(runs) {
+  const accounts = new Map()
+
+  for (const run of runs) {
+    for (const account of run.accounts) {
+      const state = accounts.get(account.name) || { name: account.name, url: account.url, lastCheck: null, quota: null, models: {} }
+      state.url = account.url
+      state.lastCheck = run.time
+      if (account.quota && account.quota.status !== 'unavailable') {
+        state.quota = account.quota
+      }
+
+      for (const [modelKey, record] of Object.entries(account.models || {})) {
+        const model = state.models[modelKey] || { up: 0, responseTime: null, consecutiveFailures: 0, errors: {} }
+        model.up = record.status === 'success' ? 1 : 0
+        model.consecutiveFailures = model.up ? 0 : model.consecutiveFailures + 1
+        if (record.status !== 'skipped') {
+          model.responseTime = record.responseTime || 0
+        }
+        if (record.status === 'failed') {
+          const errorClass = record.errorClass || CLASS_BY_LABEL[record.errorType] || 'unknown'
+          model.errors[errorClass] = (model.errors[errorClass] || 0) + 1
+        }
+        state.models[modelKey] = model
+      }
+      accounts.set(account.name, state)
+    }
+  }
+
+  return accounts
+}
+
+// 生成 Prometheus 文本格式
+function buildMetrics(runs) {
+  const lastFull = [...runs].reverse().find(run => run.scope !== 'recheck')
+  const current = new Set(lastFull ? lastFull.accounts.map(account => account.name) : [])
+  const accounts = [...collectAccountMetrics(runs).values()].filter(account => current.has(account.name))
+  // 已从模型矩阵中移除的模型不再输出（旧历史记录没有 models 时不过滤）
+  const currentModels = lastFull && Array.isArray(lastFull.models) ? new Set(lastFull.models.map(model => model.key)) : null
+
+  const families = [
+    { name: 'claude_account_up', type: 'gauge', help: 'Whether the model passed on the latest check (1 = passed)' },
+    { name: 'claude_account_response_time_seconds', type: 'gauge', help: 'Response time of the latest probe' },
+    { name: 'claude_account_consecutive_failures', type: 'gauge', help: 'Consecutive failed checks for the model' },
+    { name: 'claude_account_last_check_timestamp_seconds', type: 'gauge', help: 'Unix time of the latest check of the account' },
+    { name: 'claude_account_errors_total', type: 'counter', help: 'Failed checks by error class in the check history' },
+    { name: 'claude_account_quota_remaining_usd', type: 'gauge', help: 'Remaining quota reported by the relay service' },
+    { name: 'claude_account_quota_expiry_timestamp_seconds', type: 'gauge', help: 'Unix time when the key expires' },
+    { name: 'claude_check_last_run_timestamp_seconds', type: 'gauge', help: 'Unix time of the latest check run' },
+    { name: 'claude_check_runs_total', type: 'counter', help: 'Check runs in the check history' }
+  ]
+  const samples = Object.fromEntries(families.map(family => [family.name, []]))
+  const add = (name, labels, value) => samples[name].push(`${name}${formatLabels(labels)} ${value}`)
+
+  for (const account of accounts) {
+    const accountLabels = { account: account.name, url: account.url }
+    add('claude_account_last_check_timestamp_seconds', accountLabels, toSeconds(account.lastCheck))
+    if (account.quota && account.quota.remaining !== null && account.quota.remaining !== undefined) {
+      add('claude_account_quota_remaining_usd', accountLabels, account.quota.remaining)
+    }
+    if (account.quota && account.quota.expiresAt) {
+      add('claude_account_quota_expiry_timestamp_seconds', accountLabels, toSeconds(account.quota.expiresAt))
+    }
+
+    for (const [modelKey, model] of Object.entries(account.models)) {
+      if (currentModels && !currentModels.has(modelKey)) continue
+      const labels = { ...accountLabels, model: modelKey }
+      add('claude_account_up', labels, model.up)
+      if (model.responseTime !== null) {
+        add('claude_account_response_time_seconds', labels, model.responseTime / 1000)
+      }
+      add('claude_account_consecutive_failures', labels, model.consecutiveFailures)
+      for (const [errorClass, count] of Object.entries(model.errors)) {
+        add('claude_account_errors_total', { ...labels, error_class: errorClass }, count)
+      }
+    }
+  }
+
+  for (const scope of ['full', 'recheck']) {
+    const scoped = runs.filter(run => (run.scope || 'full') === scope)
+    add('claude_check_runs_total', { scope }, scoped.length)
+    if (scoped.length > 0) {
+      add('claude_check_last_run_timestamp_seconds', { scope }, toSeconds(scoped[scoped.length - 1].time))
+    }
+  }
+
+  return families
+    .map(family => [`# HELP ${family.name} ${family.help}`, `# TYPE ${family.name} ${family.type}`, ...samples[family.name]].join('\n'))
+    .join('\n') + '\n'
+}
+
+module.exports = {
+  buildMetrics
+}
@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+
+/**
+ * 本地模拟中转服务 - 用于在没有真实账号的情况下验证 --mode http 探测
+ *
+ * 使用方法:
+ *   node mock-relay-server.js [--port 3900]
+ *
+ * 账号 URL 填写 http://localhost:3900/api（任意前缀 + /v1/messages 均可），
+ * 通过 API Key 中包含的关键字控制返回结果:
+ *   invalid      → 401 认证失败
+ *   expired      → 401 Key已过期
+ *   quota        → 429 额度耗尽（错误信息中包含 quota）
+ *   forbidden    → 403 无权限
+ *   sonnet-only  → Opus 模型返回 403，其它模型正常
+ *   ratelimit    → 429 限流
+ *   overloaded   → 529 上游过载
+ *   error500     → 500 服务端错误
+ *   flaky-<次数> → 每个模型的前几次请求返回 529，之后正常（用于验证重试，例如 flaky-2）
+ *   garbage      → 200 但返回非JSON内容
+ *   substitute   → 成功，但响应中的 model 字段被替换为其它模型
+ *   slow-<毫秒>  → 延迟指定时间后再响应（例如 slow-5000）
+ *   stream-error → 流式请求在输出部分内容后返回 overloaded_error 事件
+ *   其它         → 正常返回
+ *
+ * 能力探测（见 capabilities.js）默认全部支持: 带 tools 的请求返回 tool_use，回传 tool_result 后复述结果；
+ * 长文本中的暗号、图片颜色按请求内容回答；开启 thinking 时返回 thinking 内容块；带 cache_control 的 system 第二次请求命中缓存。
+ * 以下关键字模拟不支持的中转服务:
+ *   notools      → 带 tools 的请求返回 400
+ *   ctx-<token数> → 输入超过该 token 数时返回 400 prompt is too long（例如 ctx-20000）
+ *   noimage      → 丢弃图片，回答看不到图片
+ *   nothinking   → 忽略 thinking 参数
+ *   nocache      → usage 中没有缓存字段
+ *
+ * 额度接口（见 quota.js）: POST /apiStats/api/user-stats（claude-relay）、GET /v1/dashboard/billing/*（one-api），
+ * 总额度 $50，已用额度按 key 关键字:
+ *   quota → 已用完；lowbalance → 剩余 $3；expiring → 2 天后到期；invalid → 查询失败；其它 → 已用 $12.50
+ *
+ * 请求带 stream: true 时按 SSE 流式返回，文本分片之间间隔 STREAM_CHUNK_DELAY 毫秒。
+ *
+ * 示例账号文件 (CSV):
+ *   账号名称,url,token
+ *   正常账号,http://localhost:3900/api,cr_mock_ok
+ *   仅Sonnet,http://localhost:3900/api,cr_mock_sonnet-only
+ *   无效Key,http://localhost:3900/api,cr_mock_invalid
+ */
+
+const express = require('express')
+
+const SUBSTITUTE_MODEL = 'claude-3-5-haiku-20241022'
+const STREAM_CHUNK_DELAY = 50
+
+function parsePort() {
+  const args = process.argv.slice(2)
+  const index = args.indexOf('--port')
+  if (index !== -1 && args[index + 1]) {
+    return parseInt(args[index + 1])
+  }
+  return parseInt(process.env.MOCK_RELAY_PORT || '3900')
+}
+
+// 构造 Anthropic 风格的错误响应
+function sendError(res, statusCode, type, message) {
+  res.status(statusCode).json({
+    type: 'error',
+    error: { type, message }
+  })
+}
+
+// 按 Anthropic 流式格式逐个发送事件；failAfter 为发送几个文本分片后返回错误事件（null 表示不出错）
+function sendStream(res, message, failAfter = null) {
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`)
+  const text = message.content[0].text
+  const chunks = text.match(/.{1,4}/gu)
+
+  res.status(200).set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' })
+  send('message_start', { message: { ...message, content: [], stop_reason: null, usage: { ...message.usage, output_tokens: 1 } } })
+  send('content_block_start', { index: 0, content_block: { type: 'text', text: '' } })
+
+  let index = 0
+  const next = () => {
+    if (failAfter !== null && index === failAfter) {
+      send('error', { error: { type: 'overloaded_error', message: 'Overloaded' } })
+      return res.end()
+    }
+    if (index < chunks.length) {
+      send('content_block_delta', { index: 0, delta: { type: 'text_delta', text: chunks[index++] } })
+      return setTimeout(next, STREAM_CHUNK_DELAY)
+    }
+    send('content_block_stop', { index: 0 })
+    send('message_delta', { delta: { stop_reason: 'end_turn', stop_sequence: null }, usage: { output_tokens: message.usage.output_tokens } })
+    send('message_stop', {})
+    res.end()
+  }
+  next()
+}
+
+// 模拟的额度信息
+function mockQuota(key) {
+  return {
+    limit: 50,
+    used: key.includes('quota') ? 50 : key.includes('lowbalance') ? 47 : 12.5,
+    expiresAt: new Date(Date.now() + (key.includes('expiring') ? 2 : 30) * 24 * 3600 * 1000)
+  }
+}
+
+// 从请求头中读取 API Key（兼容 x-api-key 与 Bearer 两种方式）
+function readApiKey(req) {
+  if (req.get('x-api-key')) return req.get('x-api-key')
+  const auth = req.get('authorization') || ''
+  return auth.replace(/^Bearer\s+/i, '')
+}
+
+// 请求中所有文本（用于估算输入 token 数和查找暗号）
+function requestText(body) {
+  const parts = []
+  const collect = (content) => {
+    if (typeof content === 'string') return parts.push(content)
+    if (Array.isArray(content)) {
+      content.forEach(block => {
+        if (block.type === 'text') parts.push(block.text)
+        if (block.type === 'tool_result') collect(block.content)
+      })
+    }
+  }
+  collect(body.system)
+  ;(body.messages || []).forEach(message => collect(message.content))
+  return parts.join('\n')
+}
+
+// 按请求内容模拟能力相关的回复，返回 { content, usage }，普通请求返回 null
+function mockCapabilityReply(key, body, cacheEntries) {
+  const messages = body.messages || []
+  const last = messages[messages.length - 1] || {}
+  const lastBlocks = Array.isArray(last.content) ? last.content : []
+  const text = requestText(body)
+  const inputTokens = Math.ceil(text.length / 4)
+  const usage = { input_tokens: inputTokens, output_tokens: 16 }
+
+  // 提示缓存: 同一个 system 第一次写入缓存，之后命中
+  const cached = Array.isArray(body.system) && body.system.some(block => block.cache_control)
+  if (!key.includes('nocache')) {
+    usage.cache_creation_input_tokens = 0
+    usage.cache_read_input_tokens = 0
+    if (cached) {
+      const systemText = JSON.stringify(body.system)
+      if (cacheEntries.has(systemText)) {
+        usage.cache_read_input_tokens = inputTokens
+      } else {
+        cacheEntries.add(systemText)
+        usage.cache_creation_input_tokens = inputTokens
+      }
+    }
+  }
+
+  const content = []
+  if (body.thinking && !key.includes('nothinking')) {
+    content.push({ type: 'thinking', thinking: '27 * 43 = 27 * 40 + 27 * 3 = 1080 + 81 = 1161', signature: 'mock' })
+  }
+
+  const toolResult = lastBlocks.find(block => block.type === 'tool_result')
+  const passphrase = text.match(/secret passphrase is (\w+)/)
+  if (toolResult) {
+    content.push({ type: 'text', text: `Weather report: ${typeof toolResult.content === 'string' ? toolResult.content : JSON.stringify(toolResult.content)}` })
+  } else if (Array.isArray(body.tools) && body.tools.length > 0) {
+    content.push({ type: 'tool_use', id: `toolu_mock_${Date.now()}`, name: body.tools[0].name, input: { city: 'Paris' } })
+  } else if (lastBlocks.some(block => block.type === 'image')) {
+    content.push({ type: 'text', text: key.includes('noimage') ? 'I do not see any image.' : 'Red' })
+  } else if (passphrase) {
+    content.push({ type: 'text', text: passphrase[1] })
+  } else if (body.thinking || cached) {
+    content.push({ type: 'text', text: cached ? 'OK' : '1161' })
+  } else {
+    return null
+  }
+  return { content, usage }
+}
+
+function createMockRelayApp() {
+  const app = express()
+  const flakyCounts = new Map() // flaky-N: 按 key + 模型记录已失败次数
+  const cacheEntries = new Set() // 已写入缓存的 system 提示
+  app.use(express.json({ limit: '10mb' }))
+
+  // claude-relay-service 的 Key 统计接口
+  app.post('/apiStats/api/user-stats', (req, res) => {
+    const key = (req.body && req.body.apiKey) || ''
+    if (!key || key.includes('invalid')) {
+      return res.status(404).json({ success: false, message: 'API key not found' })
+    }
+    const quota = mockQuota(key)
+    res.json({
+      success: true,
+      data: {
+        name: 'mock',
+        isActive: true,
+        expiresAt: quota.expiresAt.toISOString(),
+        usage: { total: { cost: quota.used, requests: 100, tokens: 100000 } },
+        limits: { totalCostLimit: quota.limit, currentTotalCost: quota.used, dailyCostLimit: 0, currentDailyCost: 1.2 }
+      }
+    })
+  })
+
+  // one-api / new-api 的账单接口
+  app.get('/v1/dashboard/billing/:type', (req, res) => {
+    const key = readApiKey(req)
+    if (!key || key.includes('invalid')) {
+      return sendError(res, 401, 'authentication_error', 'invalid token')
+    }
+    const quota = mockQuota(key)
+    if (req.params.type === 'subscription') {
+      return res.json({ object: 'billing_subscription', hard_limit_usd: quota.limit, access_until: Math.floor(quota.expiresAt / 1000) })
+    }
+    res.json({ object: 'list', total_usage: quota.used * 100 })
+  })
+
+  app.post(/\/v1\/messages$/, (req, res) => {
+    const key = readApiKey(req)
+    const model = (req.body && req.body.model) || ''
+    const slowMatch = key.match(/slow-(\d+)/)
+    const delay = slowMatch ? parseInt(slowMatch[1]) : 0
+
+    setTimeout(() => {
+      if (!key) {
+        return sendError(res, 401, 'authentication_error', 'missing api key')
+      }
+      if (key.includes('invalid')) {
+        return sendError(res, 401, 'authentication_error', 'invalid x-api-key')
+      }
+      if (key.includes('expired')) {
+        return sendError(res, 401, 'authentication_error', 'api key has expired')
+      }
+      if (key.includes('quota')) {
+        return sendError(res, 429, 'rate_limit_error', 'quota exceeded for this key')
+      }
+      if (key.includes('forbidden')) {
+        return sendError(res, 403, 'permission_error', 'this key has no access')
+      }
+      if (key.includes('sonnet-only') && model.includes('opus')) {
+        return sendError(res, 403, 'permission_error', `model ${model} is not allowed for this key`)
+      }
+      if (key.includes('ratelimit')) {
+        return sendError(res, 429, 'rate_limit_error', 'rate limit exceeded')
+      }
+      if (key.includes('overloaded')) {
+        return sendError(res, 529, 'overloaded_error', 'Overloaded')
+      }
+      if (key.includes('error500')) {
+        return sendError(res, 500, 'api_error', 'internal relay error')
+      }
+      const flakyMatch = key.match(/flaky-(\d+)/)
+      if (flakyMatch) {
+        const counter = `${key}:${model}`
+        const failures = flakyCounts.get(counter) || 0
+        if (failures < parseInt(flakyMatch[1])) {
+          flakyCounts.set(counter, failures + 1)
+          return sendError(res, 529, 'overloaded_error', 'Overloaded')
+        }
+      }
+      if (key.includes('garbage')) {
+        return res.status(200).type('text/html').send('<html>502 Bad Gateway</html>')
+      }
+
+      const body = req.body || {}
+      if (key.includes('notools') && body.tools) {
+        return sendError(res, 400, 'invalid_request_error', 'tools are not supported by this relay')
+      }
+      const contextMatch = key.match(/ctx-(\d+)/)
+      if (contextMatch && requestText(body).length / 4 > parseInt(contextMatch[1])) {
+        return sendError(res, 400, 'invalid_request_error', `prompt is too long: ${Math.ceil(requestText(body).length / 4)} tokens > ${contextMatch[1]} maximum`)
+      }
+
+      const actualModel = key.includes('substitute') ? SUBSTITUTE_MODEL : model
+      const capabilityReply = body.stream ? null : mockCapabilityReply(key, body, cacheEntries)
+      if (capabilityReply) {
+        return res.json({
+          id: `msg_mock_${Date.now()}`,
+          type: 'message',
+          role: 'assistant',
+          model: actualModel,
+          content: capabilityReply.content,
+          stop_reason: capabilityReply.content.some(block => block.type === 'tool_use') ? 'tool_use' : 'end_turn',
+          stop_sequence: null,
+          usage: capabilityReply.usage
+        })
+      }
+      const message = {
+        id: `msg_mock_${Date.now()}`,
+        type: 'message',
+        role: 'assistant',
+        model: actualModel,
+        content: [{ type: 'text', text: `我是 ${actualModel}（模拟中转服务返回）` }],
+        stop_reason: 'end_turn',
+        stop_sequence: null,
+        usage: { input_tokens: 12, output_tokens: 16 }
+      }
+      if (req.body && req.body.stream) {
+        return sendStream(res, message, key.includes('stream-error') ? 2 : null)
+      }
+      res.json(message)
+    }, delay)
+  })
+
+  return app
+}
+
+if (require.main === module) {
+  const port = parsePort()
+  createMockRelayApp().listen(port, '127.0.0.1', () => {
+    console.log(`🧪 模拟中转服务已启动: http://localhost:${port}/api`)
+  })
+}
+
+module.exports = { createMockRelayApp }
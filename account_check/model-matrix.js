@@ -0,0 +1,223 @@
+/**
+ * 测试模型矩阵 - 决定每个账号要测试哪些模型以及测试顺序
+ *
+ * 模型列表可以来自:
+ * - 命令行 --models 参数，格式: [key=]模型ID[:依赖key]，多个模型用逗号分隔
+ *   例如: --models sonnet4=claude-sonnet-4-20250514,opus41=claude-opus-4-1-20250805:sonnet4
+ *   表示先测 sonnet4，只有 sonnet4 通过后才测 opus41
+ * - JSON 配置文件 (--models-config models.json):
+ *   [{ "id": "claude-sonnet-4-20250514" },
+ *    { "id": "claude-opus-4-1-20250805", "requires": "sonnet4" }]
+ *   也可以写成 { "models": [...] }
+ *
+ * key 省略时由模型ID推导: claude-sonnet-4-20250514 → sonnet4, claude-opus-4-1-20250805 → opus41
+ * 结果、CSV列、统计和通知都按 key 组织，新增模型只需修改参数或配置文件。
+ */
+
+const fs = require('fs')
+
+const DEFAULT_MODELS = [
+  { id: 'claude-sonnet-4-20250514' },
+  { id: 'claude-opus-4-1-20250805', requires: 'sonnet4' }
+]
+
+// 账号整体状态
+const OVERALL_STATUS = {
+  ALL_SUCCESS: 'all_success',
+  PARTIAL: 'partial',
+  ALL_FAILED: 'all_failed'
+}
+
+// 去掉 claude- 前缀和日期后缀后的模型名片段
+function modelNameParts(modelId) {
+  return modelId
+    .replace(/^claude-/, '')
+    .replace(/-\d{8}$/, '')
+    .replace(/-latest$/, '')
+    .split(/[-.]/)
+    .filter(Boolean)
+}
+
+// 由模型ID推导结果字段名，例如 claude-opus-4-1-20250805 → opus41
+function deriveModelKey(modelId) {
+  return modelNameParts(modelId).join('').replace(/[^a-zA-Z0-9_]/g, '')
+}
+
+// 由模型ID推导显示名称，例如 claude-opus-4-1-20250805 → Opus 4.1
+function deriveModelLabel(modelId) {
+  const parts = modelNameParts(modelId)
+  const words = parts.filter(part => !/^\d+$/.test(part))
+  const version = parts.filter(part => /^\d+$/.test(part)).join('.')
+  const name = words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')
+  return [name, version].filter(Boolean).join(' ') || modelId
+}
+
+// 补全 key/label 并校验依赖关系（依赖的模型必须排在前面）
+function normalizeModels(list) {
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('模型列表不能为空')
+  }
+
+  const models = []
+  const seen = new Set()
+
+  for (const item of list) {
+    const entry = typeof item === 'string' ? { id: item } : item
+    if (!entry || !entry.id) {
+      throw new Error(`模型配置缺少 id: ${JSON.stringify(item)}`)
+    }
+
+    const model = {
+      id: entry.id,
+      key: entry.key || deriveModelKey(entry.id),
+      label: entry.label || deriveModelLabel(entry.id),
+      requires: entry.requires || null
+    }
+
+    if (seen.has(model.key)) {
+      throw new Error(`模型 key 重复: ${model.key}`)
+    }
+    if (model.requires) {
+      const dependency = models.find(m => m.key === model.requires || m.id === model.requires)
+      if (!dependency) {
+        throw new Error(`模型 ${model.key} 依赖的 ${model.requires} 未在它之前定义`)
+      }
+      model.requires = dependency.key
+    }
+
+    seen.add(model.key)
+    models.push(model)
+  }
+
+  return models
+}
+
+// 解析 --models 参数
+function parseModelsSpec(spec) {
+  const list = spec.split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => {
+      let rest = item
+      let key = null
+      let requires = null
+
+      const eqIndex = rest.indexOf('=')
+      if (eqIndex !== -1) {
+        key = rest.substring(0, eqIndex).trim()
+        rest = rest.substring(eqIndex + 1).trim()
+      }
+
+      const colonIndex = rest.indexOf(':')
+      if (colonIndex !== -1) {
+        requires = rest.substring(colonIndex + 1).trim()
+        rest = rest.substring(0, colonIndex).trim()
+      }
+
+      return { id: rest, key, requires }
+    })
+
+  return normalizeModels(list)
+}
+
+// 读取模型配置文件
+function loadModelsConfig(filePath) {
+  const content = JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+  return normalizeModels(Array.isArray(content) ? content : content.models)
+}
+
+// 测试流程的文字描述，例如 "Sonnet 4 → Opus 4.1 (需 Sonnet 4 通过)"
+function describeModelFlow(models) {
+  return models.map(model => {
+    if (!model.requires) return model.label
+    const dependency = models.find(m => m.key === model.requires)
+    return `${model.label} (需 ${dependency.label} 通过)`
+  }).join(' → ')
+}
+
+// 根据各模型结果计算账号整体状态
+function computeOverallStatus(modelResults, models) {
+  const successCount = models.filter(m => modelResults[m.key] && modelResults[m.key].status === 'success').length
+  if (successCount === models.length) return OVERALL_STATUS.ALL_SUCCESS
+  if (successCount === 0) return OVERALL_STATUS.ALL_FAILED
+  return OVERALL_STATUS.PARTIAL
+}
+
+// 按矩阵依次测试一个账号的所有模型
+// probeModel(account, modelId) 返回单模型结果；hooks 用于输出进度
+async function runModelMatrix(account, models, probeModel, hooks = {}) {
+  const modelResults = {}
+
+  for (const model of models) {
+    const dependency = model.requires ? modelResults[model.requires] : null
+
+    if (dependency && dependency.status !== 'success') {
+      const dependencyModel = models.find(m => m.key === model.requires)
+      modelResults[model.key] = {
+        model: model.id,
+        key: model.key,
+        label: model.label,
+        status: 'skipped',
+        responseTime: 0,
+        error: `${dependencyModel.label} 测试失败，跳过此测试`,
+        errorType: '跳过测试'
+      }
+      if (hooks.onModelSkipped) hooks.onModelSkipped(model, modelResults[model.key])
+      continue
+    }
+
+    if (hooks.onModelStart) hooks.onModelStart(model)
+    const result = await probeModel(account, model.id)
+    modelResults[model.key] = { ...result, key: model.key, label: model.label }
+    if (hooks.onModelResult) hooks.onModelResult(model, modelResults[model.key])
+  }
+
+  return {
+    models: modelResults,
+    overallStatus: computeOverallStatus(modelResults, models)
+  }
+}
+
+// 取账号中第一个失败的模型结果（用于展示失败原因）
+function firstFailedModel(result, models) {
+  const model = models.find(m => result.models[m.key] && result.models[m.key].status === 'failed')
+  return model ? result.models[model.key] : null
+}
+
+// 汇总统计: 各整体状态的账号数 + 每个模型的成功/失败/跳过数
+function computeStats(results, models) {
+  const stats = {
+    total: results.length,
+    all_success: results.filter(r => r.overallStatus === OVERALL_STATUS.ALL_SUCCESS).length,
+    partial: results.filter(r => r.overallStatus === OVERALL_STATUS.PARTIAL).length,
+    all_failed: results.filter(r => r.overallStatus === OVERALL_STATUS.ALL_FAILED).length,
+    models: {}
+  }
+
+  for (const model of models) {
+    const modelResults = results.map(r => r.models[model.key]).filter(Boolean)
+    stats.models[model.key] = {
+      label: model.label,
+      success: modelResults.filter(m => m.status === 'success').length,
+      failed: modelResults.filter(m => m.status === 'failed').length,
+      skipped: modelResults.filter(m => m.status === 'skipped').length
+    }
+  }
+
+  return stats
+}
+
+module.exports = {
+  DEFAULT_MODELS,
+  OVERALL_STATUS,
+  deriveModelKey,
+  deriveModelLabel,
+  normalizeModels,
+  parseModelsSpec,
+  loadModelsConfig,
+  describeModelFlow,
+  computeOverallStatus,
+  runModelMatrix,
+  firstFailedModel,
+  computeStats
+}
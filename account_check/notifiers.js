@@ -0,0 +1,763 @@
+/**
+ * 通知渠道 - 检测完成后把同一份结果发送到多个渠道
+ *
+ * 渠道配置文件 (--notify-config notifiers.json)，可以同时配置多个渠道:
+ *   {
+ *     "notifiers": [
+ *       { "type": "dingtalk", "webhook": "https://oapi.dingtalk.com/robot/send?access_token=xxx", "secret": "SECxxx", "atAll": true },
+ *       { "type": "feishu", "webhook": "https://open.feishu.cn/open-apis/bot/v2/hook/xxx", "secret": "xxx", "when": "always" },
+ *       { "type": "wecom", "webhook": "https://qyapi.weixin.qq.com/cgi-bin/webhook/send?key=xxx" },
+ *       { "type": "slack", "webhook": "https://hooks.slack.com/services/xxx" },
+ *       { "type": "webhook", "url": "https://example.com/hook", "headers": { "Authorization": "Bearer xxx" } },
+ *       { "type": "smtp", "host": "smtp.example.com", "port": 465, "secure": true,
+ *         "user": "bot@example.com", "pass": "xxx", "from": "bot@example.com", "to": ["ops@example.com"] }
+ *     ]
+ *   }
+ *   也可以直接写成数组。
+ *
+ * 通用字段:
+ *   name    渠道名称，用于日志（默认为渠道类型名称，如 钉钉）
+ *   when    changes: 只在账号状态变化（异常、恢复、新增、移除、新出现额度预警）或持续异常提醒时发送（默认，见 status-changes.js）
+ *           failures: 每次检测有部分或完全失败的账号、或有额度预警时发送完整失败列表
+ *           always: 每次检测都发送完整结果
+ *   atAll   有账号完全失败时 @所有人（钉钉、飞书、Slack）；changes 模式下只在有账号新变为全部失败（或首次出现就全部失败）时
+ *           配置了负责人（--owners，见 owners.js）时只在没有负责人的账号完全失败时 @所有人
+ *   proxy   发送通知使用的代理（http://、https://、socks5:// 或 direct），默认使用命令行的 --proxy（见 proxy.js）
+ *
+ * 配置了负责人时，消息末尾按负责人汇总涉及的账号，并在钉钉、飞书、企业微信、Slack 中只 @ 有异常账号的负责人；
+ * 负责人订阅的个人摘要（带 owner 字段的渠道）只包含该负责人的账号，不 @ 任何人。
+ *
+ * 所有渠道都基于 buildNotificationReport 生成的同一份报告格式化消息，
+ * 发送失败只记录日志，不影响检测主流程。
+ */
+
+const fs = require('fs')
+const http = require('http')
+const https = require('https')
+const net = require('net')
+const tls = require('tls')
+const os = require('os')
+const crypto = require('crypto')
+const { OVERALL_STATUS, firstFailedModel, computeStats } = require('./model-matrix')
+const { STATUS_LABELS } = require('./status-changes')
+const { QUOTA_STATUS_LABELS, describeQuota } = require('./quota')
+const { parseProxy, openConnection, requestOptions } = require('./proxy')
+const { findOwner, groupByOwner, scopeToOwner } = require('./owners')
+
+const SEND_TIMEOUT = 10000
+const NOTIFY_WHEN = ['changes', 'failures', 'always']
+const MAX_LISTED_ACCOUNTS = 10
+const QUOTA_ALERT_STATUSES = ['exhausted', 'expired', 'disabled']
+
+// 通知涉及的账号及其情况 [{ name, label, alert }]，alert 为 true 表示需要负责人处理
+function ownerItems(report) {
+  const statusLabel = status => STATUS_LABELS[status] || status
+  if (report.view === 'changes') {
+    const { changes } = report
+    return [
+      ...changes.degraded.map(entry => ({ name: entry.name, label: `变为${statusLabel(entry.to)}`, alert: true })),
+      ...changes.stillDown.map(entry => ({ name: entry.name, label: `已连续异常 ${entry.downRuns} 次`, alert: true })),
+      ...changes.appeared
+        .filter(entry => entry.to !== OVERALL_STATUS.ALL_SUCCESS)
+        .map(entry => ({ name: entry.name, label: `新增，${statusLabel(entry.to)}`, alert: true })),
+      ...(changes.quotaWarnings || []).map(entry => ({ name: entry.name, label: '额度预警', alert: true })),
+      ...changes.recovered.map(entry => ({ name: entry.name, label: '已恢复', alert: false }))
+    ]
+  }
+  return [
+    ...report.allFailed.map(acc => ({ name: acc.name, label: '完全失败', alert: true })),
+    ...report.partial.map(acc => ({ name: acc.name, label: '部分通过', alert: true })),
+    ...report.suspected.map(acc => ({ name: acc.name, label: '疑似模型替换', alert: true })),
+    ...report.quotaAlerts.map(acc => ({
+      name: acc.name,
+      label: QUOTA_ALERT_STATUSES.includes(acc.status) ? QUOTA_STATUS_LABELS[acc.status] : '额度预警',
+      alert: true
+    }))
+  ]
+}
+
+// 按负责人汇总通知涉及的账号: [{ owner, alert, accounts: [{ name, labels }] }]，没有负责人的账号 owner 为 null
+function summarizeByOwner(owners, items) {
+  if (owners.length === 0) return []
+  const accounts = new Map()
+  for (const item of items) {
+    if (!accounts.has(item.name)) accounts.set(item.name, { name: item.name, labels: [], alert: false })
+    const account = accounts.get(item.name)
+    if (!account.labels.includes(item.label)) account.labels.push(item.label)
+    account.alert = account.alert || item.alert
+  }
+  return groupByOwner(owners, [...accounts.values()]).map(({ owner, entries }) => ({
+    owner,
+    alert: entries.some(entry => entry.alert),
+    accounts: entries.map(({ name, labels }) => ({ name, labels }))
+  }))
+}
+
+// 汇总本次检测结果，供各渠道格式化
+// changes 为 detectStatusChanges 的结果；view 为 changes 时按状态变化格式化，summary 时列出全部失败账号
+// owners 为负责人配置（见 owners.js）；digestOwner 为个人摘要的负责人，此时结果已只包含其账号，不 @ 任何人
+function buildNotificationReport(results, stats, models, changes = null, view = 'summary', { owners = [], digestOwner = null } = {}) {
+  const allFailed = results.filter(r => r.overallStatus === OVERALL_STATUS.ALL_FAILED)
+  const partial = results.filter(r => r.overallStatus === OVERALL_STATUS.PARTIAL)
+  const suspected = results.filter(r => r.suspectedSubstitution)
+  const quotaAlerts = results.filter(r => r.quota && (r.quota.warnings.length > 0 || QUOTA_ALERT_STATUSES.includes(r.quota.status)))
+  const hasFailures = allFailed.length > 0 || partial.length > 0
+
+  let title = hasFailures ? 'Claude账号测试告警' : quotaAlerts.length > 0 ? 'Claude账号额度预警' : 'Claude账号测试全部通过'
+  if (view === 'changes') {
+    title = changes.hasChanges ? 'Claude账号状态变化' : 'Claude账号持续异常提醒'
+  }
+  if (digestOwner) {
+    title += `（${digestOwner.name}）`
+  }
+
+  const report = {
+    time: new Date(),
+    view,
+    title,
+    hasFailures,
+    changes,
+    stats,
+    models,
+    results,
+    allFailed: allFailed.map(acc => {
+      const failed = firstFailedModel(acc, models)
+      return { name: acc.name, url: acc.url, error: failed && failed.error ? failed.error.substring(0, 30) : '未知错误' }
+    }),
+    partial: partial.map(acc => ({
+      name: acc.name,
+      url: acc.url,
+      failures: models
+        .filter(m => acc.models[m.key] && acc.models[m.key].status !== 'success')
+        .map(m => {
+          const modelResult = acc.models[m.key]
+          return { label: m.label, error: modelResult.error ? modelResult.error.substring(0, 30) : '未知错误' }
+        })
+    })),
+    // 疑似模型替换单独列出，原因不截断
+    suspected: suspected.map(acc => ({
+      name: acc.name,
+      url: acc.url,
+      models: models
+        .filter(m => acc.models[m.key] && acc.models[m.key].errorClass === 'suspected_substitution')
+        .map(m => ({ label: m.label, reasons: acc.models[m.key].authenticity.reasons }))
+    })),
+    // 额度已耗尽/过期/停用或即将耗尽的账号
+    quotaAlerts: quotaAlerts.map(acc => ({
+      name: acc.name,
+      url: acc.url,
+      status: acc.quota.status,
+      summary: describeQuota(acc.quota),
+      warnings: acc.quota.warnings
+    })),
+    owners,
+    digestOwner
+  }
+  report.ownerSummary = summarizeByOwner(owners, ownerItems(report))
+  // 需要 @ 的负责人，个人摘要不 @
+  report.mentionOwners = digestOwner ? [] : report.ownerSummary.filter(group => group.owner && group.alert).map(group => group.owner)
+  return report
+}
+
+// 各渠道 @ 负责人的写法，负责人没有该渠道的账号时返回 null（只显示名称）
+const MENTION_FORMATS = {
+  dingtalk: owner => owner.dingtalkMobile ? `@${owner.dingtalkMobile}` : owner.dingtalkUserId ? `@${owner.dingtalkUserId}` : null,
+  feishu: owner => owner.feishuOpenId ? `<at id=${owner.feishuOpenId}></at>` : null,
+  wecom: owner => owner.wecomUserId ? `<@${owner.wecomUserId}>` : null,
+  slack: owner => owner.slackUserId ? `<@${owner.slackUserId}>` : null
+}
+
+// 各渠道的 markdown 方言
+const MARKDOWN_STYLES = {
+  markdown: { heading: text => `## ${text}`, bold: text => `**${text}**`, lineBreak: '  ' },
+  slack: { heading: text => `*${text}*`, bold: text => `*${text}*`, lineBreak: '' },
+  text: { heading: text => text, bold: text => text, lineBreak: '' }
+}
+
+// 状态变化通知中的一组账号
+function formatChangeSection(title, entries, style, describe) {
+  if (entries.length === 0) return ''
+  let text = `\n\n${title.icon} ${style.bold(title.text)} (${entries.length}个):`
+  entries.slice(0, MAX_LISTED_ACCOUNTS).forEach(entry => {
+    text += `\n• ${style.bold(entry.name)}: ${describe(entry)}`
+  })
+  if (entries.length > MAX_LISTED_ACCOUNTS) {
+    text += `\n• 还有 ${entries.length - MAX_LISTED_ACCOUNTS} 个账号...`
+  }
+  return text
+}
+
+// 疑似模型替换的账号列表
+function formatSuspected(entries, style) {
+  return formatChangeSection({ icon: '🕵️', text: '疑似模型替换' }, entries, style, entry =>
+    entry.models.map(m => `${m.label} ${m.reasons.join('；')}`).join('；'))
+}
+
+// 额度预警的账号列表
+function formatQuotaAlerts(entries, style) {
+  return formatChangeSection({ icon: '💰', text: '额度预警' }, entries, style, entry => {
+    const reasons = QUOTA_ALERT_STATUSES.includes(entry.status) ? [QUOTA_STATUS_LABELS[entry.status]] : entry.warnings
+    return `${reasons.join('；')}${entry.summary ? `（${entry.summary}）` : ''}`
+  })
+}
+
+// 按负责人汇总的账号列表，需要 @ 的负责人按 style.mention 的渠道格式 @
+function formatOwnerSummary(report, style) {
+  if (report.ownerSummary.length === 0) return ''
+  let text = `\n\n👤 ${style.bold('负责人')}:`
+  report.ownerSummary.forEach(group => {
+    const mention = style.mention && report.mentionOwners.includes(group.owner) ? style.mention(group.owner) : null
+    const accounts = group.accounts.map(account => `${account.name}（${account.labels.join('、')}）`).join('、')
+    text += `\n• ${style.bold(group.owner ? group.owner.name : '未指定负责人')}${mention ? ` ${mention}` : ''}: ${accounts}`
+  })
+  return text
+}
+
+// 把状态变化格式化为 markdown / 纯文本
+function formatChanges(report, style) {
+  const { stats, changes } = report
+  const statusLabel = status => STATUS_LABELS[status] || status
+  const transition = entry => entry.from ? `${statusLabel(entry.from)} → ${statusLabel(entry.to)}` : statusLabel(entry.to)
+  const since = entry => new Date(entry.downSince).toLocaleString('zh-CN')
+
+  let text = `${style.heading(changes.hasChanges ? '🔔 Claude账号状态变化' : '⏳ Claude账号持续异常提醒')}
+
+📅 ${style.bold('测试时间')}: ${report.time.toLocaleString('zh-CN')}${style.lineBreak}
+📊 ${style.bold('当前状态')}: 共 ${stats.total}个，全部通过 ${stats.all_success}个 ✅，部分通过 ${stats.partial}个 ⚠️，完全失败 ${stats.all_failed}个 ❌`
+
+  text += formatChangeSection({ icon: '🔴', text: '异常' }, changes.degraded, style, entry =>
+    `${transition(entry)}${entry.models ? `，${entry.models.join('、')} 不再通过` : ''} → ${entry.error || '未知错误'}`)
+  text += formatChangeSection({ icon: '🟢', text: '恢复' }, changes.recovered, style, entry =>
+    `${transition(entry)}${entry.previousDownRuns > 0 ? `（此前连续异常 ${entry.previousDownRuns} 次）` : ''}`)
+  text += formatChangeSection({ icon: '🆕', text: '新增账号' }, changes.appeared, style, entry =>
+    `${statusLabel(entry.to)}${entry.error ? ` → ${entry.error}` : ''}`)
+  text += formatChangeSection({ icon: '➖', text: '移除账号' }, changes.disappeared, style, entry =>
+    `${entry.url}（移除前 ${statusLabel(entry.from)}）`)
+  text += formatChangeSection({ icon: '⏳', text: '持续异常' }, changes.stillDown, style, entry =>
+    `${statusLabel(entry.to)}，已连续异常 ${entry.downRuns} 次（自 ${since(entry)} 起）→ ${entry.error || '未知错误'}`)
+
+  // 只列出本次新出现异常的账号中疑似替换的部分，持续异常的不重复提醒
+  const changedNames = new Set([...changes.degraded, ...changes.appeared].map(entry => entry.name))
+  text += formatSuspected(report.suspected.filter(acc => changedNames.has(acc.name)), style)
+  text += formatQuotaAlerts(changes.quotaWarnings || [], style)
+  text += formatOwnerSummary(report, style)
+
+  return text
+}
+
+// 把报告格式化为 markdown / 纯文本
+function formatReport(report, style = MARKDOWN_STYLES.markdown) {
+  if (report.view === 'changes') {
+    return formatChanges(report, style)
+  }
+
+  const { stats, models } = report
+  const timestamp = report.time.toLocaleString('zh-CN')
+
+  if (!report.hasFailures) {
+    const modelNames = models.map(m => m.label).join(' + ')
+    return `${style.heading('✅ Claude账号测试全部通过')}
+
+📅 ${style.bold('测试时间')}: ${timestamp}${style.lineBreak}
+📊 ${style.bold('测试结果')}:
+- 总账号数: ${stats.total}个
+- 全部模型通过 (${modelNames}): ${stats.all_success}个 🎉${formatQuotaAlerts(report.quotaAlerts, style)}${formatOwnerSummary(report, style)}
+
+${report.quotaAlerts.length > 0 ? '💡 请及时为预警账号充值或续期！' : '🎯 所有账号运行正常！'}`
+  }
+
+  let text = `${style.heading('🚨 Claude账号测试告警报告')}
+
+📅 ${style.bold('测试时间')}: ${timestamp}${style.lineBreak}
+📊 ${style.bold('测试概况')}:
+- 总账号数: ${stats.total}个
+- 全部模型通过: ${stats.all_success}个 ✅
+- 部分模型通过: ${stats.partial}个 ⚠️${style.lineBreak}
+- 完全失败: ${stats.all_failed}个 ❌
+${models.map(m => `- ${m.label} 通过: ${stats.models[m.key].success}个`).join('\n')}
+
+---`
+
+  if (report.allFailed.length > 0) {
+    text += `\n❌ ${style.bold('完全失败账号')} (${report.allFailed.length}个):`
+    report.allFailed.slice(0, MAX_LISTED_ACCOUNTS).forEach(acc => {
+      text += `\n• ${style.bold(acc.name)}: ${acc.url} → ${acc.error}`
+    })
+    if (report.allFailed.length > MAX_LISTED_ACCOUNTS) {
+      text += `\n• 还有 ${report.allFailed.length - MAX_LISTED_ACCOUNTS} 个账号失败...`
+    }
+  }
+
+  if (report.partial.length > 0) {
+    text += `\n\n⚠️ ${style.bold('部分失败账号')} (${report.partial.length}个):`
+    report.partial.slice(0, MAX_LISTED_ACCOUNTS).forEach(acc => {
+      text += `\n• ${style.bold(acc.name)}: ${acc.failures.map(f => `${f.label} ${f.error}`).join('；')}`
+    })
+    if (report.partial.length > MAX_LISTED_ACCOUNTS) {
+      text += `\n• 还有 ${report.partial.length - MAX_LISTED_ACCOUNTS} 个账号部分失败...`
+    }
+  }
+
+  text += formatSuspected(report.suspected, style)
+  text += formatQuotaAlerts(report.quotaAlerts, style)
+  text += formatOwnerSummary(report, style)
+
+  text += `\n\n⏰ 请及时处理失败账号！`
+  return text
+}
+
+// 是否需要 @所有人：有完全失败账号时；状态变化通知只在有账号新变为完全失败（包括首次出现就完全失败）时
+// 配置了负责人时只考虑没有负责人的账号（有负责人的只 @ 负责人）
+function shouldMentionAll(config, report) {
+  if (!config.atAll || report.digestOwner) return false
+  const unowned = entry => !findOwner(report.owners, entry.name)
+  if (report.view === 'changes') {
+    // 新变为完全失败，或首次出现就完全失败
+    return [...report.changes.degraded, ...report.changes.appeared]
+      .some(entry => entry.to === OVERALL_STATUS.ALL_FAILED && unowned(entry))
+  }
+  return report.allFailed.some(unowned)
+}
+
+// 渠道使用的格式: 在 markdown 方言上加上该渠道 @ 负责人的写法
+function channelStyle(type, base = MARKDOWN_STYLES.markdown) {
+  return { ...base, mention: MENTION_FORMATS[type] }
+}
+
+// POST JSON，返回 { status, body }；proxy 为渠道使用的代理（见 proxy.js）
+function postJson(url, payload, { headers = {}, proxy = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(url)
+    const client = urlObj.protocol === 'http:' ? http : https
+    const postData = JSON.stringify(payload)
+
+    const req = client.request(requestOptions(urlObj, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(postData),
+        ...headers
+      },
+      timeout: SEND_TIMEOUT
+    }, proxy), (res) => {
+      let data = ''
+      res.on('data', (chunk) => {
+        data += chunk
+      })
+      res.on('end', () => resolve({ status: res.statusCode, body: data }))
+    })
+
+    req.on('error', reject)
+    req.on('timeout', () => {
+      req.destroy(new Error('请求超时'))
+    })
+
+    req.write(postData)
+    req.end()
+  })
+}
+
+// 解析机器人接口的 JSON 响应，codeField 非 0 时视为失败
+function parseBotResponse(response, codeField, messageField) {
+  let body
+  try {
+    body = JSON.parse(response.body)
+  } catch (error) {
+    throw new Error(`响应解析失败 (HTTP ${response.status}): ${response.body.substring(0, 100)}`)
+  }
+  if (body[codeField] !== 0) {
+    throw new Error(body[messageField] || `HTTP ${response.status}`)
+  }
+  return body
+}
+
+// 钉钉机器人: markdown 消息，可选加签
+async function sendDingTalk(config, report) {
+  let url = config.webhook
+  if (config.secret) {
+    const timestamp = Date.now()
+    const sign = crypto.createHmac('sha256', config.secret)
+      .update(`${timestamp}\n${config.secret}`, 'utf8')
+      .digest('base64')
+    const separator = url.includes('?') ? '&' : '?'
+    url += `${separator}timestamp=${timestamp}&sign=${encodeURIComponent(sign)}`
+  }
+
+  const message = {
+    msgtype: 'markdown',
+    markdown: { title: report.title, text: formatReport(report, channelStyle('dingtalk')) }
+  }
+  // 钉钉只 @ 正文中出现 @手机号/@userId 且列在 at 中的人
+  const atMobiles = report.mentionOwners.map(owner => owner.dingtalkMobile).filter(Boolean)
+  const atUserIds = report.mentionOwners.filter(owner => !owner.dingtalkMobile).map(owner => owner.dingtalkUserId).filter(Boolean)
+  if (shouldMentionAll(config, report)) {
+    message.at = { isAtAll: true }
+  } else if (atMobiles.length > 0 || atUserIds.length > 0) {
+    message.at = { atMobiles, atUserIds, isAtAll: false }
+  }
+
+  parseBotResponse(await postJson(url, message, { proxy: config.proxy }), 'errcode', 'errmsg')
+}
+
+// 飞书/Lark 机器人: 消息卡片，可选签名校验
+async function sendFeishu(config, report) {
+  let content = formatReport(report, channelStyle('feishu'))
+  if (shouldMentionAll(config, report)) {
+    content += '\n<at id=all></at>'
+  }
+
+  const message = {
+    msg_type: 'interactive',
+    card: {
+      header: {
+        title: { tag: 'plain_text', content: report.title },
+        template: report.hasFailures ? 'red' : 'green'
+      },
+      elements: [{ tag: 'div', text: { tag: 'lark_md', content } }]
+    }
+  }
+  if (config.secret) {
+    const timestamp = Math.floor(Date.now() / 1000)
+    message.timestamp = String(timestamp)
+    message.sign = crypto.createHmac('sha256', `${timestamp}\n${config.secret}`).update('').digest('base64')
+  }
+
+  parseBotResponse(await postJson(config.webhook, message, { proxy: config.proxy }), 'code', 'msg')
+}
+
+// 企业微信机器人: markdown 消息
+async function sendWeCom(config, report) {
+  const message = {
+    msgtype: 'markdown',
+    markdown: { content: formatReport(report, channelStyle('wecom')) }
+  }
+  parseBotResponse(await postJson(config.webhook, message, { proxy: config.proxy }), 'errcode', 'errmsg')
+}
+
+// Slack Incoming Webhook: 返回纯文本 ok
+async function sendSlack(config, report) {
+  let text = formatReport(report, channelStyle('slack', MARKDOWN_STYLES.slack))
+  if (shouldMentionAll(config, report)) {
+    text = `<!channel>\n${text}`
+  }
+  const response = await postJson(config.webhook, { text }, { proxy: config.proxy })
+  if (response.status !== 200) {
+    throw new Error(`HTTP ${response.status}: ${response.body.substring(0, 100)}`)
+  }
+}
+
+// 通用 JSON webhook: 发送结构化结果，由接收方自行处理（不包含完整key）
+async function sendJsonWebhook(config, report) {
+  const payload = {
+    event: 'claude_account_check',
+    title: report.title,
+    time: report.time.toISOString(),
+    hasFailures: report.hasFailures,
+    changes: report.changes,
+    stats: report.stats,
+    suspected: report.suspected,
+    quotaAlerts: report.quotaAlerts,
+    // 只输出负责人名称，不包含联系方式和个人渠道配置
+    owners: report.ownerSummary.map(group => ({ owner: group.owner ? group.owner.name : null, alert: group.alert, accounts: group.accounts })),
+    digestOwner: report.digestOwner ? report.digestOwner.name : null,
+    models: report.models.map(m => ({ key: m.key, id: m.id, label: m.label })),
+    results: report.results.map(({ fullKey, ...rest }) => rest),
+    text: formatReport(report, MARKDOWN_STYLES.text)
+  }
+  const response = await postJson(config.url, payload, { headers: config.headers || {}, proxy: config.proxy })
+  if (response.status < 200 || response.status >= 300) {
+    throw new Error(`HTTP ${response.status}: ${response.body.substring(0, 100)}`)
+  }
+}
+
+// 建立 SMTP 会话: 按行读取响应，command() 发送命令并校验响应码
+function createSmtpSession(socket) {
+  let buffer = ''
+  let lines = []
+  const replies = []
+  const waiters = []
+  let failure = null
+
+  function deliver(item) {
+    const waiter = waiters.shift()
+    if (waiter) {
+      item.error ? waiter.reject(item.error) : waiter.resolve(item.reply)
+    } else {
+      replies.push(item)
+    }
+  }
+
+  function onData(chunk) {
+    buffer += chunk.toString('utf-8')
+    let index
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.substring(0, index).replace(/\r$/, '')
+      buffer = buffer.substring(index + 1)
+      lines.push(line)
+      // "250-xxx" 为多行响应的中间行，"250 xxx" 为最后一行
+      if (/^\d{3}(?: |$)/.test(line)) {
+        deliver({ reply: { code: parseInt(line.substring(0, 3)), text: lines.join('\n') } })
+        lines = []
+      }
+    }
+  }
+
+  function onError(error) {
+    failure = error
+    while (waiters.length > 0) waiters.shift().reject(error)
+  }
+
+  const session = {
+    socket: null,
+    attach(newSocket) {
+      if (session.socket) {
+        session.socket.removeListener('data', onData)
+        session.socket.removeListener('error', onError)
+      }
+      session.socket = newSocket
+      newSocket.on('data', onData)
+      newSocket.on('error', onError)
+    },
+    read() {
+      if (replies.length > 0) {
+        const item = replies.shift()
+        return item.error ? Promise.reject(item.error) : Promise.resolve(item.reply)
+      }
+      if (failure) return Promise.reject(failure)
+      return new Promise((resolve, reject) => waiters.push({ resolve, reject }))
+    },
+    async expect(codes) {
+      const reply = await session.read()
+      if (!codes.includes(reply.code)) {
+        throw new Error(`SMTP 错误: ${reply.text}`)
+      }
+      return reply
+    },
+    command(line, codes) {
+      session.socket.write(line + '\r\n')
+      return session.expect(codes)
+    }
+  }
+
+  session.attach(socket)
+  return session
+}
+
+// 邮件头中的非 ASCII 文本使用 base64 编码
+function encodeHeader(text) {
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf-8').toString('base64')}?=`
+}
+
+// 构建 text/plain 邮件内容（正文 base64 编码，无需处理以 . 开头的行）
+function buildMailMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text, 'utf-8').toString('base64').replace(/.{1,76}/g, '$&\r\n')
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${from.split('@').pop().replace(/[<>]/g, '')}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n')
+}
+
+// 通过 SMTP 发送邮件: secure 为 true 时使用 SSL（通常 465 端口），
+// 否则明文连接，服务器支持时自动升级 STARTTLS（可用 starttls: false 关闭）
+async function sendSmtpMail(config, mail) {
+  const port = config.port || (config.secure ? 465 : 587)
+  const proxy = parseProxy(config.proxy)
+  // 连接阶段同样计时，SMTP 服务器或代理没有响应时不会一直等到系统的 TCP 超时
+  const armTimeout = connection => connection.setTimeout(SEND_TIMEOUT, () => connection.destroy(new Error('SMTP 连接超时')))
+  const socket = await new Promise((resolve, reject) => {
+    const options = { host: config.host, port, servername: config.host, rejectUnauthorized: config.rejectUnauthorized !== false }
+    if (proxy && proxy.type !== 'direct') {
+      // 经过代理建立隧道后再按需做 TLS（代理的连接和握手超时见 proxy.js）
+      openConnection(proxy, config.host, port).then((tunnel) => {
+        if (!config.secure) return resolve(tunnel)
+        const connection = tls.connect({ ...options, socket: tunnel }, () => resolve(connection))
+        connection.once('error', reject)
+        armTimeout(connection)
+      }, reject)
+      return
+    }
+    const connection = config.secure
+      ? tls.connect(options, () => resolve(connection))
+      : net.connect(options, () => resolve(connection))
+    connection.once('error', reject)
+    armTimeout(connection)
+  })
+
+  armTimeout(socket)
+  const session = createSmtpSession(socket)
+  const hostname = config.clientName || os.hostname()
+
+  try {
+    await session.expect([220])
+    let ehlo = await session.command(`EHLO ${hostname}`, [250])
+
+    if (!config.secure && config.starttls !== false && /STARTTLS/i.test(ehlo.text)) {
+      await session.command('STARTTLS', [220])
+      const secureSocket = await new Promise((resolve, reject) => {
+        const upgraded = tls.connect({ socket, servername: config.host, rejectUnauthorized: config.rejectUnauthorized !== false }, () => resolve(upgraded))
+        upgraded.once('error', reject)
+      })
+      session.attach(secureSocket)
+      ehlo = await session.command(`EHLO ${hostname}`, [250])
+    }
+
+    if (config.user) {
+      await session.command('AUTH LOGIN', [334])
+      await session.command(Buffer.from(config.user).toString('base64'), [334])
+      await session.command(Buffer.from(config.pass || '').toString('base64'), [235])
+    }
+
+    await session.command(`MAIL FROM:<${mail.from}>`, [250])
+    for (const recipient of mail.to) {
+      await session.command(`RCPT TO:<${recipient}>`, [250, 251])
+    }
+    await session.command('DATA', [354])
+    await session.command(`${buildMailMessage(mail)}\r\n.`, [250])
+    await session.command('QUIT', [221]).catch(() => {})
+  } finally {
+    session.socket.destroy()
+  }
+}
+
+// 邮件: 纯文本格式
+async function sendSmtp(config, report) {
+  await sendSmtpMail(config, {
+    from: config.from || config.user,
+    to: config.to,
+    subject: `${config.subjectPrefix || ''}${report.title} - ${report.time.toLocaleString('zh-CN')}`,
+    text: formatReport(report, MARKDOWN_STYLES.text)
+  })
+}
+
+// 各渠道的必填字段和发送函数
+const NOTIFIER_TYPES = {
+  dingtalk: { label: '钉钉', required: ['webhook'], send: sendDingTalk },
+  feishu: { label: '飞书', required: ['webhook'], send: sendFeishu },
+  wecom: { label: '企业微信', required: ['webhook'], send: sendWeCom },
+  slack: { label: 'Slack', required: ['webhook'], send: sendSlack },
+  webhook: { label: 'Webhook', required: ['url'], send: sendJsonWebhook },
+  smtp: { label: '邮件', required: ['host', 'to'], send: sendSmtp }
+}
+
+// 校验渠道配置并创建通知器
+function createNotifier(config) {
+  const type = NOTIFIER_TYPES[config.type]
+  if (!type) {
+    throw new Error(`不支持的通知渠道: ${config.type}，可选值: ${Object.keys(NOTIFIER_TYPES).join(', ')}`)
+  }
+  for (const field of type.required) {
+    if (!config[field]) {
+      throw new Error(`${type.label}通知缺少 ${field}`)
+    }
+  }
+  const when = config.when || 'changes'
+  if (!NOTIFY_WHEN.includes(when)) {
+    throw new Error(`通知条件 when 只能是 ${NOTIFY_WHEN.join(' 或 ')}: ${when}`)
+  }
+  if (config.type === 'smtp') {
+    config = { ...config, to: Array.isArray(config.to) ? config.to : [config.to] }
+    if (!config.from && !config.user) {
+      throw new Error('邮件通知缺少 from')
+    }
+  }
+  // 代理地址格式错误时抛出异常
+  parseProxy(config.proxy)
+
+  return {
+    name: config.name || type.label,
+    type: config.type,
+    when,
+    owner: config.owner || null, // 负责人个人摘要的渠道
+    send: report => type.send(config, report)
+  }
+}
+
+// 读取渠道配置文件
+function loadNotifierConfig(filePath) {
+  const content = JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+  const list = Array.isArray(content) ? content : content.notifiers
+  if (!Array.isArray(list)) {
+    throw new Error('通知配置需要是数组或 { "notifiers": [...] }')
+  }
+  return list
+}
+
+// 渠道本次是否需要发送，返回使用的报告格式，不需要发送时返回 null
+// 没有状态变化信息（例如读取历史失败）时，changes 渠道退回到有失败或额度预警就发送
+function notificationView(notifier, changes, hasAlerts) {
+  if (notifier.when === 'always') return 'summary'
+  if (notifier.when === 'changes' && changes) {
+    return changes.hasChanges || changes.hasReminders ? 'changes' : null
+  }
+  return hasAlerts ? 'summary' : null
+}
+
+// 负责人个人摘要: 只包含该负责人的账号，不需要发送时返回 null
+function ownerDigestTarget(notifier, owners, results, models, changes) {
+  const scoped = scopeToOwner(owners, notifier.owner, results, changes)
+  if (scoped.results.length === 0 && !(scoped.changes && scoped.changes.disappeared.length > 0)) return null
+  const stats = computeStats(scoped.results, models)
+  const options = { owners, digestOwner: notifier.owner }
+  const summary = buildNotificationReport(scoped.results, stats, models, scoped.changes, 'summary', options)
+  const view = notificationView(notifier, scoped.changes, summary.hasFailures || summary.quotaAlerts.length > 0)
+  if (!view) return null
+  return { notifier, report: view === 'summary' ? summary : buildNotificationReport(scoped.results, stats, models, scoped.changes, view, options) }
+}
+
+// 向所有渠道发送通知，单个渠道失败不影响其他渠道
+// owners 为负责人配置（见 owners.js），带 owner 字段的渠道只发送该负责人的个人摘要
+async function notifyAll(notifiers, results, stats, models, changes = null, owners = []) {
+  if (notifiers.length === 0) return []
+
+  const reports = {}
+  const targets = []
+  const summary = buildNotificationReport(results, stats, models, changes, 'summary', { owners })
+  for (const notifier of notifiers) {
+    if (notifier.owner) {
+      const target = ownerDigestTarget(notifier, owners, results, models, changes)
+      if (target) targets.push(target)
+      continue
+    }
+    const view = notificationView(notifier, changes, summary.hasFailures || summary.quotaAlerts.length > 0)
+    if (!view) continue
+    if (!reports[view]) {
+      reports[view] = view === 'summary' ? summary : buildNotificationReport(results, stats, models, changes, view, { owners })
+    }
+    targets.push({ notifier, report: reports[view] })
+  }
+
+  if (targets.length === 0) {
+    console.log(changes ? '📱 账号状态无变化，跳过通知' : '📱 无失败账号，跳过通知')
+    return []
+  }
+
+  console.log(`📱 准备发送通知: ${targets.map(t => t.notifier.name).join('、')}`)
+  const outcomes = await Promise.allSettled(targets.map(({ notifier, report }) => notifier.send(report)))
+
+  return outcomes.map((outcome, index) => {
+    const { notifier } = targets[index]
+    if (outcome.status === 'fulfilled') {
+      console.log(`📱 ${notifier.name}通知发送成功`)
+      return { name: notifier.name, success: true }
+    }
+    console.log(`⚠️ ${notifier.name}通知发送失败，但不影响主程序运行: ${outcome.reason.message}`)
+    return { name: notifier.name, success: false, error: outcome.reason.message }
+  })
+}
+
+module.exports = {
+  NOTIFIER_TYPES,
+  buildNotificationReport,
+  formatReport,
+  createNotifier,
+  loadNotifierConfig,
+  notifyAll
+}
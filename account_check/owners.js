@@ -0,0 +1,168 @@
+/**
+ * 账号负责人 - 通知中按负责人汇总异常账号并只 @ 相关负责人，负责人还可以订阅只包含自己账号的个人摘要
+ *
+ * 负责人配置文件 (--owners owners.json):
+ *   {
+ *     "owners": [
+ *       { "name": "老甘", "accounts": ["laogan老甘", "laogan-*"], "dingtalkMobile": "13800000000",
+ *         "email": "laogan@example.com", "digest": { "when": "failures", "email": true } },
+ *       { "name": "qinhan秦汉", "dingtalkUserId": "manager1234", "feishuOpenId": "ou_xxx", "slackUserId": "U012345",
+ *         "digest": { "notifiers": [{ "type": "dingtalk", "webhook": "https://oapi.dingtalk.com/robot/send?access_token=yyy" }] } }
+ *     ]
+ *   }
+ *   也可以直接写成数组。
+ *
+ * 字段:
+ *   name        负责人名称，通知中显示
+ *   accounts    负责的账号名称，支持 * 通配符；省略时为与 name 同名的账号
+ *   dingtalkMobile / dingtalkUserId  钉钉 @ 使用的手机号 / userId
+ *   feishuOpenId  飞书 @ 使用的 open_id
+ *   wecomUserId   企业微信 @ 使用的 userid
+ *   slackUserId   Slack @ 使用的成员 ID
+ *   email       邮箱，个人摘要 email: true 时发送到该地址
+ *   digest      个人摘要（可选），只包含该负责人的账号:
+ *                 when       与通知渠道相同: changes（默认）、failures、always
+ *                 email      true 时通过通知配置中的第一个邮件渠道（smtp）发送到 email
+ *                 notifiers  个人渠道，格式与通知配置相同（例如自己的钉钉群机器人），未设置 when 时使用 digest.when
+ *
+ * 一个账号匹配多个负责人时使用第一个。配置了负责人后，渠道的 atAll 只在没有负责人的账号完全失败时生效。
+ */
+
+const fs = require('fs')
+
+const MENTION_FIELDS = ['dingtalkMobile', 'dingtalkUserId', 'feishuOpenId', 'wecomUserId', 'slackUserId']
+
+// 账号名称是否匹配负责人的 accounts 项（* 匹配任意字符）
+function matchesAccount(pattern, name) {
+  if (!pattern.includes('*')) return pattern === name
+  const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`)
+  return regex.test(name)
+}
+
+// 校验并规范化负责人配置
+function normalizeOwners(list) {
+  if (!Array.isArray(list)) {
+    throw new Error('负责人配置需要是数组或 { "owners": [...] }')
+  }
+  return list.map((item, index) => {
+    if (!item || !item.name) {
+      throw new Error(`第 ${index + 1} 个负责人缺少 name`)
+    }
+    const accounts = item.accounts === undefined ? [item.name] : item.accounts
+    if (!Array.isArray(accounts) || accounts.length === 0 || accounts.some(pattern => typeof pattern !== 'string' || !pattern)) {
+      throw new Error(`负责人 ${item.name} 的 accounts 需要是非空的账号名称数组`)
+    }
+
+    let digest = null
+    if (item.digest) {
+      digest = {
+        when: item.digest.when || 'changes',
+        email: Boolean(item.digest.email),
+        notifiers: item.digest.notifiers || []
+      }
+      if (digest.email && !item.email) {
+        throw new Error(`负责人 ${item.name} 订阅了邮件摘要，但没有设置 email`)
+      }
+      if (!Array.isArray(digest.notifiers)) {
+        throw new Error(`负责人 ${item.name} 的 digest.notifiers 需要是数组`)
+      }
+      if (!digest.email && digest.notifiers.length === 0) {
+        throw new Error(`负责人 ${item.name} 的 digest 需要设置 email: true 或 notifiers`)
+      }
+    }
+
+    const owner = { name: item.name, accounts, email: item.email || null, digest }
+    for (const field of MENTION_FIELDS) {
+      owner[field] = item[field] ? String(item[field]) : null
+    }
+    return owner
+  })
+}
+
+// 读取负责人配置文件
+function loadOwnersConfig(filePath) {
+  let content
+  try {
+    content = JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+  } catch (error) {
+    throw new Error(`负责人配置读取失败 (${filePath}): ${error.message.replace(/\s+/g, ' ')}`)
+  }
+  return normalizeOwners(Array.isArray(content) ? content : content.owners)
+}
+
+// 账号的负责人，没有时返回 null
+function findOwner(owners, accountName) {
+  return owners.find(owner => owner.accounts.some(pattern => matchesAccount(pattern, accountName))) || null
+}
+
+// 把条目（带 name 字段的账号）按负责人分组，配置顺序在前，没有负责人的账号最后: [{ owner, entries }]
+function groupByOwner(owners, entries) {
+  const groups = new Map()
+  for (const entry of entries) {
+    const owner = findOwner(owners, entry.name)
+    if (!groups.has(owner)) groups.set(owner, [])
+    groups.get(owner).push(entry)
+  }
+  return [...owners, null]
+    .filter(owner => groups.has(owner))
+    .map(owner => ({ owner, entries: groups.get(owner) }))
+}
+
+// 负责人个人摘要的渠道配置，notifierConfigs 为通知配置文件中的渠道（邮件摘要使用其中第一个 smtp 渠道的服务器）
+// 返回的配置带有 owner 字段，notifyAll 只向其发送该负责人的账号
+function digestNotifierConfigs(owners, notifierConfigs) {
+  const smtp = notifierConfigs.find(config => config.type === 'smtp')
+  const configs = []
+  for (const owner of owners) {
+    if (!owner.digest) continue
+    if (owner.digest.email) {
+      if (!smtp) {
+        throw new Error(`负责人 ${owner.name} 订阅了邮件摘要，但通知配置中没有邮件（smtp）渠道`)
+      }
+      configs.push({ ...smtp, name: `${owner.name}的邮件摘要`, to: [owner.email], when: owner.digest.when, owner })
+    }
+    owner.digest.notifiers.forEach((config, index) => {
+      configs.push({
+        when: owner.digest.when,
+        ...config,
+        name: config.name || `${owner.name}的摘要${owner.digest.notifiers.length > 1 ? index + 1 : ''}`,
+        atAll: false,
+        owner
+      })
+    })
+  }
+  return configs
+}
+
+// 只保留负责人自己的账号的状态变化，没有状态变化信息时返回 null
+function filterChanges(changes, names) {
+  if (!changes) return null
+  const filtered = { ...changes }
+  for (const type of ['degraded', 'recovered', 'appeared', 'disappeared', 'stillDown', 'quotaWarnings']) {
+    filtered[type] = (changes[type] || []).filter(entry => names.has(entry.name))
+  }
+  filtered.hasChanges = ['degraded', 'recovered', 'appeared', 'disappeared', 'quotaWarnings'].some(type => filtered[type].length > 0)
+  filtered.hasReminders = filtered.stillDown.length > 0
+  return filtered
+}
+
+// 负责人在本次结果中的账号和状态变化
+function scopeToOwner(owners, owner, results, changes) {
+  const ownResults = results.filter(result => findOwner(owners, result.name) === owner)
+  const names = new Set(ownResults.map(result => result.name))
+  // 已移除的账号不在结果中，按名称匹配
+  for (const entry of (changes && changes.disappeared) || []) {
+    if (findOwner(owners, entry.name) === owner) names.add(entry.name)
+  }
+  return { results: ownResults, changes: filterChanges(changes, names) }
+}
+
+module.exports = {
+  MENTION_FIELDS,
+  normalizeOwners,
+  loadOwnersConfig,
+  findOwner,
+  groupByOwner,
+  digestNotifierConfigs,
+  scopeToOwner
+}
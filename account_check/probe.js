@@ -0,0 +1,214 @@
+/**
+ * 账号探测库 - 命令行 (check-claude-cli-accounts.js) 和Web服务 (web-server.js) 共用
+ *
+ * 不输出日志、不调用 process.exit，其它工具可以直接 require 使用:
+ *
+ *   const { EventEmitter } = require('events')
+ *   const { probeAccount, runBatch } = require('./probe')
+ *
+ *   const result = await probeAccount({ name: '账号1', url: 'https://relay.example.com', key: 'cr_xxx' }, { mode: 'http' })
+ *
+ *   const events = new EventEmitter()
+ *   events.on('account', ({ result, completed, total }) => console.log(`${completed}/${total} ${result.name} ${result.overallStatus}`))
+ *   const results = await runBatch(accounts, { mode: 'cli', parallel: 2, timeout: 45000, events })
+ *
+ * 选项:
+ *   mode        'cli'（默认，通过 Claude CLI）或 'http'（直接调用 /v1/messages）
+ *   models      模型矩阵（normalizeModels 的结果），默认 Sonnet 4 → Opus 4.1
+ *   timeout     单个模型的超时时间（毫秒）
+ *   maxRetries  暂时性错误的重试次数上限（默认按 error-classes.js 中各类别的策略，0 表示不重试）
+ *   challenges  模型真实性校验的挑战问题（loadChallenges 的结果，见 authenticity.js），只支持 mode 为 'http'
+ *   checkModelField  是否比较响应中的 model 字段与请求的模型（默认 true）
+ *   capabilities  通过基础测试的模型上再探测的能力: tools、long_context、image、thinking、caching（见 capabilities.js），默认不探测
+ *   longContextTokens  长上下文探测发送的 token 数（默认 50000）
+ *   proxy       默认代理（http://、https://、socks5:// 地址），账号的 proxy 字段优先，direct 表示直连（见 proxy.js）
+ *   quota       额度查询: auto（默认，按 key 前缀识别中转服务类型）、claude-relay、one-api 或 off（见 quota.js）
+ *   quotaWarnRatio / quotaWarnDays  剩余额度低于总额度的比例、预计耗尽或到期的天数低于该值时预警
+ *   parallel    runBatch 同时测试的账号数（任务池，任一账号测试结束后立即开始下一个）
+ *   perHost     runBatch 中同一中转服务（url 的主机）同时测试的账号数上限，默认不限
+ *   rateLimit   runBatch 中所有探测请求每分钟的上限（模型测试、重试、挑战问题、能力探测和额度查询都计入），默认不限
+ *   hostSpacing runBatch 中同一中转服务两次探测请求之间的最小间隔（毫秒），默认 0
+ *   events      可选的 EventEmitter，用于接收进度事件
+ *
+ * 进度事件（account 只包含 name、url 和 proxy）:
+ *   accountStart  { index, account }
+ *   modelStart    { index, account, model }
+ *   retry         { index, account, model, result, attempt, delay }  第 attempt 次失败，delay 毫秒后重试
+ *   model         { index, account, model, result }   单个模型测试完成
+ *   modelSkipped  { index, account, model, result }   依赖模型失败而跳过
+ *   quota         { index, account, quota }           额度查询完成（不查询的账号没有该事件）
+ *   account       { index, result, completed, total } 单个账号测试完成
+ *   done          { results }                         runBatch 全部完成
+ *
+ * 账号结果: { name, url, key (脱敏), proxy (使用的代理，密码脱敏；未使用时为 null), models: { [模型key]: 单模型结果 },
+ *            overallStatus, suspectedSubstitution, quota }
+ * 额度查询结果为已耗尽时，因此失败的模型（认证失败、无权限、限流等）归类为 quota_exhausted。
+ * 单模型结果中的错误信息和响应内容已清理掉 key，并带有 errorClass、尝试次数 attempts 和真实性校验 authenticity，
+ * 探测了能力时还有 capabilities: { [能力名]: { status, detail, responseTime } }。
+ */
+
+const { testSingleModelCLI } = require('./cli-probe')
+const { testSingleModelHTTP, postMessages } = require('./http-probe')
+const { DEFAULT_MODELS, normalizeModels, runModelMatrix } = require('./model-matrix')
+const { maskKey, redactText, redactModelResult } = require('./redact')
+const { classifyAs, probeWithRetries } = require('./error-classes')
+const { verifyAuthenticity } = require('./authenticity')
+const { probeQuota, resolveQuotaType } = require('./quota')
+const { DEFAULT_LONG_CONTEXT_TOKENS, probeCapabilities } = require('./capabilities')
+const { relayHost, createTaskQueue, createThrottle } = require('./task-pool')
+const { resolveProxy, describeProxy } = require('./proxy')
+
+const PROBE_MODES = ['cli', 'http']
+const MODE_LABELS = {
+  cli: 'Claude CLI',
+  http: 'HTTP /v1/messages'
+}
+const DEFAULT_TIMEOUT = 45000
+// 额度耗尽时中转服务可能返回这些错误，额度查询确认耗尽后改为 quota_exhausted
+const QUOTA_MASKED_CLASSES = ['auth_invalid', 'model_not_allowed', 'rate_limited', 'relay_error', 'cli_error', 'unknown']
+
+// 根据探测方式选择单模型测试函数
+function getModelProbe(mode = 'cli') {
+  if (!PROBE_MODES.includes(mode)) {
+    throw new Error(`不支持的探测方式: ${mode}，可选值: ${PROBE_MODES.join(', ')}`)
+  }
+  return mode === 'http' ? testSingleModelHTTP : testSingleModelCLI
+}
+
+// 额度已耗尽时，把可能由此导致的模型失败归类为额度耗尽
+function applyQuotaExhaustion(models, quota) {
+  if (!quota || quota.status !== 'exhausted') return models
+  const updated = {}
+  for (const [key, result] of Object.entries(models)) {
+    updated[key] = result.status === 'failed' && QUOTA_MASKED_CLASSES.includes(result.errorClass)
+      ? { ...result, ...classifyAs('quota_exhausted', `额度已用完（${result.error}）`) }
+      : result
+  }
+  return updated
+}
+
+// 探测通过基础测试的模型的各项能力，结果中的说明文字清理掉 key
+async function probeModelCapabilities(account, model, result, { capabilities, longContextTokens, timeout, throttle, host }) {
+  if (capabilities.length === 0 || result.status !== 'success') return result
+  const found = await probeCapabilities(model, {
+    capabilities,
+    longContextTokens,
+    timeout,
+    send: async (body, options = {}) => {
+      if (throttle) await throttle.wait(host)
+      return postMessages(account, body, { timeout, ...options })
+    }
+  })
+  for (const capability of Object.values(found)) {
+    capability.detail = redactText(capability.detail, [account.key])
+  }
+  return { ...result, capabilities: found }
+}
+
+// 测试单个账号（按模型矩阵）
+async function probeAccount(account, options = {}, index = 0) {
+  const {
+    mode = 'cli',
+    models = normalizeModels(DEFAULT_MODELS),
+    timeout = DEFAULT_TIMEOUT,
+    maxRetries = null,
+    challenges = [],
+    checkModelField = true,
+    capabilities = [],
+    longContextTokens = DEFAULT_LONG_CONTEXT_TOKENS,
+    proxy: defaultProxy = null,
+    quota: quotaMode = 'auto',
+    quotaWarnRatio,
+    quotaWarnDays,
+    throttle = null,
+    events = null
+  } = options
+  const modelProbe = getModelProbe(mode)
+  if (mode === 'cli' && challenges.length > 0) {
+    // 挑战问题需要 temperature 0 和固定的 max_tokens，Claude CLI 不能设置
+    throw new Error('挑战问题（challenges）只支持 http 探测方式')
+  }
+  const host = relayHost(account.url)
+  // 模型探测、能力探测和额度查询都使用账号实际生效的代理
+  const target = { ...account, proxy: resolveProxy(account.proxy, defaultProxy) }
+  // 经过限速器（runBatch 传入）再发送探测请求
+  const probe = async (...args) => {
+    if (throttle) await throttle.wait(host)
+    return modelProbe(...args)
+  }
+  const info = { name: account.name, url: account.url, proxy: describeProxy(target.proxy) }
+  const emit = (event, data) => {
+    if (events) events.emit(event, { index, account: info, ...data })
+  }
+
+  emit('accountStart', {})
+  const matrixResult = await runModelMatrix(
+    target,
+    models,
+    async (acc, modelId) => {
+      const model = models.find(m => m.id === modelId)
+      const result = await probeWithRetries(
+        async () => redactModelResult(await probe(acc, modelId, { timeout }), [acc.key]),
+        {
+          maxRetries,
+          onRetry: (failed, attempt, delay) => emit('retry', { model, result: failed, attempt, delay })
+        }
+      )
+      const verified = await verifyAuthenticity(model, result, {
+        challenges,
+        checkModelField,
+        probe: async (prompt, maxTokens) => redactModelResult(await probe(acc, modelId, { timeout, prompt, maxTokens, temperature: 0 }), [acc.key])
+      })
+      return probeModelCapabilities(acc, model, verified, { capabilities, longContextTokens, timeout, throttle, host })
+    },
+    {
+      onModelStart: (model) => emit('modelStart', { model }),
+      onModelResult: (model, result) => emit('model', { model, result }),
+      onModelSkipped: (model, result) => emit('modelSkipped', { model, result })
+    }
+  )
+
+  if (throttle && resolveQuotaType(account, quotaMode)) await throttle.wait(host)
+  const quota = await probeQuota(target, { mode: quotaMode, warnRatio: quotaWarnRatio, warnDays: quotaWarnDays })
+  if (quota) {
+    emit('quota', { quota })
+  }
+  const modelResults = applyQuotaExhaustion(matrixResult.models, quota)
+
+  return {
+    name: account.name,
+    url: account.url,
+    key: maskKey(account.key),
+    proxy: info.proxy,
+    models: modelResults,
+    overallStatus: matrixResult.overallStatus,
+    suspectedSubstitution: Object.values(modelResults).some(m => m.errorClass === 'suspected_substitution'),
+    quota
+  }
+}
+
+// 批量测试账号，结果顺序与 accounts 一致
+async function runBatch(accounts, options = {}) {
+  const { parallel = 2, perHost = null, rateLimit = null, hostSpacing = 0, events = null } = options
+  const queue = createTaskQueue(parallel, { perKey: perHost })
+  const throttle = rateLimit || hostSpacing ? createThrottle({ ratePerMinute: rateLimit, keySpacing: hostSpacing }) : null
+  const results = new Array(accounts.length)
+  let completed = 0
+
+  await Promise.all(accounts.map((account, index) => queue.push(async () => {
+    results[index] = await probeAccount(account, { ...options, throttle }, index)
+    completed++
+    if (events) events.emit('account', { index, result: results[index], completed, total: accounts.length })
+  }, relayHost(account.url))))
+
+  if (events) events.emit('done', { results })
+  return results
+}
+
+module.exports = {
+  PROBE_MODES,
+  MODE_LABELS,
+  getModelProbe,
+  probeAccount,
+  runBatch
+}
@@ -0,0 +1,357 @@
+/**
+ * 代理支持 - 模型探测（HTTP 方式和 Claude CLI 方式）、额度查询和通知发送共用
+ *
+ * 代理地址:
+ *   http://[user:pass@]host:port     HTTP 代理（https 目标通过 CONNECT 隧道，http 目标直接转发）
+ *   https://[user:pass@]host:port    通过 TLS 连接的 HTTP 代理（统一使用 CONNECT 隧道）
+ *   socks5://[user:pass@]host:port   SOCKS5 代理（socks5h、socks 同义，域名交给代理解析）
+ *   direct                           直连，不使用代理（none 同义），用于在单个账号上绕过全局代理
+ *
+ * 选择规则: 账号的 proxy 字段（CSV 的 proxy/代理 列，JSON/YAML 的 proxy，.env 的 XXX_PROXY）> --proxy 全局默认。
+ * 都没有时 HTTP 方式直接连接，Claude CLI 方式照旧继承本机的 HTTPS_PROXY 等环境变量；
+ * 设置了代理或 direct 时，Claude CLI 的代理环境变量按设置覆盖。Claude CLI 不支持 SOCKS 代理。
+ *
+ * 报告中显示 describeProxy 的结果，代理密码以 *** 代替。
+ */
+
+const net = require('net')
+const tls = require('tls')
+
+const PROXY_PROTOCOLS = {
+  'http:': 'http',
+  'https:': 'https',
+  'socks:': 'socks5',
+  'socks5:': 'socks5',
+  'socks5h:': 'socks5'
+}
+const DIRECT_VALUES = ['direct', 'none']
+const DEFAULT_PORTS = { http: 80, https: 443, socks5: 1080 }
+const CONNECT_TIMEOUT = 15000
+const PROXY_ENV_NAMES = ['HTTPS_PROXY', 'https_proxy', 'HTTP_PROXY', 'http_proxy', 'ALL_PROXY', 'all_proxy']
+const NO_PROXY_ENV_NAMES = ['NO_PROXY', 'no_proxy']
+
+const SOCKS_REPLIES = {
+  1: '代理服务器内部错误',
+  2: '代理规则不允许该连接',
+  3: '网络不可达',
+  4: '主机不可达',
+  5: '连接被拒绝',
+  6: 'TTL 过期',
+  7: '不支持的命令',
+  8: '不支持的地址类型'
+}
+
+// 代理错误，error-classes.js 归类为 proxy_error
+function proxyError(message) {
+  const error = new Error(message)
+  error.code = 'EPROXY'
+  return error
+}
+
+// 解析代理地址，返回 null（未设置）、{ type: 'direct' } 或 { type, host, port, username, password, href }
+// 格式错误时抛出异常
+function parseProxy(value) {
+  if (value === null || value === undefined) return null
+  const text = String(value).trim()
+  if (!text) return null
+  if (DIRECT_VALUES.includes(text.toLowerCase())) return { type: 'direct' }
+
+  let urlObj
+  try {
+    urlObj = new URL(text)
+  } catch (error) {
+    throw new Error(`代理地址格式错误: ${text}，需要 http://、https://、socks5:// 开头或 direct`)
+  }
+  const type = PROXY_PROTOCOLS[urlObj.protocol]
+  if (!type || !urlObj.hostname) {
+    throw new Error(`不支持的代理地址: ${text}，需要 http://、https://、socks5:// 开头或 direct`)
+  }
+  return {
+    type,
+    host: urlObj.hostname.replace(/^\[|\]$/g, ''),
+    port: parseInt(urlObj.port) || DEFAULT_PORTS[type],
+    username: decodeURIComponent(urlObj.username),
+    password: decodeURIComponent(urlObj.password),
+    href: text
+  }
+}
+
+// 账号实际使用的代理: 账号的 proxy 字段优先，其次是全局默认；direct/none 统一为 direct，都没有时为 null
+function resolveProxy(accountProxy, defaultProxy = null) {
+  for (const value of [accountProxy, defaultProxy]) {
+    const text = value === null || value === undefined ? '' : String(value).trim()
+    if (text) return DIRECT_VALUES.includes(text.toLowerCase()) ? 'direct' : text
+  }
+  return null
+}
+
+// 报告中显示的代理（密码以 *** 代替），未设置时为 null
+function describeProxy(value) {
+  let proxy
+  try {
+    proxy = parseProxy(value)
+  } catch (error) {
+    return String(value)
+  }
+  if (!proxy) return null
+  if (proxy.type === 'direct') return 'direct'
+  const auth = proxy.username ? `${encodeURIComponent(proxy.username)}${proxy.password ? ':***' : ''}@` : ''
+  const host = net.isIPv6(proxy.host) ? `[${proxy.host}]` : proxy.host
+  return `${proxy.href.split(':')[0].toLowerCase()}://${auth}${host}:${proxy.port}`
+}
+
+// 按需读取 socket 数据: read(size) 中 size(buffer) 返回本次要取走的字节数，数据不够时返回 null
+function createSocketReader(socket) {
+  let buffer = Buffer.alloc(0)
+  let waiting = null
+  let failure = null
+
+  const check = () => {
+    if (!waiting) return
+    const current = waiting
+    if (failure) {
+      waiting = null
+      current.reject(failure)
+      return
+    }
+    const size = current.size(buffer)
+    if (size === null) return
+    waiting = null
+    const chunk = buffer.subarray(0, size)
+    buffer = buffer.subarray(size)
+    current.resolve(chunk)
+  }
+  const onData = (chunk) => {
+    buffer = Buffer.concat([buffer, chunk])
+    check()
+  }
+  const onClose = () => {
+    failure = failure || proxyError('代理服务器关闭了连接')
+    check()
+  }
+  const onError = (error) => {
+    failure = error.code === 'EPROXY' ? error : proxyError(`代理连接失败: ${error.message}`)
+    check()
+  }
+  socket.on('data', onData)
+  socket.on('end', onClose)
+  socket.on('close', onClose)
+  socket.on('error', onError)
+
+  return {
+    read(size) {
+      return new Promise((resolve, reject) => {
+        waiting = { size, resolve, reject }
+        check()
+      })
+    },
+    bytes(count) {
+      return this.read(data => data.length >= count ? count : null)
+    },
+    // 握手完成，交还 socket（多读到的数据放回去）
+    release() {
+      socket.removeListener('data', onData)
+      socket.removeListener('end', onClose)
+      socket.removeListener('close', onClose)
+      socket.removeListener('error', onError)
+      if (buffer.length > 0) socket.unshift(buffer)
+    }
+  }
+}
+
+// 连接代理服务器本身（https 代理使用 TLS），超过 CONNECT_TIMEOUT 没有连上时失败
+function connectProxyServer(proxy) {
+  return new Promise((resolve, reject) => {
+    const options = { host: proxy.host, port: proxy.port }
+    const socket = proxy.type === 'https'
+      ? tls.connect({ ...options, servername: net.isIP(proxy.host) ? undefined : proxy.host }, () => done())
+      : net.connect(options, () => done())
+    const onError = (error) => {
+      socket.destroy()
+      reject(proxyError(`无法连接代理服务器 ${proxy.host}:${proxy.port}: ${error.code || error.message}`))
+    }
+    const done = () => {
+      socket.setTimeout(0)
+      socket.removeListener('error', onError)
+      resolve(socket)
+    }
+    socket.once('error', onError)
+    socket.setTimeout(CONNECT_TIMEOUT, () => onError(new Error(`连接超时（${CONNECT_TIMEOUT / 1000}秒）`)))
+  })
+}
+
+// Basic 认证头
+function basicAuth(proxy) {
+  return `Basic ${Buffer.from(`${proxy.username}:${proxy.password}`).toString('base64')}`
+}
+
+// HTTP CONNECT 隧道
+async function httpConnect(socket, proxy, host, port) {
+  const target = `${net.isIPv6(host) ? `[${host}]` : host}:${port}`
+  const lines = [`CONNECT ${target} HTTP/1.1`, `Host: ${target}`]
+  if (proxy.username) lines.push(`Proxy-Authorization: ${basicAuth(proxy)}`)
+  socket.write(lines.join('\r\n') + '\r\n\r\n')
+
+  const reader = createSocketReader(socket)
+  let head
+  try {
+    head = await reader.read(data => {
+      const end = data.indexOf('\r\n\r\n')
+      return end === -1 ? null : end + 4
+    })
+  } finally {
+    reader.release()
+  }
+  const status = parseInt((/^HTTP\/\d(?:\.\d)?\s+(\d{3})/.exec(head.toString('latin1')) || [])[1])
+  if (status !== 200) {
+    throw proxyError(status === 407 ? '代理认证失败（HTTP 407）' : `代理拒绝建立隧道: HTTP ${status || '响应无法解析'}`)
+  }
+}
+
+// SOCKS5 握手和 CONNECT
+async function socksConnect(socket, proxy, host, port) {
+  const reader = createSocketReader(socket)
+  try {
+    const methods = proxy.username ? [0x00, 0x02] : [0x00]
+    socket.write(Buffer.from([0x05, methods.length, ...methods]))
+    const [version, method] = await reader.bytes(2)
+    if (version !== 0x05) throw proxyError('代理服务器不是 SOCKS5 协议')
+    if (method === 0x02) {
+      const user = Buffer.from(proxy.username)
+      const pass = Buffer.from(proxy.password)
+      socket.write(Buffer.concat([Buffer.from([0x01, user.length]), user, Buffer.from([pass.length]), pass]))
+      const [, status] = await reader.bytes(2)
+      if (status !== 0x00) throw proxyError('SOCKS5 代理认证失败')
+    } else if (method !== 0x00) {
+      throw proxyError(proxy.username ? 'SOCKS5 代理不接受用户名密码认证' : 'SOCKS5 代理需要认证')
+    }
+
+    let address
+    if (net.isIPv4(host)) {
+      address = Buffer.from([0x01, ...host.split('.').map(Number)])
+    } else if (net.isIPv6(host)) {
+      // 先按 URL 规范化（例如 ::ffff:1.2.3.4 → ::ffff:102:304）
+      const normalized = new URL(`http://[${host}]`).hostname.slice(1, -1)
+      address = Buffer.concat([Buffer.from([0x04]), ipv6Bytes(normalized)])
+    } else {
+      const name = Buffer.from(host)
+      address = Buffer.concat([Buffer.from([0x03, name.length]), name])
+    }
+    const portBytes = Buffer.from([port >> 8, port & 0xff])
+    socket.write(Buffer.concat([Buffer.from([0x05, 0x01, 0x00]), address, portBytes]))
+
+    const head = await reader.bytes(5)
+    if (head[1] !== 0x00) {
+      throw proxyError(`SOCKS5 代理无法连接 ${host}:${port}: ${SOCKS_REPLIES[head[1]] || `错误码 ${head[1]}`}`)
+    }
+    // 剩余的绑定地址: IPv4 4字节、IPv6 16字节、域名 head[4] 字节，再加2字节端口（已读1字节）
+    const rest = { 0x01: 3 + 2, 0x04: 15 + 2, 0x03: head[4] + 2 }[head[3]]
+    if (rest === undefined) throw proxyError('SOCKS5 代理响应无法解析')
+    await reader.bytes(rest)
+  } finally {
+    reader.release()
+  }
+}
+
+// IPv6 地址 → 16字节
+function ipv6Bytes(address) {
+  const [head, tail = ''] = address.split('::')
+  const headWords = head ? head.split(':') : []
+  const tailWords = address.includes('::') && tail ? tail.split(':') : []
+  const words = [...headWords, ...new Array(8 - headWords.length - tailWords.length).fill('0'), ...tailWords]
+  const bytes = Buffer.alloc(16)
+  words.forEach((word, index) => bytes.writeUInt16BE(parseInt(word, 16) || 0, index * 2))
+  return bytes
+}
+
+// 通过代理建立到 host:port 的 TCP 连接，返回 socket；proxy 为 parseProxy 的结果，null 或 direct 时直接连接
+async function openConnection(proxy, host, port) {
+  if (!proxy || proxy.type === 'direct') {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host, port }, () => {
+        socket.setTimeout(0)
+        socket.removeListener('error', reject)
+        resolve(socket)
+      })
+      socket.once('error', reject)
+      socket.setTimeout(CONNECT_TIMEOUT, () => socket.destroy(Object.assign(new Error(`连接 ${host}:${port} 超时`), { code: 'ETIMEDOUT' })))
+    })
+  }
+
+  const socket = await connectProxyServer(proxy)
+  socket.setTimeout(CONNECT_TIMEOUT, () => socket.destroy(proxyError(`代理握手超时（${CONNECT_TIMEOUT / 1000}秒）`)))
+  try {
+    if (proxy.type === 'socks5') {
+      await socksConnect(socket, proxy, host, port)
+    } else {
+      await httpConnect(socket, proxy, host, port)
+    }
+  } catch (error) {
+    socket.destroy()
+    throw error
+  }
+  socket.setTimeout(0)
+  return socket
+}
+
+// http(s).request 的请求选项: 使用代理时通过 createConnection 建立隧道（https 目标在隧道上再做 TLS），
+// http 代理访问 http 目标时直接把完整地址发给代理
+function requestOptions(urlObj, { method = 'GET', headers = {}, timeout } = {}, proxyValue = null) {
+  const secure = urlObj.protocol === 'https:'
+  const hostname = urlObj.hostname.replace(/^\[|\]$/g, '')
+  const port = parseInt(urlObj.port) || (secure ? 443 : 80)
+  const options = { hostname, port, path: urlObj.pathname + urlObj.search, method, headers }
+  if (timeout !== undefined) options.timeout = timeout
+
+  const proxy = parseProxy(proxyValue)
+  if (!proxy || proxy.type === 'direct') return options
+
+  if (proxy.type === 'http' && !secure) {
+    options.path = urlObj.href
+    if (proxy.username) options.headers = { ...headers, 'Proxy-Authorization': basicAuth(proxy) }
+    options.createConnection = (connectOptions, callback) => {
+      connectProxyServer(proxy).then(socket => callback(null, socket), callback)
+    }
+    return options
+  }
+
+  options.createConnection = (connectOptions, callback) => {
+    openConnection(proxy, hostname, port)
+      .then(socket => {
+        if (!secure) return callback(null, socket)
+        const secureSocket = tls.connect({ socket, servername: net.isIP(hostname) ? undefined : hostname })
+        callback(null, secureSocket)
+      })
+      .catch(callback)
+  }
+  return options
+}
+
+// Claude CLI 进程的环境变量: 设置了代理时覆盖代理变量，direct 时清除代理变量，未设置时保持不变
+// SOCKS 代理 Claude CLI 不支持，抛出异常
+function proxyEnv(env, proxyValue) {
+  const proxy = parseProxy(proxyValue)
+  if (!proxy) return env
+  if (proxy.type === 'socks5') {
+    throw proxyError('Claude CLI 不支持 SOCKS 代理，请改用 HTTP 代理或 --mode http')
+  }
+  const updated = { ...env }
+  for (const name of [...PROXY_ENV_NAMES, ...NO_PROXY_ENV_NAMES]) delete updated[name]
+  if (proxy.type === 'direct') {
+    updated.NO_PROXY = '*'
+  } else {
+    updated.HTTPS_PROXY = proxy.href
+    updated.HTTP_PROXY = proxy.href
+  }
+  return updated
+}
+
+module.exports = {
+  PROXY_PROTOCOLS,
+  parseProxy,
+  resolveProxy,
+  describeProxy,
+  openConnection,
+  requestOptions,
+  proxyEnv
+}
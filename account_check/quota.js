@@ -0,0 +1,258 @@
+/**
+ * 额度查询 - 通过中转服务的用量/Key信息接口查询账号的剩余额度、已用额度和到期时间
+ *
+ * 适配的中转服务 (quotaType):
+ *   claude-relay  claude-relay-service 等自建中转（cr_ 开头的 key），POST /apiStats/api/user-stats
+ *   one-api       one-api / new-api 的 OpenAI 兼容账单接口，GET /v1/dashboard/billing/subscription 和 /usage
+ *
+ * 选择规则: 账号的 quotaType 字段（JSON/YAML 账号文件，none 表示不查询）> --quota 指定的类型 >
+ * auto 时按 key 前缀识别（cr_ → claude-relay），识别不了的账号不查询。
+ * 接口地址取账号 url 的 origin（https://relay.example.com/api → https://relay.example.com），与模型探测使用同一个代理。
+ *
+ * 额度信息（金额单位为美元）:
+ *   { type, status, limit, used, remaining, dailyLimit, dailyUsed, expiresAt, forecast, warnings, error }
+ *   status: ok | low（即将耗尽/即将过期）| exhausted | expired | disabled | unavailable（查询失败）
+ *   forecast: { dailyUsage, daysLeft } 根据历史记录中的已用额度估算，没有足够历史时为 null
+ *   warnings: 即将耗尽、即将过期的提示文字
+ */
+
+const http = require('http')
+const https = require('https')
+const { requestOptions } = require('./proxy')
+
+const QUOTA_MODES = ['auto', 'claude-relay', 'one-api', 'off']
+const DEFAULT_WARN_RATIO = 0.1
+const DEFAULT_WARN_DAYS = 3
+const MIN_FORECAST_SPAN = 3600 * 1000 // 至少间隔1小时的用量记录才用于估算消耗速度
+const ONE_API_UNLIMITED = 100000000 // one-api 无限额度时 hard_limit_usd 返回的值
+const DAY = 24 * 3600 * 1000
+
+const QUOTA_STATUS_LABELS = {
+  ok: '正常',
+  low: '额度预警',
+  exhausted: '额度已耗尽',
+  expired: '已过期',
+  disabled: '已停用',
+  unavailable: '查询失败'
+}
+
+// 发送 JSON 请求，返回 { status, body }（body 无法解析时为原始文本）
+function requestJson(url, { method = 'GET', headers = {}, body = null, timeout = 15000, proxy = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(url)
+    const data = body ? JSON.stringify(body) : null
+    const transport = urlObj.protocol === 'http:' ? http : https
+    const req = transport.request(requestOptions(urlObj, {
+      method,
+      headers: data ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data), ...headers } : headers
+    }, proxy), (res) => {
+      let text = ''
+      res.setEncoding('utf8')
+      res.on('data', chunk => { text += chunk })
+      res.on('end', () => {
+        let parsed = text
+        try {
+          parsed = JSON.parse(text)
+        } catch (error) {
+          // 非JSON响应，保留原始文本
+        }
+        resolve({ status: res.statusCode, body: parsed })
+      })
+    })
+    req.setTimeout(timeout, () => req.destroy(new Error('额度接口响应超时')))
+    req.on('error', reject)
+    if (data) req.write(data)
+    req.end()
+  })
+}
+
+// 数值字段: 取第一个有效数字
+function numberOf(...values) {
+  const value = values.find(item => item !== null && item !== undefined && item !== '' && !isNaN(Number(item)))
+  return value === undefined ? null : Number(value)
+}
+
+// 限额字段: 0 或负数表示不限
+function limitOf(value) {
+  const number = numberOf(value)
+  return number !== null && number > 0 ? number : null
+}
+
+// 接口错误信息
+function describeFailure(response) {
+  const body = response.body
+  const message = body && typeof body === 'object'
+    ? body.message || (body.error && (body.error.message || body.error))
+    : String(body || '').trim().substring(0, 100)
+  return `额度接口返回 HTTP ${response.status}${message ? `: ${message}` : ''}`
+}
+
+// claude-relay-service: 用 key 查询统计信息
+async function fetchClaudeRelayQuota(account, { timeout }) {
+  const response = await requestJson(`${new URL(account.url).origin}/apiStats/api/user-stats`, {
+    method: 'POST',
+    body: { apiKey: account.key },
+    timeout,
+    proxy: account.proxy
+  })
+  if (response.status !== 200 || !response.body || !response.body.success || !response.body.data) {
+    throw new Error(describeFailure(response))
+  }
+
+  const data = response.body.data
+  const limits = data.limits || {}
+  const total = (data.usage && data.usage.total) || {}
+  return {
+    active: data.isActive !== false,
+    limit: limitOf(limits.totalCostLimit),
+    used: numberOf(limits.currentTotalCost, total.cost),
+    dailyLimit: limitOf(limits.dailyCostLimit),
+    dailyUsed: numberOf(limits.currentDailyCost),
+    expiresAt: data.expiresAt || null
+  }
+}
+
+// one-api / new-api: OpenAI 兼容的账单接口，已用额度单位为美分
+async function fetchOneApiQuota(account, { timeout }) {
+  const origin = new URL(account.url).origin
+  const headers = { Authorization: `Bearer ${account.key}` }
+  const proxy = account.proxy
+  const subscription = await requestJson(`${origin}/v1/dashboard/billing/subscription`, { headers, timeout, proxy })
+  if (subscription.status !== 200 || !subscription.body || typeof subscription.body !== 'object') {
+    throw new Error(describeFailure(subscription))
+  }
+  const endDate = new Date(Date.now() + DAY).toISOString().substring(0, 10)
+  const usage = await requestJson(`${origin}/v1/dashboard/billing/usage?start_date=2023-01-01&end_date=${endDate}`, { headers, timeout, proxy })
+  if (usage.status !== 200 || !usage.body || typeof usage.body !== 'object') {
+    throw new Error(describeFailure(usage))
+  }
+
+  const hardLimit = limitOf(subscription.body.hard_limit_usd)
+  const accessUntil = numberOf(subscription.body.access_until)
+  const usedCents = numberOf(usage.body.total_usage)
+  return {
+    active: true,
+    limit: hardLimit !== null && hardLimit < ONE_API_UNLIMITED ? hardLimit : null,
+    used: usedCents !== null ? usedCents / 100 : null,
+    dailyLimit: null,
+    dailyUsed: null,
+    expiresAt: accessUntil ? new Date(accessUntil * 1000).toISOString() : null
+  }
+}
+
+const QUOTA_ADAPTERS = {
+  'claude-relay': { label: 'Claude Relay Service', detect: key => /^cr_/.test(key), fetch: fetchClaudeRelayQuota },
+  'one-api': { label: 'one-api / new-api', detect: () => false, fetch: fetchOneApiQuota }
+}
+
+// 账号使用的额度接口类型，不查询时返回 null
+function resolveQuotaType(account, mode = 'auto') {
+  if (mode === 'off') return null
+  if (account.quotaType) {
+    return account.quotaType === 'none' ? null : account.quotaType
+  }
+  if (mode !== 'auto') return mode
+  const type = Object.keys(QUOTA_ADAPTERS).find(name => QUOTA_ADAPTERS[name].detect(String(account.key || '')))
+  return type || null
+}
+
+// 查询账号额度，不查询时返回 null；查询失败时 status 为 unavailable
+// warnRatio / warnDays 见 assessQuota
+async function probeQuota(account, { mode = 'auto', timeout = 15000, warnRatio, warnDays } = {}) {
+  const type = resolveQuotaType(account, mode)
+  if (!type) return null
+
+  const adapter = QUOTA_ADAPTERS[type]
+  if (!adapter) {
+    return { type, status: 'unavailable', error: `不支持的额度接口类型: ${type}`, warnings: [] }
+  }
+  try {
+    const raw = await adapter.fetch(account, { timeout })
+    return assessQuota({ type, ...raw, error: null }, { warnRatio, warnDays })
+  } catch (error) {
+    return { type, status: 'unavailable', error: error.message, warnings: [] }
+  }
+}
+
+function formatUsd(value) {
+  return `$${value.toFixed(2)}`
+}
+
+// 根据历史用量估算每天的消耗和剩余天数
+// samples 为历史记录中该账号的 [{ time, used }]，按时间升序
+function forecastQuota(quota, samples, now) {
+  if (quota.used === null || quota.remaining === null) return null
+  const base = samples.find(sample => sample.used !== null && sample.used !== undefined && now - Date.parse(sample.time) >= MIN_FORECAST_SPAN)
+  if (!base) return null
+  const dailyUsage = (quota.used - base.used) / ((now - Date.parse(base.time)) / DAY)
+  if (!(dailyUsage > 0)) return null
+  return {
+    dailyUsage: Math.round(dailyUsage * 100) / 100,
+    daysLeft: Math.round(Math.max(quota.remaining, 0) / dailyUsage * 10) / 10
+  }
+}
+
+// 计算剩余额度、状态和预警（可重复调用，例如命令行工具在读取历史后重新估算）
+function assessQuota(quota, { samples = [], warnRatio = DEFAULT_WARN_RATIO, warnDays = DEFAULT_WARN_DAYS, now = Date.now() } = {}) {
+  if (!quota || quota.error) return quota
+
+  const remaining = quota.limit !== null && quota.used !== null ? Math.round((quota.limit - quota.used) * 100) / 100 : null
+  const assessed = { ...quota, remaining, forecast: null, warnings: [] }
+  assessed.forecast = forecastQuota(assessed, samples, now)
+
+  const expiresAt = quota.expiresAt ? Date.parse(quota.expiresAt) : NaN
+  const dailyExhausted = quota.dailyLimit !== null && quota.dailyUsed !== null && quota.dailyUsed >= quota.dailyLimit
+  if (!quota.active) {
+    assessed.status = 'disabled'
+  } else if (expiresAt <= now) {
+    assessed.status = 'expired'
+  } else if ((remaining !== null && remaining <= 0) || dailyExhausted) {
+    assessed.status = 'exhausted'
+  } else {
+    if (remaining !== null && remaining < quota.limit * warnRatio) {
+      assessed.warnings.push(`剩余额度 ${formatUsd(remaining)}，不足总额度 ${formatUsd(quota.limit)} 的 ${Math.round(warnRatio * 100)}%`)
+    }
+    if (assessed.forecast && assessed.forecast.daysLeft < warnDays) {
+      assessed.warnings.push(`按近期用量（${formatUsd(assessed.forecast.dailyUsage)}/天）约 ${assessed.forecast.daysLeft} 天后耗尽`)
+    }
+    if (quota.dailyLimit !== null && quota.dailyUsed !== null && quota.dailyUsed >= quota.dailyLimit * (1 - warnRatio)) {
+      assessed.warnings.push(`今日额度已用 ${formatUsd(quota.dailyUsed)} / ${formatUsd(quota.dailyLimit)}`)
+    }
+    if (expiresAt - now < warnDays * DAY) {
+      assessed.warnings.push(`将于 ${new Date(expiresAt).toLocaleString('zh-CN')} 到期`)
+    }
+    assessed.status = assessed.warnings.length > 0 ? 'low' : 'ok'
+  }
+  return assessed
+}
+
+// 一行文字描述额度
+function describeQuota(quota) {
+  if (!quota) return '未查询'
+  if (quota.status === 'unavailable') return `查询失败: ${quota.error}`
+  const parts = []
+  if (quota.remaining !== null) {
+    parts.push(`剩余 ${formatUsd(quota.remaining)} / ${formatUsd(quota.limit)}`)
+  } else if (quota.used !== null) {
+    parts.push(`已用 ${formatUsd(quota.used)}（不限总额度）`)
+  }
+  if (quota.dailyLimit !== null && quota.dailyUsed !== null) {
+    parts.push(`今日 ${formatUsd(quota.dailyUsed)} / ${formatUsd(quota.dailyLimit)}`)
+  }
+  if (quota.expiresAt) {
+    parts.push(`到期 ${new Date(quota.expiresAt).toLocaleDateString('zh-CN')}`)
+  }
+  return parts.join('，') || '无额度信息'
+}
+
+module.exports = {
+  QUOTA_MODES,
+  QUOTA_ADAPTERS,
+  QUOTA_STATUS_LABELS,
+  DEFAULT_WARN_RATIO,
+  DEFAULT_WARN_DAYS,
+  resolveQuotaType,
+  probeQuota,
+  assessQuota,
+  describeQuota
+}
@@ -0,0 +1,255 @@
+/**
+ * 账号再分配 - 根据检测结果把团队成员分配到健康且有余量的账号上
+ *
+ * 输入:
+ * - batchTest 的检测结果
+ * - 团队配置文件 (--team team.json):
+ *   {
+ *     "defaultCapacity": 3,                         // 每个账号默认最多分配的人数（可选，默认不限）
+ *     "accounts": { "laogan老甘": { "capacity": 2 } }, // 单个账号的容量（可选）
+ *     "members": [
+ *       { "name": "张三", "models": ["sonnet4", "opus41"], "account": "laogan老甘" },
+ *       { "name": "李四", "models": ["sonnet4"] }
+ *     ]
+ *   }
+ *   models 为成员需要的模型（模型 key 或模型ID，省略时表示需要全部测试模型），
+ *   account 为成员当前使用的账号（可选）。
+ * - 上一次的分配方案 test-reports/rebalance-plan.json（存在时优先作为当前分配）
+ *
+ * 分配原则:
+ * 1. 当前账号仍然满足成员所需的全部模型且未超容量时保持不动
+ * 2. 需要迁移的成员按所需模型数从多到少依次分配，优先选择剩余容量比例最高、响应最快的账号
+ * 3. 没有可用账号时标记为 unassigned；所需模型不在本次测试模型中的成员同样标记为 unassigned，不影响其他成员
+ *
+ * 输出:
+ * - test-reports/rebalance-plan.json  机器可读的分配方案
+ * - test-reports/rebalance-diff.txt   人工可读的变动说明
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const PLAN_FILE = 'rebalance-plan.json'
+const DIFF_FILE = 'rebalance-diff.txt'
+
+// 迁移原因
+const MOVE_REASONS = {
+  account_failed: '原账号全部模型不可用',
+  missing_models: '原账号缺少所需模型',
+  over_capacity: '原账号超出容量',
+  account_removed: '原账号不在本次检测结果中',
+  model_not_tested: '所需模型不在本次测试模型中',
+  unassigned: '新成员，尚未分配'
+}
+
+// 读取团队配置
+function loadTeamConfig(filePath) {
+  const team = JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+  if (!Array.isArray(team.members) || team.members.length === 0) {
+    throw new Error('团队配置中 members 不能为空')
+  }
+  for (const member of team.members) {
+    if (!member.name) {
+      throw new Error(`团队成员缺少 name: ${JSON.stringify(member)}`)
+    }
+  }
+  return team
+}
+
+// 读取上一次的分配方案，返回 { 成员名: 账号名 }
+function loadPreviousAssignments(reportDir) {
+  const planPath = path.join(reportDir, PLAN_FILE)
+  if (!fs.existsSync(planPath)) return {}
+
+  try {
+    const plan = JSON.parse(fs.readFileSync(planPath, 'utf-8'))
+    const assignments = {}
+    for (const item of plan.assignments || []) {
+      if (item.to) assignments[item.member] = item.to
+    }
+    return assignments
+  } catch (error) {
+    console.log(`⚠️ 读取上次分配方案失败，将使用团队配置中的当前账号: ${error.message}`)
+    return {}
+  }
+}
+
+// 把成员需要的模型（key 或模型ID）统一转换为模型 key，返回 { keys, missing }，missing 为不在本次测试模型中的模型
+function resolveRequiredModels(member, models) {
+  if (!Array.isArray(member.models) || member.models.length === 0) {
+    return { keys: models.map(m => m.key), missing: [] }
+  }
+  const keys = []
+  const missing = []
+  for (const required of member.models) {
+    const model = models.find(m => m.key === required || m.id === required)
+    if (model) {
+      keys.push(model.key)
+    } else {
+      missing.push(required)
+    }
+  }
+  return { keys, missing }
+}
+
+// 账号是否满足全部所需模型
+function supportsModels(result, requiredKeys) {
+  return requiredKeys.every(key => result.models[key] && result.models[key].status === 'success')
+}
+
+// 账号在所需模型上的总响应时间，用于同等条件下优先选择更快的账号
+function responseTimeFor(result, requiredKeys) {
+  return requiredKeys.reduce((sum, key) => sum + (result.models[key].responseTime || 0), 0)
+}
+
+// 生成分配方案
+function rebalance(results, team, models, previousAssignments = {}) {
+  const defaultCapacity = team.defaultCapacity !== undefined ? team.defaultCapacity : Infinity
+  const accountConfig = team.accounts || {}
+  const resultsByName = new Map(results.map(r => [r.name, r]))
+
+  const capacityOf = (name) => {
+    const config = accountConfig[name]
+    return config && config.capacity !== undefined ? config.capacity : defaultCapacity
+  }
+
+  const load = new Map(results.map(r => [r.name, 0]))
+  const assignments = []
+  const pending = []
+
+  // 第一轮：尽量保持现有分配
+  for (const member of team.members) {
+    const { keys: requiredKeys, missing } = resolveRequiredModels(member, models)
+    const current = previousAssignments[member.name] || member.account || null
+    const entry = { member: member.name, models: requiredKeys, from: current, to: null, status: null, reason: null }
+    const currentResult = current ? resultsByName.get(current) : null
+
+    if (missing.length > 0) {
+      // 无法判断任何账号是否满足该成员，不参与分配
+      entry.models = [...requiredKeys, ...missing]
+      entry.missingModels = missing
+      entry.status = 'unassigned'
+      entry.reason = 'model_not_tested'
+    } else if (!current) {
+      entry.reason = 'unassigned'
+    } else if (!currentResult) {
+      entry.reason = 'account_removed'
+    } else if (!supportsModels(currentResult, requiredKeys)) {
+      entry.reason = currentResult.overallStatus === 'all_failed' ? 'account_failed' : 'missing_models'
+    } else if (load.get(current) >= capacityOf(current)) {
+      entry.reason = 'over_capacity'
+    } else {
+      entry.to = current
+      entry.status = 'kept'
+      load.set(current, load.get(current) + 1)
+    }
+
+    assignments.push(entry)
+    if (!entry.status) pending.push(entry)
+  }
+
+  // 第二轮：需要迁移的成员，所需模型越多越先分配
+  pending
+    .sort((a, b) => b.models.length - a.models.length)
+    .forEach(entry => {
+      const candidates = results
+        .filter(r => supportsModels(r, entry.models) && load.get(r.name) < capacityOf(r.name))
+        .sort((a, b) => {
+          const spareA = 1 - load.get(a.name) / capacityOf(a.name)
+          const spareB = 1 - load.get(b.name) / capacityOf(b.name)
+          if (spareA !== spareB) return spareB - spareA
+          return responseTimeFor(a, entry.models) - responseTimeFor(b, entry.models)
+        })
+
+      if (candidates.length === 0) {
+        entry.status = 'unassigned'
+        return
+      }
+
+      entry.to = candidates[0].name
+      entry.status = entry.from ? 'moved' : 'new'
+      load.set(entry.to, load.get(entry.to) + 1)
+    })
+
+  const accounts = results.map(r => ({
+    name: r.name,
+    url: r.url,
+    overallStatus: r.overallStatus,
+    healthyModels: models.filter(m => r.models[m.key] && r.models[m.key].status === 'success').map(m => m.key),
+    capacity: Number.isFinite(capacityOf(r.name)) ? capacityOf(r.name) : null,
+    assigned: load.get(r.name)
+  }))
+
+  return {
+    generatedAt: new Date().toISOString(),
+    summary: {
+      members: assignments.length,
+      kept: assignments.filter(a => a.status === 'kept').length,
+      moved: assignments.filter(a => a.status === 'moved').length,
+      new: assignments.filter(a => a.status === 'new').length,
+      unassigned: assignments.filter(a => a.status === 'unassigned').length
+    },
+    assignments: assignments.map(a => ({
+      ...a,
+      url: a.to ? resultsByName.get(a.to).url : null
+    })),
+    accounts
+  }
+}
+
+// 生成人工可读的变动说明
+function formatRebalanceDiff(plan) {
+  const lines = []
+  const { summary } = plan
+  lines.push(`账号再分配方案 - ${new Date(plan.generatedAt).toLocaleString('zh-CN')}`)
+  lines.push(`成员 ${summary.members} 人: 保持 ${summary.kept}，迁移 ${summary.moved}，新分配 ${summary.new}，无可用账号 ${summary.unassigned}`)
+
+  const changed = plan.assignments.filter(a => a.status !== 'kept')
+  if (changed.length === 0) {
+    lines.push('')
+    lines.push('无变动，所有成员保持原账号。')
+  } else {
+    lines.push('')
+    lines.push('变动:')
+    changed.forEach(a => {
+      const reason = MOVE_REASONS[a.reason] || a.reason
+      if (a.reason === 'model_not_tested') {
+        lines.push(`  ✗ ${a.member}: ${a.from || '(无)'} → (未分配)  [${reason}: ${a.missingModels.join(', ')}]`)
+      } else if (a.status === 'unassigned') {
+        lines.push(`  ✗ ${a.member}: ${a.from || '(无)'} → (无可用账号)  [${reason}，需要: ${a.models.join(', ')}]`)
+      } else {
+        lines.push(`  → ${a.member}: ${a.from || '(无)'} → ${a.to}  [${reason}]`)
+      }
+    })
+  }
+
+  lines.push('')
+  lines.push('账号负载:')
+  plan.accounts.forEach(acc => {
+    const capacity = acc.capacity === null ? '不限' : acc.capacity
+    lines.push(`  ${acc.name}: ${acc.assigned}/${capacity}  (可用模型: ${acc.healthyModels.join(', ') || '无'})`)
+  })
+
+  return lines.join('\n')
+}
+
+// 保存分配方案和变动说明
+function saveRebalancePlan(plan, reportDir) {
+  if (!fs.existsSync(reportDir)) {
+    fs.mkdirSync(reportDir, { recursive: true })
+  }
+  const planPath = path.join(reportDir, PLAN_FILE)
+  const diffPath = path.join(reportDir, DIFF_FILE)
+  fs.writeFileSync(planPath, JSON.stringify(plan, null, 2), 'utf-8')
+  fs.writeFileSync(diffPath, formatRebalanceDiff(plan) + '\n', 'utf-8')
+  return { planPath, diffPath }
+}
+
+module.exports = {
+  MOVE_REASONS,
+  loadTeamConfig,
+  loadPreviousAssignments,
+  rebalance,
+  formatRebalanceDiff,
+  saveRebalancePlan
+}
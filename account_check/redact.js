@@ -0,0 +1,57 @@
+/**
+ * 密钥脱敏 - 报告、CSV、日志和Web响应中默认只显示key的首尾几位
+ *
+ * 完整key只在以下情况输出:
+ * - 检测时加 --reveal-keys，结果CSV写入完整key
+ * - export 命令加 --reveal-keys，导出可直接使用的账号文件
+ */
+
+// 常见密钥格式，用于清理错误信息和响应中意外出现的key
+const KEY_PATTERNS = [
+  /\bcr_[A-Za-z0-9]{16,}/g,
+  /\bsk-ant-[A-Za-z0-9_-]{16,}/g,
+  /\bsk-[A-Za-z0-9_-]{20,}/g
+]
+
+// key 脱敏: 保留前6位和后4位，过短的key完全隐藏
+function maskKey(key) {
+  if (!key) return ''
+  const text = String(key)
+  if (text.length <= 12) return '***'
+  return `${text.slice(0, 6)}...${text.slice(-4)}`
+}
+
+// 把文本中出现的已知key和疑似key替换为脱敏形式
+function redactText(text, secrets = []) {
+  if (typeof text !== 'string' || !text) return text
+  let redacted = text
+  for (const secret of secrets) {
+    if (secret && secret.length >= 8) {
+      redacted = redacted.split(secret).join(maskKey(secret))
+    }
+  }
+  for (const pattern of KEY_PATTERNS) {
+    redacted = redacted.replace(pattern, match => maskKey(match))
+  }
+  return redacted
+}
+
+// 清理单模型测试结果中可能包含key的字段（错误信息、响应内容、错误JSON）
+function redactModelResult(result, secrets = []) {
+  const redacted = { ...result }
+  for (const field of ['error', 'response']) {
+    redacted[field] = redactText(redacted[field], secrets)
+  }
+  if (redacted.errorBody) {
+    redacted.errorBody = typeof redacted.errorBody === 'string'
+      ? redactText(redacted.errorBody, secrets)
+      : JSON.parse(redactText(JSON.stringify(redacted.errorBody), secrets))
+  }
+  return redacted
+}
+
+module.exports = {
+  maskKey,
+  redactText,
+  redactModelResult
+}
@@ -0,0 +1,498 @@
+/**
+ * 报告文件 - 检测完成后按 --format 额外写出的报告（控制台报告和结果CSV始终生成）
+ *
+ * 格式:
+ *   json   完整结果: 每个模型的状态、错误类别和信息、尝试次数、延迟指标、响应内容、真实性校验、能力探测，以及额度信息
+ *   html   单文件HTML报告，样式和SVG图表都内联在文件中，可以直接作为附件发送
+ *   md     Markdown 摘要，可以直接粘贴到聊天工具或工单中
+ *   junit  JUnit XML，每个账号一个 testsuite、每个模型一个 testcase（探测了能力时每项能力也是一个 testcase），供 CI 展示测试结果
+ *
+ * --format 可以重复使用或用逗号分隔，每项为 FORMAT[:FILE]，例如 --format html --format junit:reports/junit.xml；
+ * 不指定文件时写入 test-reports/claude-test-report.<扩展名>。
+ * 所有格式中的 key 均为脱敏后的值（--reveal-keys 只影响结果CSV）。
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { OVERALL_STATUS } = require('./model-matrix')
+const { QUOTA_STATUS_LABELS, describeQuota } = require('./quota')
+const { formatLatency } = require('./stream-metrics')
+const { CAPABILITIES, CAPABILITY_STATUS_LABELS, CAPABILITY_ICONS, collectCapabilityNames } = require('./capabilities')
+
+const REPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json' },
+  html: { label: 'HTML', extension: 'html' },
+  md: { label: 'Markdown', extension: 'md' },
+  junit: { label: 'JUnit XML', extension: 'xml' }
+}
+const DEFAULT_REPORT_NAME = 'claude-test-report'
+
+const STATUS_TEXT = {
+  [OVERALL_STATUS.ALL_SUCCESS]: '全部通过',
+  [OVERALL_STATUS.PARTIAL]: '部分通过',
+  [OVERALL_STATUS.ALL_FAILED]: '完全失败'
+}
+const STATUS_COLORS = {
+  [OVERALL_STATUS.ALL_SUCCESS]: '#2e9e5b',
+  [OVERALL_STATUS.PARTIAL]: '#e0a200',
+  [OVERALL_STATUS.ALL_FAILED]: '#d64545'
+}
+const MODEL_COLORS = ['#4e79a7', '#f28e2b', '#59a14f', '#b07aa1', '#76b7b2', '#edc948']
+
+// 解析 --format 的值，返回 [{ format, file }]，file 为 null 时使用默认路径
+function parseFormatSpec(spec) {
+  return String(spec).split(',').map(item => item.trim()).filter(Boolean).map(item => {
+    const separator = item.indexOf(':')
+    const format = (separator === -1 ? item : item.substring(0, separator)).toLowerCase()
+    const file = separator === -1 ? null : item.substring(separator + 1) || null
+    if (!REPORT_FORMATS[format]) {
+      throw new Error(`不支持的报告格式: ${format}，可选值: ${Object.keys(REPORT_FORMATS).join(', ')}`)
+    }
+    return { format, file }
+  })
+}
+
+// 组装报告数据，去掉结果中的完整key
+function buildReportData(results, stats, models, { mode = null, modeLabel = null, generatedAt = new Date() } = {}) {
+  return {
+    generatedAt,
+    mode,
+    modeLabel: modeLabel || mode,
+    models,
+    stats,
+    results: results.map(({ fullKey, ...result }) => result)
+  }
+}
+
+function percent(count, total) {
+  return total > 0 ? `${(count / total * 100).toFixed(1)}%` : '0.0%'
+}
+
+// 单个模型结果的简短描述: { icon, text }
+function describeModel(modelResult) {
+  if (!modelResult) return { icon: '➖', text: '未测试' }
+  if (modelResult.status === 'success') return { icon: '✅', text: `${modelResult.speed} ${formatLatency(modelResult)}` }
+  if (modelResult.status === 'skipped') return { icon: '⏭️', text: '跳过' }
+  return { icon: '❌', text: modelResult.errorType || '失败' }
+}
+
+// 探测了能力的模型: [{ account, model, capabilities }]
+function collectCapabilityRows(report) {
+  return report.results.flatMap(account => report.models
+    .filter(m => account.models[m.key] && account.models[m.key].capabilities)
+    .map(m => ({ account, model: m, capabilities: account.models[m.key].capabilities })))
+}
+
+// 失败模型的明细: [{ account, model, modelResult }]
+function collectFailures(report) {
+  return report.results.flatMap(account => report.models
+    .filter(m => account.models[m.key] && account.models[m.key].status === 'failed')
+    .map(m => ({ account, model: m, modelResult: account.models[m.key] })))
+}
+
+function renderJson(report) {
+  return JSON.stringify({
+    generatedAt: report.generatedAt.toISOString(),
+    mode: report.mode,
+    models: report.models,
+    stats: report.stats,
+    results: report.results
+  }, null, 2) + '\n'
+}
+
+// Markdown 表格单元格: 转义竖线，去掉换行
+function mdCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ')
+}
+
+function renderMarkdown(report) {
+  const { stats, models, results } = report
+  const hasQuota = results.some(r => r.quota)
+  const lines = [
+    '## 📊 Claude账号检测报告',
+    '',
+    `- 检测时间: ${report.generatedAt.toLocaleString('zh-CN')}`,
+    `- 探测方式: ${report.modeLabel}`,
+    `- 账号总数: ${stats.total}（全部通过 ${stats.all_success} ✅ / 部分通过 ${stats.partial} ⚠️ / 完全失败 ${stats.all_failed} ❌）`,
+    ...models.map(m => `- ${m.label} 通过率: ${stats.models[m.key].success}/${stats.total} (${percent(stats.models[m.key].success, stats.total)})`),
+    '',
+    `| 账号 | ${models.map(m => mdCell(m.label)).join(' | ')}${hasQuota ? ' | 额度' : ''} |`,
+    `|---|${models.map(() => '---').join('|')}${hasQuota ? '|---' : ''}|`
+  ]
+
+  results.forEach(account => {
+    const cells = models.map(m => {
+      const { icon, text } = describeModel(account.models[m.key])
+      return mdCell(`${icon} ${text}`)
+    })
+    if (hasQuota) {
+      cells.push(mdCell(account.quota ? `${QUOTA_STATUS_LABELS[account.quota.status]} ${describeQuota(account.quota)}` : '-'))
+    }
+    lines.push(`| ${mdCell(account.name)}${account.proxy ? ` 🌐 ${mdCell(account.proxy)}` : ''} | ${cells.join(' | ')} |`)
+  })
+
+  const failures = collectFailures(report)
+  if (failures.length > 0) {
+    lines.push('', '### ❌ 失败详情', '')
+    failures.forEach(({ account, model, modelResult }) => {
+      const attempts = modelResult.attempts > 1 ? `（尝试 ${modelResult.attempts} 次）` : ''
+      lines.push(`- **${account.name}** ${model.label}: ${modelResult.errorType} - ${String(modelResult.error || '未知错误').replace(/\s*\n\s*/g, ' ')}${attempts}`)
+    })
+  }
+
+  const capabilityNames = collectCapabilityNames(results, models)
+  if (capabilityNames.length > 0) {
+    lines.push(
+      '', '### 🧩 能力矩阵', '',
+      '✅ 支持 ❌ 不支持 ⚠️ 探测失败', '',
+      `| 账号 | 模型 | ${capabilityNames.map(name => CAPABILITIES[name].label).join(' | ')} |`,
+      `|---|---|${capabilityNames.map(() => '---').join('|')}|`
+    )
+    collectCapabilityRows(report).forEach(({ account, model, capabilities }) => {
+      const cells = capabilityNames.map(name => capabilities[name] ? CAPABILITY_ICONS[capabilities[name].status] : '-')
+      lines.push(`| ${mdCell(account.name)} | ${mdCell(model.label)} | ${cells.join(' | ')} |`)
+    })
+  }
+
+  const quotaAlerts = results.filter(r => r.quota && r.quota.status !== 'ok')
+  if (quotaAlerts.length > 0) {
+    lines.push('', '### 💰 额度预警', '')
+    quotaAlerts.forEach(account => {
+      const warnings = account.quota.warnings && account.quota.warnings.length > 0 ? `（${account.quota.warnings.join('；')}）` : ''
+      lines.push(`- **${account.name}** ${QUOTA_STATUS_LABELS[account.quota.status]}: ${describeQuota(account.quota)}${warnings}`)
+    })
+  }
+
+  return lines.join('\n') + '\n'
+}
+
+// XML / HTML 转义，去掉 XML 不允许的控制字符
+function escapeXml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3)
+}
+
+// 单个模型的 JUnit 测试用例: { name, time, outcome: passed | failure | skipped, message, type, text }
+function modelTestCase(model, modelResult) {
+  const name = `${model.label} (${model.id})`
+  if (!modelResult) {
+    return { name, time: 0, outcome: 'skipped', message: '未测试' }
+  }
+  if (modelResult.status === 'skipped') {
+    return { name, time: 0, outcome: 'skipped', message: modelResult.error }
+  }
+  if (modelResult.status === 'failed') {
+    const text = [
+      modelResult.error,
+      modelResult.attempts > 1 ? `尝试次数: ${modelResult.attempts}（重试的错误: ${(modelResult.retriedErrors || []).join(', ')}）` : null,
+      modelResult.authenticity && modelResult.authenticity.reasons && modelResult.authenticity.reasons.length > 0
+        ? `真实性校验: ${modelResult.authenticity.reasons.join('；')}`
+        : null
+    ].filter(Boolean).join('\n')
+    return { name, time: modelResult.responseTime, outcome: 'failure', message: `${modelResult.errorType}: ${modelResult.error}`, type: modelResult.errorClass || 'unknown', text }
+  }
+  return { name, time: modelResult.responseTime, outcome: 'passed', text: `${modelResult.speed} ${formatLatency(modelResult)}\n${modelResult.response || ''}` }
+}
+
+// 能力探测的 JUnit 测试用例: 不支持为 failure，探测失败为 skipped
+function capabilityTestCases(model, modelResult) {
+  return Object.entries((modelResult && modelResult.capabilities) || {}).map(([name, capability]) => {
+    const label = CAPABILITIES[name] ? CAPABILITIES[name].label : name
+    const testCase = { name: `${model.label} 能力: ${label}`, time: capability.responseTime }
+    if (capability.status === 'supported') return { ...testCase, outcome: 'passed', text: capability.detail }
+    if (capability.status === 'error') return { ...testCase, outcome: 'skipped', message: `探测失败: ${capability.detail}` }
+    return { ...testCase, outcome: 'failure', message: capability.detail, type: 'capability_unsupported', text: capability.detail }
+  })
+}
+
+function renderTestCase(account, testCase) {
+  const open = `    <testcase classname="${escapeXml(`claude-accounts.${account.name}`)}" name="${escapeXml(testCase.name)}" time="${seconds(testCase.time)}">`
+  const body = testCase.outcome === 'failure'
+    ? `      <failure message="${escapeXml(testCase.message)}" type="${escapeXml(testCase.type)}">${escapeXml(testCase.text)}</failure>`
+    : testCase.outcome === 'skipped'
+      ? `      <skipped message="${escapeXml(testCase.message)}"/>`
+      : `      <system-out>${escapeXml(testCase.text)}</system-out>`
+  return `${open}\n${body}\n    </testcase>`
+}
+
+// 一组测试用例的 tests / failures / skipped / time 属性
+function junitCounts(testCases) {
+  const count = outcome => testCases.filter(testCase => testCase.outcome === outcome).length
+  const time = testCases.reduce((sum, testCase) => sum + (testCase.time || 0), 0)
+  return `tests="${testCases.length}" failures="${count('failure')}" errors="0" skipped="${count('skipped')}" time="${seconds(time)}"`
+}
+
+function renderJunit(report) {
+  const { models, results } = report
+  const timestamp = report.generatedAt.toISOString().replace(/\.\d{3}Z$/, '')
+  const allCases = []
+
+  const suites = results.map(account => {
+    const testCases = models.flatMap(m => [modelTestCase(m, account.models[m.key]), ...capabilityTestCases(m, account.models[m.key])])
+    allCases.push(...testCases)
+
+    const properties = [
+      `      <property name="url" value="${escapeXml(account.url)}"/>`,
+      `      <property name="key" value="${escapeXml(account.key)}"/>`,
+      `      <property name="overallStatus" value="${escapeXml(account.overallStatus)}"/>`
+    ]
+    if (account.proxy) {
+      properties.push(`      <property name="proxy" value="${escapeXml(account.proxy)}"/>`)
+    }
+    if (account.quota) {
+      properties.push(`      <property name="quota" value="${escapeXml(`${QUOTA_STATUS_LABELS[account.quota.status]} ${describeQuota(account.quota)}`)}"/>`)
+    }
+
+    return [
+      `  <testsuite name="${escapeXml(account.name)}" ${junitCounts(testCases)} timestamp="${timestamp}">`,
+      '    <properties>',
+      ...properties,
+      '    </properties>',
+      ...testCases.map(testCase => renderTestCase(account, testCase)),
+      '  </testsuite>'
+    ].join('\n')
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="Claude账号检测" ${junitCounts(allCases)} timestamp="${timestamp}">`,
+    ...suites,
+    '</testsuites>'
+  ].join('\n') + '\n'
+}
+
+// SVG 中的账号名过长时截断
+function truncate(text, length = 16) {
+  const value = String(text)
+  return value.length > length ? `${value.substring(0, length - 1)}…` : value
+}
+
+// 整体状态分布: 一条按比例分段的横条
+function svgStatusBar(stats) {
+  const width = 720
+  const segments = [OVERALL_STATUS.ALL_SUCCESS, OVERALL_STATUS.PARTIAL, OVERALL_STATUS.ALL_FAILED]
+    .map(status => ({ status, count: stats[status] }))
+    .filter(segment => segment.count > 0)
+  let x = 0
+  const rects = segments.map(segment => {
+    const w = stats.total > 0 ? segment.count / stats.total * width : 0
+    const rect = `<rect x="${x.toFixed(1)}" y="0" width="${w.toFixed(1)}" height="28" fill="${STATUS_COLORS[segment.status]}"><title>${STATUS_TEXT[segment.status]}: ${segment.count}</title></rect>` +
+      (w > 60 ? `<text x="${(x + w / 2).toFixed(1)}" y="19" text-anchor="middle" fill="#fff">${segment.count}</text>` : '')
+    x += w
+    return rect
+  })
+  return `<svg class="chart" viewBox="0 0 ${width} 28" width="${width}" height="28" role="img">${rects.join('')}</svg>`
+}
+
+// 水平条形图: rows 为 [{ label, bars: [{ value, color, title }] }]，每行可以有多个条（按模型分组）
+function svgBarChart(rows, { unit = '', max = null } = {}) {
+  const labelWidth = 150
+  const chartWidth = 520
+  const barHeight = 14
+  const rowGap = 10
+  const maxValue = max || Math.max(1, ...rows.flatMap(row => row.bars.map(bar => bar.value || 0)))
+  let y = 0
+  const items = rows.map(row => {
+    const rowHeight = Math.max(1, row.bars.length) * barHeight
+    let text = `<text x="${labelWidth - 8}" y="${y + rowHeight / 2 + 4}" text-anchor="end">${escapeXml(truncate(row.label))}</text>`
+    row.bars.forEach((bar, index) => {
+      const barY = y + index * barHeight
+      const w = bar.value ? Math.max(1, bar.value / maxValue * chartWidth) : 0
+      text += `<rect x="${labelWidth}" y="${barY + 1}" width="${w.toFixed(1)}" height="${barHeight - 2}" fill="${bar.color}"><title>${escapeXml(bar.title)}</title></rect>`
+      text += `<text x="${labelWidth + w + 6}" y="${barY + barHeight - 3}" class="value">${bar.value === null ? '-' : `${bar.value}${unit}`}</text>`
+    })
+    y += rowHeight + rowGap
+    return text
+  })
+  const height = Math.max(y - rowGap, barHeight)
+  return `<svg class="chart" viewBox="0 0 ${labelWidth + chartWidth + 80} ${height}" width="${labelWidth + chartWidth + 80}" height="${height}" role="img">${items.join('')}</svg>`
+}
+
+const HTML_STYLE = `
+body { font-family: -apple-system, "PingFang SC", "Microsoft YaHei", sans-serif; margin: 24px; color: #222; background: #f7f8fa; }
+h1 { font-size: 22px; } h2 { font-size: 17px; margin-top: 28px; }
+.card { background: #fff; border-radius: 8px; padding: 16px 20px; margin-bottom: 16px; box-shadow: 0 1px 3px rgba(0,0,0,.08); overflow-x: auto; }
+.summary span { display: inline-block; margin-right: 20px; }
+.chart { max-width: 100%; height: auto; font-size: 12px; }
+.chart .value { fill: #555; }
+.legend span { display: inline-block; margin-right: 14px; font-size: 13px; }
+.legend i { display: inline-block; width: 10px; height: 10px; margin-right: 4px; border-radius: 2px; }
+table { border-collapse: collapse; width: 100%; font-size: 13px; }
+th, td { border-bottom: 1px solid #eee; padding: 6px 8px; text-align: left; vertical-align: top; }
+th { background: #fafafa; }
+.all_success { color: #2e9e5b; } .partial { color: #b58300; } .all_failed { color: #d64545; }
+.muted { color: #888; font-size: 12px; }
+details { margin: 6px 0; } pre { white-space: pre-wrap; word-break: break-all; background: #f4f4f4; padding: 8px; border-radius: 4px; }
+`
+
+function htmlLegend(items) {
+  return `<div class="legend">${items.map(item => `<span><i style="background:${item.color}"></i>${escapeXml(item.label)}</span>`).join('')}</div>`
+}
+
+function renderHtml(report) {
+  const { stats, models, results } = report
+  const modelColor = index => MODEL_COLORS[index % MODEL_COLORS.length]
+  const hasQuota = results.some(r => r.quota)
+
+  // 通过率
+  const passRateChart = svgBarChart(models.map((m, index) => ({
+    label: m.label,
+    bars: [{ value: stats.total > 0 ? Math.round(stats.models[m.key].success / stats.total * 1000) / 10 : 0, color: modelColor(index), title: `${m.label}: ${stats.models[m.key].success}/${stats.total}` }]
+  })), { unit: '%', max: 100 })
+
+  // 延迟: 有流式指标时为首字延迟，否则为响应时间
+  const latencyRows = results
+    .filter(account => models.some(m => account.models[m.key] && account.models[m.key].status === 'success'))
+    .map(account => ({
+      label: account.name,
+      bars: models.map((m, index) => {
+        const modelResult = account.models[m.key]
+        if (!modelResult || modelResult.status !== 'success') return { value: null, color: modelColor(index), title: `${m.label}: 未通过` }
+        const value = modelResult.ttft !== null && modelResult.ttft !== undefined ? modelResult.ttft : modelResult.responseTime
+        return { value, color: modelColor(index), title: `${m.label}: ${formatLatency(modelResult)}` }
+      })
+    }))
+
+  const rows = results.map(account => {
+    const cells = models.map(m => {
+      const modelResult = account.models[m.key]
+      const { icon, text } = describeModel(modelResult)
+      const title = modelResult && modelResult.status !== 'success' ? modelResult.error : ''
+      return `<td title="${escapeXml(title)}">${icon} ${escapeXml(text)}${modelResult && modelResult.attempts > 1 ? `<div class="muted">尝试 ${modelResult.attempts} 次</div>` : ''}</td>`
+    })
+    if (hasQuota) {
+      cells.push(`<td>${account.quota ? `${escapeXml(QUOTA_STATUS_LABELS[account.quota.status])}<div class="muted">${escapeXml(describeQuota(account.quota))}</div>` : '-'}</td>`)
+    }
+    return `<tr><td><b>${escapeXml(account.name)}</b><div class="muted">${escapeXml(account.url)}<br>${escapeXml(account.key)}${account.proxy ? `<br>🌐 代理: ${escapeXml(account.proxy)}` : ''}</div></td>` +
+      `<td class="${account.overallStatus}">${escapeXml(STATUS_TEXT[account.overallStatus] || account.overallStatus)}</td>${cells.join('')}</tr>`
+  })
+
+  const failures = collectFailures(report).map(({ account, model, modelResult }) => {
+    const reasons = modelResult.authenticity && modelResult.authenticity.reasons && modelResult.authenticity.reasons.length > 0
+      ? `<div>真实性校验: ${escapeXml(modelResult.authenticity.reasons.join('；'))}</div>`
+      : ''
+    return `<details><summary><b>${escapeXml(account.name)}</b> ${escapeXml(model.label)}: ${escapeXml(modelResult.errorType)}</summary>` +
+      `<pre>${escapeXml(modelResult.error)}</pre>${reasons}` +
+      `<div class="muted">错误类别 ${escapeXml(modelResult.errorClass)} · 尝试 ${modelResult.attempts || 1} 次 · ${modelResult.responseTime || 0}ms</div></details>`
+  })
+
+  const capabilityNames = collectCapabilityNames(results, models)
+  const capabilityRows = collectCapabilityRows(report).map(({ account, model, capabilities }) => {
+    const cells = capabilityNames.map(name => {
+      const capability = capabilities[name]
+      if (!capability) return '<td>-</td>'
+      return `<td title="${escapeXml(capability.detail)}">${CAPABILITY_ICONS[capability.status]} ${CAPABILITY_STATUS_LABELS[capability.status]}<div class="muted">${escapeXml(capability.detail)}</div></td>`
+    })
+    return `<tr><td><b>${escapeXml(account.name)}</b></td><td>${escapeXml(model.label)}</td>${cells.join('')}</tr>`
+  })
+
+  const responses = results.flatMap(account => models
+    .filter(m => account.models[m.key] && account.models[m.key].status === 'success')
+    .map(m => {
+      const modelResult = account.models[m.key]
+      return `<details><summary><b>${escapeXml(account.name)}</b> ${escapeXml(m.label)}${modelResult.actualModel ? ` <span class="muted">${escapeXml(modelResult.actualModel)}</span>` : ''}</summary><pre>${escapeXml(modelResult.response)}</pre></details>`
+    }))
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Claude账号检测报告 ${escapeXml(report.generatedAt.toLocaleString('zh-CN'))}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>📊 Claude账号检测报告</h1>
+<div class="card summary">
+<span>检测时间: ${escapeXml(report.generatedAt.toLocaleString('zh-CN'))}</span>
+<span>探测方式: ${escapeXml(report.modeLabel)}</span>
+<span>账号总数: ${stats.total}</span>
+<span class="all_success">全部通过 ${stats.all_success}</span>
+<span class="partial">部分通过 ${stats.partial}</span>
+<span class="all_failed">完全失败 ${stats.all_failed}</span>
+</div>
+<div class="card">
+<h2>账号状态分布</h2>
+${svgStatusBar(stats)}
+${htmlLegend([OVERALL_STATUS.ALL_SUCCESS, OVERALL_STATUS.PARTIAL, OVERALL_STATUS.ALL_FAILED].map(status => ({ label: `${STATUS_TEXT[status]} ${stats[status]} (${percent(stats[status], stats.total)})`, color: STATUS_COLORS[status] })))}
+<h2>模型通过率</h2>
+${passRateChart}
+</div>
+${latencyRows.length > 0 ? `<div class="card">
+<h2>延迟（首字延迟，不支持流式响应时为响应时间）</h2>
+${htmlLegend(models.map((m, index) => ({ label: m.label, color: modelColor(index) })))}
+${svgBarChart(latencyRows, { unit: 'ms' })}
+</div>` : ''}
+<div class="card">
+<h2>账号明细</h2>
+<table>
+<thead><tr><th>账号</th><th>状态</th>${models.map(m => `<th>${escapeXml(m.label)}</th>`).join('')}${hasQuota ? '<th>额度</th>' : ''}</tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+</div>
+${capabilityRows.length > 0 ? `<div class="card">
+<h2>能力矩阵</h2>
+<table>
+<thead><tr><th>账号</th><th>模型</th>${capabilityNames.map(name => `<th>${escapeXml(CAPABILITIES[name].label)}</th>`).join('')}</tr></thead>
+<tbody>
+${capabilityRows.join('\n')}
+</tbody>
+</table>
+</div>` : ''}
+${failures.length > 0 ? `<div class="card">
+<h2>失败详情 (${failures.length})</h2>
+${failures.join('\n')}
+</div>` : ''}
+${responses.length > 0 ? `<div class="card">
+<h2>模型响应</h2>
+${responses.join('\n')}
+</div>` : ''}
+</body>
+</html>
+`
+}
+
+const RENDERERS = {
+  json: renderJson,
+  html: renderHtml,
+  md: renderMarkdown,
+  junit: renderJunit
+}
+
+// 生成指定格式的报告内容
+function renderReport(format, report) {
+  return RENDERERS[format](report)
+}
+
+// 写出所有报告文件，返回 [{ format, file, error }]；单个格式失败不影响其它格式
+function writeReports(specs, report, reportDir) {
+  return specs.map(({ format, file }) => {
+    const target = file ? path.resolve(file) : path.join(reportDir, `${DEFAULT_REPORT_NAME}.${REPORT_FORMATS[format].extension}`)
+    try {
+      fs.mkdirSync(path.dirname(target), { recursive: true })
+      fs.writeFileSync(target, renderReport(format, report), 'utf-8')
+      return { format, file: target, error: null }
+    } catch (error) {
+      return { format, file: target, error: error.message }
+    }
+  })
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  parseFormatSpec,
+  buildReportData,
+  renderReport,
+  writeReports
+}
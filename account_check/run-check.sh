@@ -17,11 +17,26 @@ if [ ! -f "check-claude-cli-accounts.js" ]; then
     exit 1
 fi
 
-if [ ! -f "cc全员账号.csv" ]; then
-    echo "错误: 找不到账号配置文件 cc全员账号.csv" >&2
+# 优先使用加密保险库（口令通过环境变量 ACCOUNT_VAULT_PASSPHRASE 提供）
+if [ -f "cc全员账号.vault" ]; then
+    ACCOUNTS_FILE="cc全员账号.vault"
+elif [ -f "cc全员账号.csv" ]; then
+    ACCOUNTS_FILE="cc全员账号.csv"
+else
+    echo "错误: 找不到账号配置文件 cc全员账号.vault 或 cc全员账号.csv" >&2
     exit 1
 fi
 
+# 通知渠道配置（可选）
+NOTIFY_ARGS=()
+if [ -f "notifiers.json" ]; then
+    NOTIFY_ARGS=(--notify-config notifiers.json)
+fi
+# 账号负责人配置（可选）
+if [ -f "owners.json" ]; then
+    NOTIFY_ARGS+=(--owners owners.json)
+fi
+
 # 检查Node.js和Claude CLI
 if ! command -v node &> /dev/null; then
     echo "错误: Node.js 未安装或不在PATH中" >&2
@@ -34,7 +49,7 @@ if ! command -v claude &> /dev/null; then
 fi
 
 # 执行主脚本
-node check-claude-cli-accounts.js cc全员账号.csv --parallel 2 --timeout 60000
+node check-claude-cli-accounts.js "$ACCOUNTS_FILE" --parallel 2 --timeout 60000 "${NOTIFY_ARGS[@]}"
 
 # 获取退出码
 EXIT_CODE=$?
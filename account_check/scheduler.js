@@ -0,0 +1,273 @@
+/**
+ * 定时检测调度器 - 替代 crontab + run-check.sh
+ *
+ * - 标准5段 cron 表达式: 分 时 日 月 周（支持 *、*\/n、a-b、a-b/n、a,b），以及 @hourly / @daily
+ * - 上一次检测未结束时跳过本次触发，避免重叠运行
+ * - 每次触发随机延迟 0~jitter 秒，避免多台机器同时请求同一中转服务
+ * - 可选的失败账号复查计划，比全量检测更频繁地复查失败账号
+ * - status() 返回下次检测时间、当前运行和最近运行记录，供Web服务展示
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const FIELD_RANGES = [
+  [0, 59], // 分
+  [0, 23], // 时
+  [1, 31], // 日
+  [1, 12], // 月
+  [0, 7] // 周（0 和 7 都表示周日）
+]
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+}
+
+// setTimeout 支持的最大延迟
+const MAX_TIMER_DELAY = 2147483647
+const RECENT_RUNS_LIMIT = 20
+
+// 解析 cron 的单个字段，返回允许的取值集合
+function parseCronField(field, [min, max], isWeekday) {
+  const values = new Set()
+
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/')
+    const step = stepText === undefined ? 1 : parseInt(stepText)
+    let start
+    let end
+
+    if (range === '*') {
+      start = min
+      end = max
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(value => parseInt(value))
+    } else {
+      start = parseInt(range)
+      end = stepText === undefined ? start : max
+    }
+
+    if ([start, end, step].some(Number.isNaN) || step < 1 || start < min || end > max || start > end) {
+      throw new Error(`无效的 cron 字段: ${field}`)
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(isWeekday && value === 7 ? 0 : value)
+    }
+  }
+
+  return values
+}
+
+// 解析 cron 表达式
+function parseCron(expression) {
+  const normalized = CRON_ALIASES[expression.trim()] || expression.trim()
+  const fields = normalized.split(/\s+/)
+  if (fields.length !== 5) {
+    throw new Error(`cron 表达式需要5个字段 (分 时 日 月 周): ${expression}`)
+  }
+
+  return {
+    expression,
+    minutes: parseCronField(fields[0], FIELD_RANGES[0]),
+    hours: parseCronField(fields[1], FIELD_RANGES[1]),
+    days: parseCronField(fields[2], FIELD_RANGES[2]),
+    months: parseCronField(fields[3], FIELD_RANGES[3]),
+    weekdays: parseCronField(fields[4], FIELD_RANGES[4], true),
+    dayRestricted: fields[2] !== '*',
+    weekdayRestricted: fields[4] !== '*'
+  }
+}
+
+// 日期是否匹配（日和周都被限定时满足其一即可，与 crontab 行为一致）
+function matchesDay(cron, date) {
+  const dayMatch = cron.days.has(date.getDate())
+  const weekdayMatch = cron.weekdays.has(date.getDay())
+  if (cron.dayRestricted && cron.weekdayRestricted) return dayMatch || weekdayMatch
+  if (cron.dayRestricted) return dayMatch
+  if (cron.weekdayRestricted) return weekdayMatch
+  return true
+}
+
+// 计算 from 之后的下一次触发时间（本地时间）
+function nextCronTime(cron, from = new Date()) {
+  const date = new Date(from.getTime())
+  date.setSeconds(0, 0)
+  date.setMinutes(date.getMinutes() + 1)
+
+  const limit = from.getTime() + 366 * 24 * 60 * 60 * 1000 * 5
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1)
+      date.setHours(0, 0, 0, 0)
+      continue
+    }
+    if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1)
+      date.setHours(0, 0, 0, 0)
+      continue
+    }
+    if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0)
+      continue
+    }
+    if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0)
+      continue
+    }
+    return date
+  }
+
+  throw new Error(`cron 表达式没有可触发的时间: ${cron.expression}`)
+}
+
+// 同时输出到控制台和日志文件的记录器
+function createFileLogger(filePath) {
+  return (message) => {
+    const line = `[${new Date().toLocaleString('zh-CN')}] ${message}`
+    console.log(line)
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true })
+      fs.appendFileSync(filePath, line + '\n', 'utf-8')
+    } catch (error) {
+      console.log(`⚠️ 写入调度日志失败: ${error.message}`)
+    }
+  }
+}
+
+// 创建调度器
+// runFull() 执行全量检测；runRecheck() 复查失败账号，没有需要复查的账号时返回 null
+// 两者都返回 { accounts, stats }，用于日志和状态展示
+function createScheduler({ schedule, recheckSchedule = null, jitterSeconds = 0, runFull, runRecheck, log = console.log }) {
+  const plans = {
+    full: { label: '全量检测', cron: parseCron(schedule), run: runFull, timer: null, nextRunAt: null }
+  }
+  if (recheckSchedule) {
+    plans.recheck = { label: '失败账号复查', cron: parseCron(recheckSchedule), run: runRecheck, timer: null, nextRunAt: null }
+  }
+
+  const state = {
+    startedAt: null,
+    current: null,
+    recentRuns: [],
+    stopped: false
+  }
+
+  function recordRun(run) {
+    state.recentRuns.unshift(run)
+    state.recentRuns.length = Math.min(state.recentRuns.length, RECENT_RUNS_LIMIT)
+  }
+
+  // 设置定时器，超过 setTimeout 上限时分段等待
+  function armTimer(kind, targetTime) {
+    const plan = plans[kind]
+    const delay = targetTime - Date.now()
+    plan.timer = setTimeout(() => {
+      if (targetTime - Date.now() > 0) {
+        armTimer(kind, targetTime)
+      } else {
+        trigger(kind)
+      }
+    }, Math.max(0, Math.min(delay, MAX_TIMER_DELAY)))
+  }
+
+  function scheduleNext(kind) {
+    if (state.stopped) return
+    const plan = plans[kind]
+    const jitter = Math.floor(Math.random() * jitterSeconds * 1000)
+    const nextTime = nextCronTime(plan.cron).getTime() + jitter
+    plan.nextRunAt = new Date(nextTime).toISOString()
+    armTimer(kind, nextTime)
+  }
+
+  async function trigger(kind, reschedule = true) {
+    const plan = plans[kind]
+
+    if (state.current) {
+      log(`⏭️ 跳过${plan.label}：上一次${state.current.label}仍在运行（开始于 ${new Date(state.current.startedAt).toLocaleString('zh-CN')}）`)
+      recordRun({ kind, label: plan.label, status: 'skipped', startedAt: new Date().toISOString(), reason: 'overlap' })
+      if (reschedule) scheduleNext(kind)
+      return
+    }
+
+    const run = { kind, label: plan.label, status: 'running', startedAt: new Date().toISOString() }
+    state.current = run
+    log(`▶️ 开始${plan.label}`)
+
+    try {
+      const summary = await plan.run()
+      run.finishedAt = new Date().toISOString()
+      run.durationMs = Date.parse(run.finishedAt) - Date.parse(run.startedAt)
+      if (summary) {
+        run.status = 'completed'
+        run.accounts = summary.accounts
+        run.stats = summary.stats
+        const { stats } = summary
+        log(`✅ ${plan.label}完成: 检测 ${summary.accounts} 个账号，耗时 ${(run.durationMs / 1000).toFixed(1)}s；当前全部通过 ${stats.all_success}，部分通过 ${stats.partial}，全部失败 ${stats.all_failed}`)
+      } else {
+        run.status = 'noop'
+        log(`💤 ${plan.label}: 没有需要检测的账号`)
+      }
+    } catch (error) {
+      run.finishedAt = new Date().toISOString()
+      run.status = 'failed'
+      run.error = error.message
+      log(`❌ ${plan.label}失败: ${error.message}`)
+    } finally {
+      state.current = null
+      recordRun(run)
+      if (reschedule) scheduleNext(kind)
+      const next = Object.values(plans).map(p => `${p.label} ${p.nextRunAt ? new Date(p.nextRunAt).toLocaleString('zh-CN') : '-'}`)
+      log(`⏰ 下次运行: ${next.join('，')}`)
+    }
+  }
+
+  return {
+    start({ runNow = false } = {}) {
+      state.startedAt = new Date().toISOString()
+      state.stopped = false
+      Object.keys(plans).forEach(scheduleNext)
+      Object.values(plans).forEach(plan => {
+        log(`📅 ${plan.label}计划: ${plan.cron.expression}，下次运行: ${new Date(plan.nextRunAt).toLocaleString('zh-CN')}`)
+      })
+      if (runNow) trigger('full', false)
+    },
+    stop() {
+      state.stopped = true
+      Object.values(plans).forEach(plan => {
+        clearTimeout(plan.timer)
+        plan.timer = null
+        plan.nextRunAt = null
+      })
+    },
+    // 手动触发（例如Web接口），同样受重叠保护
+    runNow(kind = 'full') {
+      if (!plans[kind]) throw new Error(`未配置的检测类型: ${kind}`)
+      return trigger(kind, false)
+    },
+    status() {
+      return {
+        startedAt: state.startedAt,
+        jitterSeconds,
+        running: state.current,
+        plans: Object.fromEntries(Object.entries(plans).map(([kind, plan]) => [kind, {
+          label: plan.label,
+          schedule: plan.cron.expression,
+          nextRunAt: plan.nextRunAt
+        }])),
+        nextRunAt: Object.values(plans).map(p => p.nextRunAt).filter(Boolean).sort()[0] || null,
+        recentRuns: state.recentRuns
+      }
+    }
+  }
+}
+
+module.exports = {
+  parseCron,
+  nextCronTime,
+  createFileLogger,
+  createScheduler
+}
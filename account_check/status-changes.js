@@ -0,0 +1,153 @@
+/**
+ * 状态变化检测 - 对比本次检测结果与检测历史 (check-history.jsonl)，
+ * 让通知只在账号状态发生变化时发送，而不是每次检测都列出所有失败账号
+ *
+ * 变化类型:
+ *   degraded     有模型从通过变为不通过（例如 全部通过 → 部分通过、部分通过 → 全部失败）
+ *   recovered    不通过的模型恢复通过
+ *   appeared     历史中从未出现过的新账号
+ *   disappeared  上一次全量检测中存在、本次全量检测中已不存在的账号
+ *   stillDown    持续异常且没有新变化的账号，每隔提醒间隔汇总一次 "已连续异常 N 次"
+ *   quotaWarnings  新出现额度预警（即将耗尽/即将到期，见 quota.js）的账号，上次已有预警的不重复报告
+ *
+ * 历史为空（首次运行）时以本次结果为基线: 不报告新账号，只把异常账号作为 degraded 报告。
+ */
+
+const { OVERALL_STATUS, firstFailedModel } = require('./model-matrix')
+
+const STATUS_LABELS = {
+  [OVERALL_STATUS.ALL_SUCCESS]: '全部通过',
+  [OVERALL_STATUS.PARTIAL]: '部分通过',
+  [OVERALL_STATUS.ALL_FAILED]: '全部失败'
+}
+
+// 按历史记录回放每个账号的最近状态和连续异常情况
+function collectAccountStates(runs) {
+  const states = new Map()
+
+  for (const run of runs) {
+    for (const account of run.accounts) {
+      const previous = states.get(account.name)
+      const down = account.overallStatus !== OVERALL_STATUS.ALL_SUCCESS
+      const downRuns = down ? (previous ? previous.downRuns : 0) + 1 : 0
+      states.set(account.name, {
+        overallStatus: account.overallStatus,
+        models: account.models,
+        quota: account.quota || null,
+        lastTime: run.time,
+        downRuns,
+        downSince: down ? (previous && previous.downRuns > 0 ? previous.downSince : run.time) : null
+      })
+    }
+  }
+
+  return states
+}
+
+// 最近一次全量检测中的账号（复查只包含失败账号，不能用来判断账号是否被移除）
+function lastFullRunAccounts(runs) {
+  for (let i = runs.length - 1; i >= 0; i--) {
+    if (runs[i].scope !== 'recheck') {
+      return runs[i].accounts
+    }
+  }
+  return []
+}
+
+// 账号当前的失败原因（截断后用于通知）
+function failureSummary(result, models) {
+  const failed = firstFailedModel(result, models)
+  if (!failed) return null
+  return `${failed.label} ${failed.error ? failed.error.substring(0, 30) : '未知错误'}`
+}
+
+// 对比本次结果与历史，返回各类状态变化
+// results 为完整结果；testedResults 为本次实际检测的账号（复查时只包含失败账号）
+// remindIntervalMs 为持续异常提醒间隔，0 表示不提醒
+function detectStatusChanges(runs, results, testedResults, models, { remindIntervalMs = 0, now = Date.now() } = {}) {
+  const states = collectAccountStates(runs)
+  const baseline = runs.length === 0
+  const fullRun = testedResults === results
+  const changes = {
+    baseline,
+    degraded: [],
+    recovered: [],
+    appeared: [],
+    disappeared: [],
+    stillDown: [],
+    quotaWarnings: []
+  }
+
+  for (const result of testedResults) {
+    const previous = states.get(result.name)
+    const down = result.overallStatus !== OVERALL_STATUS.ALL_SUCCESS
+    const entry = {
+      name: result.name,
+      url: result.url,
+      from: previous ? previous.overallStatus : null,
+      to: result.overallStatus,
+      error: failureSummary(result, models),
+      downRuns: down ? (previous ? previous.downRuns : 0) + 1 : 0,
+      downSince: down ? (previous && previous.downRuns > 0 ? previous.downSince : new Date(now).toISOString()) : null
+    }
+
+    const warnings = result.quota ? result.quota.warnings || [] : []
+    const warnedBefore = previous && previous.quota && previous.quota.warnings && previous.quota.warnings.length > 0
+    if (warnings.length > 0 && !warnedBefore) {
+      changes.quotaWarnings.push({ name: result.name, url: result.url, warnings })
+    }
+
+    if (!previous) {
+      if (!baseline) {
+        changes.appeared.push(entry)
+      } else if (down) {
+        changes.degraded.push(entry)
+      }
+      continue
+    }
+
+    // 按模型对比: 之前通过现在不通过 → 异常；之前不通过现在通过 → 恢复
+    // 上次没有测试的模型（例如新加入模型矩阵）不参与对比
+    const compared = models.filter(m => previous.models[m.key])
+    const wasSuccess = key => previous.models[key].status === 'success'
+    const isSuccess = key => result.models[key] && result.models[key].status === 'success'
+    const newlyFailed = compared.filter(m => wasSuccess(m.key) && !isSuccess(m.key))
+    const newlyRecovered = compared.filter(m => !wasSuccess(m.key) && isSuccess(m.key))
+
+    if (newlyFailed.length > 0) {
+      changes.degraded.push({ ...entry, models: newlyFailed.map(m => m.label) })
+    } else if (newlyRecovered.length > 0) {
+      changes.recovered.push({ ...entry, models: newlyRecovered.map(m => m.label), previousDownRuns: previous.downRuns })
+    } else if (down && remindIntervalMs > 0) {
+      // 异常持续时间跨过提醒间隔的整数倍时提醒一次
+      const since = Date.parse(entry.downSince)
+      const lastPeriod = Math.floor((Date.parse(previous.lastTime) - since) / remindIntervalMs)
+      const currentPeriod = Math.floor((now - since) / remindIntervalMs)
+      if (currentPeriod > lastPeriod) {
+        changes.stillDown.push(entry)
+      }
+    }
+  }
+
+  if (fullRun && !baseline) {
+    const currentNames = new Set(results.map(r => r.name))
+    changes.disappeared = lastFullRunAccounts(runs)
+      .filter(account => !currentNames.has(account.name))
+      .map(account => ({ name: account.name, url: account.url, from: account.overallStatus, to: null }))
+  }
+
+  changes.hasChanges = ['degraded', 'recovered', 'appeared', 'disappeared', 'quotaWarnings'].some(type => changes[type].length > 0)
+  changes.hasReminders = changes.stillDown.length > 0
+  return changes
+}
+
+// 一行文字概括状态变化，用于控制台输出
+function describeStatusChanges(changes) {
+  return `异常 ${changes.degraded.length}，恢复 ${changes.recovered.length}，新增 ${changes.appeared.length}，移除 ${changes.disappeared.length}，持续异常提醒 ${changes.stillDown.length}，额度预警 ${changes.quotaWarnings.length}`
+}
+
+module.exports = {
+  STATUS_LABELS,
+  detectStatusChanges,
+  describeStatusChanges
+}
@@ -0,0 +1,118 @@
+/**
+ * 流式响应的延迟指标 - HTTP 探测 (http-probe.js) 和 CLI 探测 (cli-probe.js) 共用
+ *
+ * 探测使用流式响应（HTTP 请求带 stream: true，CLI 使用 --output-format stream-json --include-partial-messages），
+ * 根据 Anthropic 流式事件计算:
+ *   ttft             首字延迟: 发出请求到收到第一个文本片段（毫秒）
+ *   generationTime   生成耗时: 第一个文本片段到消息结束（毫秒）
+ *   outputTokens     输出 token 数（message_delta / message_start 中的 usage）
+ *   tokensPerSecond  输出速度: outputTokens / 生成耗时（token/秒，保留一位小数）
+ *
+ * 速度等级优先按首字延迟划分，输出速度低于 MIN_TOKENS_PER_SECOND 时降一级；
+ * 中转服务不支持流式响应时没有这些指标，按总响应时间划分。
+ */
+
+const SPEED_LEVELS = ['⚡ 极快', '🚀 快速', '🐢 较慢', '🐌 很慢']
+const TTFT_THRESHOLDS = [1500, 4000, 10000]
+const RESPONSE_TIME_THRESHOLDS = [3000, 8000, 15000]
+const MIN_TOKENS_PER_SECOND = 20
+
+// 数值落在第几档
+function levelFor(value, thresholds) {
+  const index = thresholds.findIndex(limit => value < limit)
+  return index === -1 ? thresholds.length : index
+}
+
+// 根据首字延迟和输出速度判断速度等级，没有流式指标时使用总响应时间
+function classifySpeed({ ttft = null, tokensPerSecond = null, responseTime = 0 } = {}) {
+  if (ttft === null) {
+    return SPEED_LEVELS[levelFor(responseTime, RESPONSE_TIME_THRESHOLDS)]
+  }
+  let level = levelFor(ttft, TTFT_THRESHOLDS)
+  if (tokensPerSecond !== null && tokensPerSecond < MIN_TOKENS_PER_SECOND) {
+    level = Math.min(level + 1, SPEED_LEVELS.length - 1)
+  }
+  return SPEED_LEVELS[level]
+}
+
+// 累积流式事件，记录文本、响应模型、输出 token 数和各阶段时间
+// handle(event, now) 传入解析后的事件对象和收到事件的时间
+function createStreamCollector() {
+  const state = {
+    events: 0,
+    text: '',
+    model: null,
+    outputTokens: null,
+    firstTokenAt: null,
+    endAt: null,
+    error: null
+  }
+
+  function handle(event, now = Date.now()) {
+    if (!event || typeof event !== 'object') return
+    state.events++
+    switch (event.type) {
+      case 'message_start':
+        if (event.message) {
+          state.model = event.message.model || null
+          if (event.message.usage && event.message.usage.output_tokens) {
+            state.outputTokens = event.message.usage.output_tokens
+          }
+        }
+        break
+      case 'content_block_delta':
+        if (event.delta && event.delta.type === 'text_delta' && event.delta.text) {
+          if (state.firstTokenAt === null) state.firstTokenAt = now
+          state.text += event.delta.text
+        }
+        break
+      case 'message_delta':
+        if (event.usage && event.usage.output_tokens) {
+          state.outputTokens = event.usage.output_tokens
+        }
+        break
+      case 'message_stop':
+        state.endAt = now
+        break
+      case 'error':
+        state.error = event
+        break
+    }
+  }
+
+  return { state, handle }
+}
+
+// 由收集到的事件计算延迟指标；startTime 为发出请求的时间，endTime 为没有 message_stop 时的结束时间
+function computeStreamMetrics(state, startTime, endTime = Date.now()) {
+  if (state.firstTokenAt === null) {
+    return { ttft: null, generationTime: null, outputTokens: state.outputTokens, tokensPerSecond: null }
+  }
+  const generationTime = (state.endAt || endTime) - state.firstTokenAt
+  const tokensPerSecond = state.outputTokens && generationTime > 0
+    ? Math.round(state.outputTokens / generationTime * 10000) / 10
+    : null
+  return {
+    ttft: state.firstTokenAt - startTime,
+    generationTime,
+    outputTokens: state.outputTokens,
+    tokensPerSecond
+  }
+}
+
+// 单个模型的延迟描述: 有流式指标时显示首字延迟和输出速度（命令行输出和报告文件共用）
+function formatLatency(modelResult) {
+  if (modelResult.ttft === null || modelResult.ttft === undefined) {
+    return `${modelResult.responseTime}ms`
+  }
+  const speed = modelResult.tokensPerSecond !== null && modelResult.tokensPerSecond !== undefined ? ` · ${modelResult.tokensPerSecond} tok/s` : ''
+  return `首字 ${modelResult.ttft}ms${speed} · 共 ${modelResult.responseTime}ms`
+}
+
+module.exports = {
+  MIN_TOKENS_PER_SECOND,
+  classifySpeed,
+  createStreamCollector,
+  computeStreamMetrics,
+  formatLatency
+}
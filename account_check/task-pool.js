@@ -0,0 +1,88 @@
+/**
+ * 有界任务池和请求限速 - 批量探测 (probe.js runBatch) 和Web服务任务队列 (job-queue.js) 共用
+ *
+ * - createTaskQueue: 全局并发上限 + 按 key（中转服务主机）的并发上限。
+ *   任一任务结束后立即开始下一个；排在前面的任务所属主机已满时，先开始后面其它主机的任务。
+ * - createThrottle: 请求级限速，全局每分钟请求数上限 + 同一主机两次请求之间的最小间隔，
+ *   让同一中转服务的探测在时间上分散开，避免一起被限流。
+ *   按预约的方式分配时间点，同时等待的请求按调用顺序依次放行。
+ */
+
+// 账号 url 所属的中转服务主机（含端口），无法解析时使用原始字符串
+function relayHost(url) {
+  try {
+    return new URL(url).host
+  } catch (error) {
+    return String(url)
+  }
+}
+
+// 创建有界任务队列，perKey 为同一 key 同时进行的任务上限（null 表示不限）
+function createTaskQueue(concurrency, { perKey = null } = {}) {
+  const pending = []
+  const runningByKey = new Map()
+  let running = 0
+
+  const keyFull = (key) => key !== null && perKey !== null && (runningByKey.get(key) || 0) >= perKey
+
+  function drain() {
+    for (let i = 0; i < pending.length && running < concurrency;) {
+      const task = pending[i]
+      if (keyFull(task.key)) {
+        i++
+        continue
+      }
+      pending.splice(i, 1)
+      running++
+      if (task.key !== null) runningByKey.set(task.key, (runningByKey.get(task.key) || 0) + 1)
+      Promise.resolve()
+        .then(task.fn)
+        .then(task.resolve, task.reject)
+        .finally(() => {
+          running--
+          if (task.key !== null) runningByKey.set(task.key, runningByKey.get(task.key) - 1)
+          drain()
+        })
+    }
+  }
+
+  return {
+    // 加入队列，返回任务执行结果的 Promise；key 为 null 时只受全局并发限制
+    push(fn, key = null) {
+      return new Promise((resolve, reject) => {
+        pending.push({ fn, key, resolve, reject })
+        drain()
+      })
+    },
+    stats() {
+      return { running, pending: pending.length, concurrency, perKey }
+    }
+  }
+}
+
+// 创建请求限速器: ratePerMinute 为全局每分钟请求数上限，keySpacing 为同一 key 两次请求的最小间隔（毫秒）
+// wait(key) 等到允许发送请求时返回，返回值为等待的毫秒数
+function createThrottle({ ratePerMinute = null, keySpacing = 0 } = {}) {
+  const interval = ratePerMinute ? 60000 / ratePerMinute : 0
+  const nextByKey = new Map()
+  let nextGlobal = 0
+
+  return {
+    async wait(key = null) {
+      const now = Date.now()
+      const slot = Math.max(now, nextGlobal, key !== null ? nextByKey.get(key) || 0 : 0)
+      if (interval > 0) nextGlobal = slot + interval
+      if (key !== null && keySpacing > 0) nextByKey.set(key, slot + keySpacing)
+      if (slot > now) {
+        await new Promise(resolve => setTimeout(resolve, slot - now))
+      }
+      return slot - now
+    }
+  }
+}
+
+module.exports = {
+  relayHost,
+  createTaskQueue,
+  createThrottle
+}
@@ -0,0 +1,219 @@
+/**
+ * 网关测试 - 账号选择、故障标记，以及对模拟中转服务（mock-relay-server.js）的端到端故障转移
+ *
+ * 运行: npm test
+ */
+
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const net = require('net')
+const path = require('path')
+const { buildPool, pickAccount, markFailure, createGateway } = require('../gateway')
+const { classifyAs } = require('../error-classes')
+const { createMockRelayApp } = require('../mock-relay-server')
+
+const SONNET = 'claude-sonnet-4-20250514'
+const OPUS = 'claude-opus-4-1-20250805'
+
+// 检测结果中的单个账号，models 为 { 模型ID: 首字延迟（未通过时为 null） }
+function resultOf(name, models) {
+  return {
+    name,
+    models: Object.fromEntries(Object.entries(models).map(([model, ttft], index) => [
+      `m${index}`,
+      ttft === null ? { model, status: 'failed' } : { model, status: 'success', ttft }
+    ]))
+  }
+}
+
+function accountOf(name, url = 'http://127.0.0.1:1', key = `sk-${name}`) {
+  return { name, url, key }
+}
+
+test('pickAccount 只选择请求模型通过的账号，请求系列别名时匹配同系列的版本', () => {
+  const pool = buildPool([accountOf('a'), accountOf('b')], [
+    resultOf('a', { [SONNET]: 100, [OPUS]: null }),
+    resultOf('b', { [SONNET]: null, [OPUS]: 200 })
+  ])
+  for (const [model, expected] of [[SONNET, 'a'], ['sonnet', 'a'], ['claude-sonnet-4-0', 'a'], [OPUS, 'b'], ['opus', 'b']]) {
+    assert.strictEqual(pickAccount(pool, model).name, expected, model)
+  }
+})
+
+test('pickAccount 跳过没有检测结果、已试过和已暂停的账号，矩阵外的模型从所有可用账号中选', () => {
+  const pool = buildPool([accountOf('a'), accountOf('b'), accountOf('c')], [
+    resultOf('a', { [SONNET]: 100 }),
+    resultOf('b', { [SONNET]: 100 })
+  ])
+  const now = 1000
+  assert.strictEqual(pool[2].reason, '没有检测结果')
+  assert.strictEqual(pickAccount(pool, SONNET, new Set(['a']), { now }).name, 'b')
+  assert.strictEqual(pickAccount(pool, SONNET, new Set(['a', 'b']), { now }), null)
+
+  pool[0].blockedUntil = now + 1
+  assert.strictEqual(pickAccount(pool, 'claude-3-5-haiku-20241022', new Set(), { now }).name, 'b')
+  assert.strictEqual(pickAccount(pool, 'claude-3-5-haiku-20241022', new Set(['b']), { now: now + 1 }).name, 'a')
+})
+
+test('pickAccount 按延迟加权，延迟低的账号权重高', () => {
+  const pool = buildPool([accountOf('fast'), accountOf('slow')], [
+    resultOf('fast', { [SONNET]: 100 }),
+    resultOf('slow', { [SONNET]: 300 })
+  ])
+  // 权重 1/100 : 1/300，即前 3/4 落在 fast
+  assert.strictEqual(pickAccount(pool, SONNET, new Set(), { random: () => 0.74 }).name, 'fast')
+  assert.strictEqual(pickAccount(pool, SONNET, new Set(), { random: () => 0.76 }).name, 'slow')
+})
+
+test('markFailure 按错误类别冷却或暂停到下次检测，模型类错误只暂停该模型', () => {
+  const now = 1000
+  const [entry] = buildPool([accountOf('a')], [resultOf('a', { [SONNET]: 100, [OPUS]: 100 })])
+
+  assert.strictEqual(markFailure(entry, SONNET, classifyAs('unknown', 'bad request'), { now }), null)
+  assert.strictEqual(entry.blockedUntil, 0)
+
+  assert.strictEqual(markFailure(entry, OPUS, classifyAs('model_not_allowed', 'no opus'), { now }), Infinity)
+  assert.strictEqual(entry.blockedUntil, 0)
+  assert.strictEqual(pickAccount([entry], OPUS, new Set(), { now }), null)
+  assert.strictEqual(pickAccount([entry], SONNET, new Set(), { now }).name, 'a')
+
+  assert.strictEqual(markFailure(entry, SONNET, classifyAs('rate_limited', '429'), { now }), now + 60000)
+  assert.strictEqual(markFailure(entry, SONNET, classifyAs('rate_limited', '429'), { now, retryAfterMs: 90000 }), now + 90000)
+  assert.strictEqual(pickAccount([entry], SONNET, new Set(), { now: now + 89999 }), null)
+  assert.strictEqual(pickAccount([entry], SONNET, new Set(), { now: now + 90000 }).name, 'a')
+  assert.deepStrictEqual(entry.lastError.model, SONNET)
+
+  assert.strictEqual(markFailure(entry, SONNET, classifyAs('auth_invalid', '401'), { now }), Infinity)
+  assert.strictEqual(entry.blockedUntil, Infinity)
+})
+
+// 启动模拟中转服务和指向它的网关，accounts 为 [[账号名称, key 关键字]]，全部标记为检测通过
+async function startGateway(t, accounts, options = {}) {
+  const relay = await new Promise((resolve) => {
+    const server = createMockRelayApp().listen(0, '127.0.0.1', () => resolve(server))
+  })
+  t.after(() => new Promise(resolve => relay.close(resolve)))
+  const relayUrl = `http://127.0.0.1:${relay.address().port}/api`
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-test-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const resultsFile = path.join(dir, 'latest.json')
+  fs.writeFileSync(resultsFile, JSON.stringify({ results: accounts.map(([name]) => resultOf(name, { [SONNET]: 100 })) }))
+
+  const logs = []
+  const gateway = createGateway({
+    loadAccounts: () => accounts.map(([name, key]) => accountOf(name, relayUrl, `sk-mock-${key}`)),
+    resultsFile,
+    tokens: [{ name: 'alice', token: 'gateway-token' }],
+    maxAttempts: accounts.length,
+    log: message => logs.push(message),
+    ...options
+  })
+  await gateway.listen(0, '127.0.0.1')
+  t.after(() => gateway.close())
+  return { gateway, port: gateway.server.address().port, logs }
+}
+
+function postMessages(port, body, token = 'gateway-token') {
+  return fetch(`http://127.0.0.1:${port}/v1/messages`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-api-key': token },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  })
+}
+
+// 发送原始 HTTP 请求（fetch 会规范化畸形路径），返回响应状态行
+function rawRequest(port, requestLine) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => {
+      socket.end(`${requestLine}\r\nHost: 127.0.0.1\r\nConnection: close\r\n\r\n`)
+    })
+    let data = ''
+    socket.setEncoding('utf8')
+    socket.on('data', chunk => { data += chunk })
+    socket.on('end', () => resolve(data.split('\r\n')[0]))
+    socket.on('error', reject)
+  })
+}
+
+test('网关把失败的账号按错误类别暂停，换到健康账号完成请求', async (t) => {
+  const { gateway, port } = await startGateway(t, [['invalid', 'invalid'], ['limited', 'ratelimit'], ['healthy', 'ok']])
+  const request = { model: SONNET, max_tokens: 16, messages: [{ role: 'user', content: 'hi' }] }
+
+  // 健康账号可能在第一次就被选中，多发几次请求让失败的账号都被试到
+  for (let i = 0; i < 6; i++) {
+    const res = await postMessages(port, request)
+    assert.strictEqual(res.status, 200)
+    assert.strictEqual(res.headers.get('x-gateway-account'), 'healthy')
+    assert.strictEqual((await res.json()).model, SONNET)
+  }
+
+  const accounts = Object.fromEntries(gateway.status().accounts.map(account => [account.name, account]))
+  assert.strictEqual(accounts.healthy.available, true)
+  for (const [name, errorType, blockedUntil] of [['invalid', '认证失败', 'recheck'], ['limited', '限流', null]]) {
+    if (accounts[name].requests === 0) continue
+    assert.strictEqual(accounts[name].available, false, name)
+    assert.strictEqual(accounts[name].lastError.errorType, errorType, name)
+    if (blockedUntil) assert.strictEqual(accounts[name].blockedUntil, blockedUntil, name)
+  }
+  assert.strictEqual(accounts.healthy.failures, 0)
+})
+
+test('全部账号失败时返回最后一个错误，限流时为 429', async (t) => {
+  const { port, logs } = await startGateway(t, [['limited1', 'ratelimit'], ['limited2', 'ratelimit']])
+  const res = await postMessages(port, { model: SONNET, max_tokens: 16, messages: [{ role: 'user', content: 'hi' }] })
+  assert.strictEqual(res.status, 429)
+  const body = await res.json()
+  assert.strictEqual(body.error.type, 'overloaded_error')
+  assert.match(body.error.message, /已尝试 2 个账号均失败/)
+  assert.ok(logs.some(line => line.includes('限流')))
+
+  // 两个账号都在冷却中，不再请求上游
+  const again = await postMessages(port, { model: SONNET, max_tokens: 16, messages: [] })
+  assert.strictEqual(again.status, 503)
+  assert.match((await again.json()).error.message, /没有可用的账号/)
+})
+
+test('不需要换账号的错误（请求本身有问题）直接返回给客户端', async (t) => {
+  const { gateway, port } = await startGateway(t, [['notools', 'notools']])
+  const res = await postMessages(port, { model: SONNET, max_tokens: 16, tools: [{ name: 'x' }], messages: [] })
+  assert.strictEqual(res.status, 400)
+  assert.match((await res.json()).error.message, /tools are not supported/)
+  assert.strictEqual(gateway.status().accounts[0].available, true)
+})
+
+test('畸形请求返回错误，不影响网关继续服务', async (t) => {
+  const { port } = await startGateway(t, [['healthy', 'ok']])
+
+  for (const requestLine of ['GET // HTTP/1.1', 'GET //a:b@ HTTP/1.1', 'GET //x:99999 HTTP/1.1', 'POST //v1/messages HTTP/1.1']) {
+    assert.match(await rawRequest(port, requestLine), /^HTTP\/1\.1 (401|404) /, requestLine)
+  }
+  assert.match(await rawRequest(port, 'OPTIONS * HTTP/1.1'), /^HTTP\/1\.1 400 /)
+
+  assert.strictEqual((await postMessages(port, { model: SONNET })).status, 200)
+  assert.strictEqual((await postMessages(port, { model: SONNET }, 'wrong')).status, 401)
+  const invalid = await postMessages(port, '{not json')
+  assert.strictEqual(invalid.status, 400)
+  assert.strictEqual((await invalid.json()).error.type, 'invalid_request_error')
+})
+
+test('客户端在流式响应中途断开时网关断开上游并继续服务', async (t) => {
+  const { port } = await startGateway(t, [['healthy', 'ok']])
+  const controller = new AbortController()
+  const res = await fetch(`http://127.0.0.1:${port}/v1/messages`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-api-key': 'gateway-token' },
+    body: JSON.stringify({ model: SONNET, max_tokens: 16, stream: true, messages: [] }),
+    signal: controller.signal
+  })
+  assert.strictEqual(res.status, 200)
+  const reader = res.body.getReader()
+  await reader.read()
+  controller.abort()
+  await assert.rejects(reader.read())
+
+  const next = await postMessages(port, { model: SONNET, max_tokens: 16, messages: [] })
+  assert.strictEqual(next.status, 200)
+})
@@ -0,0 +1,67 @@
+/**
+ * HTTP 探测测试 - 流式响应的结束和中断
+ *
+ * 运行: npm test
+ */
+
+const test = require('node:test')
+const assert = require('node:assert')
+const http = require('http')
+const { testSingleModelHTTP, postMessages } = require('../http-probe')
+
+const MODEL = 'claude-sonnet-4-20250514'
+
+// 启动按 handler 响应 /v1/messages 的上游，返回账号
+async function startUpstream(t, handler) {
+  const server = http.createServer((req, res) => {
+    req.resume()
+    req.on('end', () => handler(req, res))
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  t.after(() => {
+    server.closeAllConnections()
+    return new Promise(resolve => server.close(resolve))
+  })
+  return { name: 'test', url: `http://127.0.0.1:${server.address().port}`, key: 'sk-test' }
+}
+
+function sseEvent(data) {
+  return `event: ${data.type}\ndata: ${JSON.stringify(data)}\n\n`
+}
+
+test('最后一个事件没有以空行结尾时仍然计入', async (t) => {
+  const account = await startUpstream(t, (req, res) => {
+    res.writeHead(200, { 'content-type': 'text/event-stream' })
+    res.write(sseEvent({ type: 'message_start', message: { model: MODEL, usage: { input_tokens: 5 } } }))
+    res.end(sseEvent({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: '你好' } }).trimEnd())
+  })
+  const result = await testSingleModelHTTP(account, MODEL, { timeout: 5000 })
+  assert.strictEqual(result.status, 'success', result.error)
+  assert.strictEqual(result.response, '你好')
+  assert.strictEqual(result.actualModel, MODEL)
+})
+
+test('流式响应中途连接断开时立即按网络错误返回，不等到超时', async (t) => {
+  const account = await startUpstream(t, (req, res) => {
+    res.writeHead(200, { 'content-type': 'text/event-stream' })
+    res.write(sseEvent({ type: 'message_start', message: { model: MODEL } }))
+    setTimeout(() => req.socket.destroy(), 50)
+  })
+  const startTime = Date.now()
+  const result = await testSingleModelHTTP(account, MODEL, { timeout: 5000 })
+  assert.strictEqual(result.status, 'failed')
+  assert.strictEqual(result.errorClass, 'connect_error')
+  assert.ok(Date.now() - startTime < 2000)
+})
+
+test('postMessages 在响应中途连接断开时立即返回网络错误', async (t) => {
+  const account = await startUpstream(t, (req, res) => {
+    res.writeHead(200, { 'content-type': 'application/json' })
+    res.write('{"type":"mess')
+    setTimeout(() => req.socket.destroy(), 50)
+  })
+  const startTime = Date.now()
+  const response = await postMessages(account, { model: MODEL, max_tokens: 16, messages: [] }, { timeout: 5000 })
+  assert.strictEqual(response.failure.errorClass, 'connect_error')
+  assert.ok(Date.now() - startTime < 2000)
+})
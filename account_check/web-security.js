@@ -0,0 +1,272 @@
+/**
+ * Web服务安全控制 - 认证、按IP限流、中继地址白名单和审计日志
+ *
+ * 配置文件 (默认 web-security.json，可用环境变量 WEB_SECURITY_CONFIG 指定路径):
+ *   {
+ *     "auth": {
+ *       "tokens": [{ "name": "ops-bot", "token": "..." }],          // Authorization: Bearer <token>
+ *       "users": [{ "name": "alice", "password": "..." }]           // HTTP Basic 认证
+ *     },
+ *     "rateLimit": { "windowMs": 60000, "max": 120, "validateMax": 10 },
+ *     "allowedHosts": ["relay.example.com", "*.example.org", "10.0.0.5:3000"],
+ *     "corsOrigins": ["https://ops.example.com"],
+ *     "trustProxy": false
+ *   }
+ *
+ * 环境变量（优先于配置文件）:
+ *   WEB_AUTH_TOKEN     单个 Bearer token（审计日志中用户名记为 token）
+ *   WEB_AUTH_USERS     Basic 认证用户列表，格式 "alice:密码,bob:密码"
+ *   WEB_ALLOWED_HOSTS  允许验证的中继地址，逗号分隔
+ *   WEB_CORS_ORIGINS   允许跨域访问的来源，逗号分隔
+ *
+ * 未配置 tokens/users 时不启用认证；未配置 allowedHosts 时不限制中继地址（启动时会给出警告）。
+ * 审计日志 web-audit.jsonl 写在报告目录中，每行一条记录，key 已脱敏。
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'web-security.json')
+const AUDIT_LOG_FILE = 'web-audit.jsonl'
+const AUTH_REALM = 'Claude Account Validator'
+
+const DEFAULT_RATE_LIMIT = {
+  windowMs: 60 * 1000, // 限流窗口
+  max: 120, // 每个IP每个窗口内的 /api 请求数
+  validateMax: 10 // 每个IP每个窗口内发起验证（单个验证和批量任务）的次数
+}
+
+function splitList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean)
+}
+
+// 读取安全配置，环境变量覆盖配置文件中的对应项
+function loadSecurityConfig(configPath = process.env.WEB_SECURITY_CONFIG || null, env = process.env) {
+  let fileConfig = {}
+  const filePath = configPath || DEFAULT_CONFIG_PATH
+  if (fs.existsSync(filePath)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+    } catch (error) {
+      throw new Error(`Web安全配置格式错误 (${filePath}): ${error.message.replace(/\s+/g, ' ')}`)
+    }
+  } else if (configPath) {
+    throw new Error(`Web安全配置文件不存在: ${configPath}`)
+  }
+
+  const auth = fileConfig.auth || {}
+  const config = {
+    tokens: (auth.tokens || []).map((item, index) => ({ name: item.name || `token${index + 1}`, token: item.token })),
+    users: (auth.users || []).map(item => ({ name: item.name, password: item.password })),
+    rateLimit: { ...DEFAULT_RATE_LIMIT, ...(fileConfig.rateLimit || {}) },
+    allowedHosts: fileConfig.allowedHosts || [],
+    corsOrigins: fileConfig.corsOrigins || [],
+    trustProxy: Boolean(fileConfig.trustProxy)
+  }
+
+  if (env.WEB_AUTH_TOKEN) {
+    config.tokens = [{ name: 'token', token: env.WEB_AUTH_TOKEN }]
+  }
+  if (env.WEB_AUTH_USERS) {
+    config.users = splitList(env.WEB_AUTH_USERS).map((item) => {
+      const separator = item.indexOf(':')
+      return separator === -1 ? { name: item, password: '' } : { name: item.slice(0, separator), password: item.slice(separator + 1) }
+    })
+  }
+  if (env.WEB_ALLOWED_HOSTS) {
+    config.allowedHosts = splitList(env.WEB_ALLOWED_HOSTS)
+  }
+  if (env.WEB_CORS_ORIGINS) {
+    config.corsOrigins = splitList(env.WEB_CORS_ORIGINS)
+  }
+
+  const invalidToken = config.tokens.find(item => !item.token)
+  if (invalidToken) {
+    throw new Error(`Web认证 token "${invalidToken.name}" 不能为空`)
+  }
+  const invalidUser = config.users.find(item => !item.name || !item.password)
+  if (invalidUser) {
+    throw new Error(`Web认证用户 "${invalidUser.name || ''}" 缺少用户名或密码`)
+  }
+
+  return config
+}
+
+// 启动时的配置提示
+function describeSecurityConfig(config) {
+  const lines = []
+  if (config.tokens.length === 0 && config.users.length === 0) {
+    lines.push('⚠️ 未配置Web认证，任何能访问该端口的人都可以发起账号验证')
+  } else {
+    lines.push(`🔒 Web认证: ${config.tokens.length} 个 token，${config.users.length} 个用户`)
+  }
+  if (config.allowedHosts.length === 0) {
+    lines.push('⚠️ 未配置中继地址白名单 (allowedHosts)，可以验证任意URL')
+  } else {
+    lines.push(`🌐 允许验证的中继地址: ${config.allowedHosts.join(', ')}`)
+  }
+  lines.push(`⏱️ 限流: 每IP每 ${Math.round(config.rateLimit.windowMs / 1000)} 秒 ${config.rateLimit.max} 次请求，其中验证 ${config.rateLimit.validateMax} 次`)
+  return lines
+}
+
+// 定长比较，避免按字符比较泄露时间信息
+function safeEqual(a, b) {
+  const digestA = crypto.createHash('sha256').update(String(a)).digest()
+  const digestB = crypto.createHash('sha256').update(String(b)).digest()
+  return crypto.timingSafeEqual(digestA, digestB)
+}
+
+// 校验 Authorization 头，返回用户名；未通过返回 null
+function authenticate(header, config) {
+  if (!header) return null
+  const [scheme, credentials = ''] = header.split(' ')
+
+  if (/^bearer$/i.test(scheme)) {
+    const matched = config.tokens.find(item => safeEqual(item.token, credentials.trim()))
+    return matched ? matched.name : null
+  }
+
+  if (/^basic$/i.test(scheme)) {
+    const decoded = Buffer.from(credentials.trim(), 'base64').toString('utf-8')
+    const separator = decoded.indexOf(':')
+    if (separator === -1) return null
+    const name = decoded.slice(0, separator)
+    const password = decoded.slice(separator + 1)
+    // 用户名和口令都用定长比较，用户名不匹配时同样比较口令
+    const matched = config.users.find((item) => {
+      const nameMatches = safeEqual(item.name, name)
+      const passwordMatches = safeEqual(item.password, password)
+      return nameMatches && passwordMatches
+    })
+    return matched ? matched.name : null
+  }
+
+  return null
+}
+
+// 认证中间件: 通过后设置 req.user；未配置认证时用户记为 anonymous
+// getConfig 每次请求时调用，便于启动时替换配置
+function createAuthMiddleware(getConfig, audit) {
+  return (req, res, next) => {
+    const config = getConfig()
+    if (config.tokens.length === 0 && config.users.length === 0) {
+      req.user = 'anonymous'
+      return next()
+    }
+
+    const user = authenticate(req.get('authorization'), config)
+    if (user) {
+      req.user = user
+      return next()
+    }
+
+    if (req.get('authorization')) {
+      audit.record(req, { action: 'auth_failed', path: req.baseUrl + req.path })
+    }
+    // 配置了用户时返回 Basic 质询，浏览器会弹出登录框
+    res.set('WWW-Authenticate', config.users.length > 0 ? `Basic realm="${AUTH_REALM}", charset="UTF-8"` : `Bearer realm="${AUTH_REALM}"`)
+    res.status(401).json({ error: '未认证或认证信息无效' })
+  }
+}
+
+// 按IP的固定窗口限流中间件，limitKey 为 rateLimit 配置中的上限字段
+function createRateLimiter(getConfig, limitKey, audit) {
+  const counters = new Map()
+
+  return (req, res, next) => {
+    const { windowMs, [limitKey]: max } = getConfig().rateLimit
+    if (!max) return next()
+
+    const now = Date.now()
+    // 顺带清理过期计数，避免 Map 无限增长
+    if (counters.size > 10000) {
+      for (const [ip, counter] of counters) {
+        if (counter.resetAt <= now) counters.delete(ip)
+      }
+    }
+
+    let counter = counters.get(req.ip)
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs }
+      counters.set(req.ip, counter)
+    }
+    counter.count++
+
+    const retryAfter = Math.ceil((counter.resetAt - now) / 1000)
+    res.set('RateLimit-Limit', String(max))
+    res.set('RateLimit-Remaining', String(Math.max(0, max - counter.count)))
+    res.set('RateLimit-Reset', String(retryAfter))
+
+    if (counter.count > max) {
+      if (counter.count === max + 1) {
+        audit.record(req, { action: 'rate_limited', path: req.baseUrl + req.path, limit: limitKey })
+      }
+      res.set('Retry-After', String(retryAfter))
+      return res.status(429).json({ error: `请求过于频繁，请 ${retryAfter} 秒后重试` })
+    }
+    next()
+  }
+}
+
+// 检查中继地址是否在白名单中，返回错误信息；通过返回 null
+// 白名单项: 主机名（匹配任意端口）、主机名:端口、*.域名（匹配子域名）
+function checkRelayUrl(url, allowedHosts) {
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch (error) {
+    return `URL格式错误: ${url}`
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return `只支持 http/https 地址: ${url}`
+  }
+  if (allowedHosts.length === 0) return null
+
+  const hostname = parsed.hostname.toLowerCase()
+  const allowed = allowedHosts.some((pattern) => {
+    const entry = pattern.toLowerCase()
+    if (entry.startsWith('*.')) {
+      return hostname.endsWith(entry.slice(1))
+    }
+    if (entry.includes(':') && !entry.startsWith('[')) {
+      return parsed.host.toLowerCase() === entry
+    }
+    return hostname === entry
+  })
+  return allowed ? null : `中继地址不在白名单中: ${parsed.host}`
+}
+
+// 审计日志，getPath 返回日志文件路径（随报告目录变化）
+function createAuditLog(getPath) {
+  return {
+    record(req, entry) {
+      const record = {
+        time: new Date().toISOString(),
+        ip: req.ip,
+        user: req.user || null,
+        ...entry
+      }
+      const filePath = getPath()
+      try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true })
+        fs.appendFileSync(filePath, JSON.stringify(record) + '\n', 'utf-8')
+      } catch (error) {
+        console.error(`❌ 写入审计日志失败: ${error.message}`)
+      }
+      return record
+    }
+  }
+}
+
+module.exports = {
+  AUDIT_LOG_FILE,
+  loadSecurityConfig,
+  describeSecurityConfig,
+  safeEqual,
+  authenticate,
+  createAuthMiddleware,
+  createRateLimiter,
+  checkRelayUrl,
+  createAuditLog
+}
@@ -2,155 +2,137 @@
 
 const express = require('express')
 const cors = require('cors')
-const { spawn } = require('child_process')
 const path = require('path')
+const fs = require('fs')
+const { EventEmitter } = require('events')
+const { PROBE_MODES, probeAccount } = require('./probe')
+const { DEFAULT_MODELS, normalizeModels, parseModelsSpec, computeStats } = require('./model-matrix')
+const { parseAccounts, formatLoadError } = require('./account-loader')
+const { maskKey } = require('./redact')
+const { createJobManager } = require('./job-queue')
+const { relayHost, createTaskQueue } = require('./task-pool')
+const {
+  AUDIT_LOG_FILE,
+  loadSecurityConfig,
+  describeSecurityConfig,
+  createAuthMiddleware,
+  createRateLimiter,
+  checkRelayUrl,
+  createAuditLog
+} = require('./web-security')
+const {
+  historyVersion,
+  readHistory,
+  parseWindow,
+  collectModelLabels,
+  summarizeHistory,
+  findLastChanges,
+  accountTimeline
+} = require('./check-history')
+const { buildMetrics } = require('./metrics')
+const { parseCapabilities } = require('./capabilities')
+const { parseProxy, describeProxy } = require('./proxy')
 
 const app = express()
 const PORT = 3001
+const HOST = process.env.WEB_HOST || '0.0.0.0'
+const MAX_CONCURRENCY = parseInt(process.env.WEB_MAX_CONCURRENCY || '2') // 同时测试的账号数上限
+const PER_HOST_CONCURRENCY = process.env.WEB_PER_HOST_CONCURRENCY ? parseInt(process.env.WEB_PER_HOST_CONCURRENCY) : null // 同一中转服务同时测试的账号数上限
+const MAX_JOB_ACCOUNTS = 500 // 单个批量任务最多账号数
+// Web测试使用的代理（见 proxy.js）；上传的账号不能单独指定代理，避免通过代理访问服务器所在的内网
+const WEB_PROXY = process.env.WEB_PROXY || null
 
-// 中间件
-app.use(cors())
-app.use(express.json())
-app.use(express.static(__dirname))
-
-// 测试单个模型
-async function testSingleModel(account, modelName, timeout = 60000) {
-  return new Promise((resolve) => {
-    const startTime = Date.now()
-    const result = {
-      model: modelName,
-      status: 'testing',
-      responseTime: 0,
-      error: null,
-      response: null,
-      speed: null
-    }
+// 定时检测的报告目录；由守护进程启动时使用守护进程的报告目录
+app.locals.reportDir = process.env.REPORT_DIR || path.join(__dirname, 'test-reports')
+// 同进程运行的调度器（通过 check-claude-cli-accounts.js daemon --web 启动时设置）
+app.locals.scheduler = null
+// 认证、限流和白名单配置（web-security.js），startWebServer 启动时加载
+app.locals.security = null
 
-    // 设置环境变量
-    const env = {
-      ...process.env,
-      ANTHROPIC_BASE_URL: account.url,
-      ANTHROPIC_API_KEY: account.key
-    }
+function getSecurity() {
+  if (!app.locals.security) {
+    app.locals.security = loadSecurityConfig()
+  }
+  return app.locals.security
+}
 
-    // 启动 Claude CLI
-    const claude = spawn('claude', ['--model', modelName], {
-      env,
-      stdio: ['pipe', 'pipe', 'pipe']
-    })
+const audit = createAuditLog(() => path.join(app.locals.reportDir, AUDIT_LOG_FILE))
 
-    let output = ''
-    let errorOutput = ''
-    let hasResponded = false
+// 中间件
+// 未配置 corsOrigins 时保持允许任意来源（不携带凭据）
+app.use(cors((req, callback) => {
+  const { corsOrigins } = getSecurity()
+  callback(null, { origin: corsOrigins.length > 0 ? corsOrigins : '*' })
+}))
+app.use(express.json({ limit: '5mb' }))
+app.use(express.text({ type: ['text/csv', 'text/plain', 'text/yaml', 'application/x-yaml'], limit: '5mb' }))
+// 不再把整个目录作为静态文件目录（会暴露账号文件和安全配置），页面只通过 GET / 返回
+// 页面本身不需要认证，页面中的 /api 请求需要
+const apiGuard = [createRateLimiter(getSecurity, 'max', audit), createAuthMiddleware(getSecurity, audit)]
+app.use('/api', apiGuard)
+const validateLimiter = createRateLimiter(getSecurity, 'validateMax', audit)
 
-    claude.stdout.on('data', (data) => {
-      output += data.toString()
-    })
+const WEB_PROBE_TIMEOUT = 60000
 
-    claude.stderr.on('data', (data) => {
-      errorOutput += data.toString()
-    })
+// 测试账号（按模型矩阵，探测逻辑见 probe.js），settings 为 parseTestSettings 的结果:
+// mode 为 'http' 时直接调用 /v1/messages，否则通过 Claude CLI；capabilities 为通过测试后探测的能力（见 capabilities.js）
+// 所有账号都使用 WEB_PROXY（未设置时直连），账号自带的 proxy 字段被忽略
+// 返回结构与命令行批量测试一致（不包含完整 key）
+// onModelResult(model, result) 在每个模型测试完成后调用，用于批量任务的进度推送
+async function testAccount(account, settings, onModelResult = null) {
+  const events = new EventEmitter()
+  if (onModelResult) {
+    events.on('model', ({ model, result }) => onModelResult(model, result))
+  }
+  const { mode, models, capabilities } = settings
+  const target = { name: account.name || 'Test Account', url: account.url, key: account.key }
+  return probeAccount(target, { mode, models, capabilities, proxy: WEB_PROXY, timeout: WEB_PROBE_TIMEOUT, events })
+}
 
-    // 设置超时
-    const timeoutId = setTimeout(() => {
-      if (!hasResponded) {
-        claude.kill()
-        result.status = 'failed'
-        result.error = '响应超时'
-        result.errorType = '超时'
-        result.responseTime = Date.now() - startTime
-        hasResponded = true
-        resolve(result)
-      }
-    }, timeout)
-
-    claude.on('close', (code) => {
-      if (hasResponded) return
-      hasResponded = true
-      clearTimeout(timeoutId)
-      result.responseTime = Date.now() - startTime
-
-      if (code === 0 && output.length > 0 && !output.includes('Error') && !output.includes('error')) {
-        // 成功
-        result.status = 'success'
-        result.response = output.trim().substring(0, 200)
-        
-        // 判断速度
-        if (result.responseTime < 3000) {
-          result.speed = '⚡ 极快'
-        } else if (result.responseTime < 8000) {
-          result.speed = '🚀 快速'
-        } else if (result.responseTime < 15000) {
-          result.speed = '🐢 较慢'
-        } else {
-          result.speed = '🐌 很慢'
-        }
-      } else {
-        // 失败
-        result.status = 'failed'
-        const combinedError = errorOutput + output
-        
-        if (combinedError.includes('authentication') || combinedError.includes('unauthorized') || combinedError.includes('401')) {
-          result.errorType = '认证失败'
-          result.error = 'API Key 无效或过期'
-        } else if (combinedError.includes('rate limit') || combinedError.includes('429')) {
-          result.errorType = '限流'
-          result.error = '请求过于频繁'
-        } else if (combinedError.includes('permission') || combinedError.includes('403')) {
-          result.errorType = '无权限'
-          result.error = '无权限访问该模型'
-        } else if (combinedError.includes('connection') || combinedError.includes('network')) {
-          result.errorType = '连接错误'
-          result.error = '网络连接失败'
-        } else {
-          result.errorType = '未知错误'
-          result.error = combinedError.substring(0, 100) || '未知错误'
-        }
-      }
-      
-      resolve(result)
-    })
+// 所有账号测试（单个验证和批量任务）共用一个有界队列
+const taskQueue = createTaskQueue(MAX_CONCURRENCY, { perKey: PER_HOST_CONCURRENCY })
+const jobManager = createJobManager({
+  queue: taskQueue,
+  runAccount: (account, job, hooks) => testAccount(account, job.settings, hooks.onModelResult),
+  summarize: (results, job) => computeStats(results, job.settings.models)
+})
 
-    // 发送测试问题
-    setTimeout(() => {
-      claude.stdin.write('你是什么模型，有什么优势？\n')
-      claude.stdin.end()
-    }, 1000)
-  })
+// 解析探测方式、模型列表和能力探测（数组或逗号分隔的字符串），出错时返回错误信息
+function parseTestSettings(mode = 'cli', modelsSpec, capabilitiesSpec) {
+  if (!PROBE_MODES.includes(mode)) {
+    return { error: `不支持的探测方式: ${mode}` }
+  }
+  let capabilities
+  try {
+    capabilities = parseCapabilities(Array.isArray(capabilitiesSpec) ? capabilitiesSpec.join(',') : capabilitiesSpec)
+  } catch (error) {
+    return { error: error.message }
+  }
+  try {
+    const models = modelsSpec ? parseModelsSpec(modelsSpec) : normalizeModels(DEFAULT_MODELS)
+    return { mode, models, capabilities }
+  } catch (error) {
+    return { error: `模型配置错误: ${error.message}` }
+  }
 }
 
-// 测试账号（双模型）
-async function testAccount(account) {
-  const result = {
-    name: account.name || 'Test Account',
-    url: account.url,
-    sonnet4: null,
-    opus41: null,
-    overallStatus: 'testing'
-  }
-
-  // 测试 Sonnet 4
-  result.sonnet4 = await testSingleModel(account, 'claude-sonnet-4-20250514')
-  
-  if (result.sonnet4.status === 'success') {
-    // 测试 Opus 4.1
-    result.opus41 = await testSingleModel(account, 'claude-opus-4-1-20250805')
-    
-    if (result.opus41.status === 'success') {
-      result.overallStatus = 'both_success'
-    } else {
-      result.overallStatus = 'sonnet_only'
-    }
-  } else {
-    result.opus41 = { 
-      model: 'claude-opus-4-1-20250805', 
-      status: 'skipped', 
-      error: 'Sonnet 4 测试失败，跳过此测试'
-    }
-    result.overallStatus = 'both_failed'
+// 批量任务的对外表示
+function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    total: job.total,
+    completed: job.completed,
+    mode: job.settings.mode,
+    models: job.settings.models,
+    capabilities: job.settings.capabilities,
+    results: job.results.filter(Boolean),
+    stats: job.stats,
+    error: job.error
   }
-
-  return result
 }
 
 // 主页面
@@ -159,25 +141,311 @@ app.get('/', (req, res) => {
 })
 
 // 验证API
-app.post('/api/validate', async (req, res) => {
-  const { url, key } = req.body
+app.post('/api/validate', validateLimiter, async (req, res) => {
+  const { url, key, mode, models: modelsSpec, capabilities } = req.body
 
   if (!url || !key) {
     return res.status(400).json({ error: 'URL和API Key都是必需的' })
   }
 
+  const entry = { action: 'validate', url, key: maskKey(key), mode: mode || 'cli' }
+
+  const urlError = checkRelayUrl(url, getSecurity().allowedHosts)
+  if (urlError) {
+    audit.record(req, { ...entry, outcome: 'rejected', error: urlError })
+    return res.status(403).json({ error: urlError })
+  }
+
+  // 可选的模型列表，格式与命令行 --models 参数相同
+  const settings = parseTestSettings(mode, modelsSpec, capabilities)
+  if (settings.error) {
+    return res.status(400).json({ error: settings.error })
+  }
+  entry.models = settings.models.map(m => m.key)
+  if (settings.capabilities.length > 0) {
+    entry.capabilities = settings.capabilities
+  }
+
   try {
     const account = { url, key, name: 'Web测试账号' }
-    const result = await testAccount(account)
+    const result = await taskQueue.push(() => testAccount(account, settings), relayHost(url))
+    audit.record(req, { ...entry, outcome: result.overallStatus })
     res.json({ success: true, data: result })
   } catch (error) {
+    audit.record(req, { ...entry, outcome: 'error', error: error.message })
     res.status(500).json({ error: error.message })
   }
 })
 
+// 创建批量验证任务
+// JSON: { accounts: [{ name, url, key }], mode, models, capabilities } 或 { csv: "账号名称,url,token\n...", format, mode, models, capabilities }
+// 也可以直接上传账号文件内容（Content-Type: text/csv 等），format/mode/models/capabilities 通过查询参数传入
+// 文本内容支持 account-loader.js 的所有格式（csv/pipe/json/yaml/env），不指定 format 时自动识别
+app.post('/api/jobs', validateLimiter, (req, res) => {
+  const isCSVUpload = typeof req.body === 'string'
+  const body = isCSVUpload ? {} : (req.body || {})
+  const mode = isCSVUpload ? req.query.mode : body.mode
+  const modelsSpec = isCSVUpload ? req.query.models : body.models
+  const capabilitiesSpec = isCSVUpload ? req.query.capabilities : body.capabilities
+
+  let accounts
+  if (isCSVUpload || typeof body.csv === 'string') {
+    let parsed
+    try {
+      parsed = parseAccounts(isCSVUpload ? req.body : body.csv, {
+        format: (isCSVUpload ? req.query.format : body.format) || null,
+        source: '上传内容'
+      })
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+    if (parsed.errors.length > 0) {
+      return res.status(400).json({
+        error: `账号数据中有 ${parsed.errors.length} 处问题`,
+        details: parsed.errors.map(formatLoadError)
+      })
+    }
+    accounts = parsed.accounts
+  } else {
+    accounts = body.accounts
+  }
+
+  if (!Array.isArray(accounts) || accounts.length === 0) {
+    return res.status(400).json({ error: '请提供账号列表 (accounts) 或CSV内容' })
+  }
+  if (accounts.length > MAX_JOB_ACCOUNTS) {
+    return res.status(400).json({ error: `单个任务最多 ${MAX_JOB_ACCOUNTS} 个账号` })
+  }
+
+  const invalidIndex = accounts.findIndex(account => !account || !account.url || !account.key)
+  if (invalidIndex !== -1) {
+    return res.status(400).json({ error: `第 ${invalidIndex + 1} 个账号缺少 url 或 key` })
+  }
+
+  const { allowedHosts } = getSecurity()
+  const rejected = accounts.map(account => checkRelayUrl(account.url, allowedHosts)).find(Boolean)
+  if (rejected) {
+    audit.record(req, { action: 'job', accounts: accounts.length, outcome: 'rejected', error: rejected })
+    return res.status(403).json({ error: rejected })
+  }
+
+  const settings = parseTestSettings(mode, modelsSpec, capabilitiesSpec)
+  if (settings.error) {
+    return res.status(400).json({ error: settings.error })
+  }
+
+  const job = jobManager.createJob(
+    accounts.map((account, index) => ({
+      name: account.name || `账号${index + 1}`,
+      url: account.url,
+      key: account.key
+    })),
+    settings,
+    req.user
+  )
+
+  // 任务结束时记录每个账号的结果；req 在任务结束后仍保留 ip 和 user
+  audit.record(req, { action: 'job', jobId: job.id, accounts: job.total, mode: settings.mode, outcome: 'queued' })
+  job.events.once('done', ({ status, error }) => {
+    audit.record(req, {
+      action: 'job',
+      jobId: job.id,
+      mode: settings.mode,
+      outcome: status,
+      error: error || undefined,
+      results: job.results.filter(Boolean).map(result => ({
+        name: result.name,
+        url: result.url,
+        key: result.key,
+        outcome: result.overallStatus
+      }))
+    })
+  })
+
+  res.status(202).json({
+    success: true,
+    data: {
+      id: job.id,
+      status: job.status,
+      total: job.total,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
+    }
+  })
+})
+
+// 当前用户创建的任务，其它用户的任务按不存在处理
+function findOwnJob(req) {
+  const job = jobManager.getJob(req.params.id)
+  return job && job.user === req.user ? job : null
+}
+
+// 查询批量任务状态和结果
+app.get('/api/jobs/:id', (req, res) => {
+  const job = findOwnJob(req)
+  if (!job) {
+    return res.status(404).json({ error: '任务不存在' })
+  }
+  res.json({ success: true, data: serializeJob(job) })
+})
+
+// 批量任务进度推送 (Server-Sent Events)
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = findOwnJob(req)
+  if (!job) {
+    return res.status(404).json({ error: '任务不存在' })
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  })
+  res.flushHeaders()
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  }
+
+  // 先推送当前快照，再推送后续进度
+  send('snapshot', { status: job.status, completed: job.completed, total: job.total })
+
+  if (job.finishedAt) {
+    send('done', { status: job.status, stats: job.stats, error: job.error })
+    return res.end()
+  }
+
+  const onModel = (data) => send('model', data)
+  const onAccount = (data) => send('account', data)
+  const onDone = (data) => {
+    send('done', data)
+    cleanup()
+    res.end()
+  }
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000)
+
+  function cleanup() {
+    clearInterval(heartbeat)
+    job.events.off('model', onModel)
+    job.events.off('account', onAccount)
+    job.events.off('done', onDone)
+  }
+
+  job.events.on('model', onModel)
+  job.events.on('account', onAccount)
+  job.events.on('done', onDone)
+  req.on('close', cleanup)
+})
+
+// 最新一次定时检测的结果（saveResults 写入的 claude-test-results-latest.json），附带每个账号最近状态变化时间
+app.get('/api/results/latest', (req, res) => {
+  const jsonPath = path.join(req.app.locals.reportDir, 'claude-test-results-latest.json')
+  if (!fs.existsSync(jsonPath)) {
+    return res.status(404).json({ error: '暂无检测结果，请先运行 check-claude-cli-accounts.js' })
+  }
+
+  try {
+    const latest = JSON.parse(fs.readFileSync(jsonPath, 'utf-8'))
+    const lastChanges = findLastChanges(readHistory(req.app.locals.reportDir))
+    latest.results = latest.results.map(result => ({
+      ...result,
+      lastChange: lastChanges[result.name] || null
+    }))
+    res.json({ success: true, data: latest })
+  } catch (error) {
+    res.status(500).json({ error: `读取检测结果失败: ${error.message}` })
+  }
+})
+
+// 单个账号的历史检测记录和可用率统计
+app.get('/api/results/history', (req, res) => {
+  const { account, window = '7d' } = req.query
+  if (!account) {
+    return res.status(400).json({ error: '缺少 account 参数' })
+  }
+
+  let windowMs
+  try {
+    windowMs = parseWindow(window)
+  } catch (error) {
+    return res.status(400).json({ error: error.message })
+  }
+
+  try {
+    const runs = readHistory(req.app.locals.reportDir, Date.now() - windowMs)
+    const summary = summarizeHistory(runs).find(s => s.name === account) || null
+    res.json({
+      success: true,
+      data: {
+        account,
+        window,
+        labels: collectModelLabels(runs),
+        summary,
+        timeline: accountTimeline(runs, account)
+      }
+    })
+  } catch (error) {
+    res.status(500).json({ error: `读取历史记录失败: ${error.message}` })
+  }
+})
+
+// 定时检测状态：下次检测时间、当前运行和最近运行记录
+app.get('/api/scheduler', (req, res) => {
+  const { scheduler } = req.app.locals
+  if (!scheduler) {
+    return res.status(404).json({ error: '未启用定时检测，请使用 check-claude-cli-accounts.js daemon --web 启动' })
+  }
+  res.json({ success: true, data: scheduler.status() })
+})
+
+// 上次生成的指标，检测历史文件没有变化时直接返回，避免每次抓取都重新读取整个历史
+const metricsCache = { reportDir: null, version: null, body: null }
+
+// Prometheus 指标（格式见 metrics.js），与 /api 使用相同的认证
+app.get('/metrics', apiGuard, (req, res) => {
+  try {
+    const { reportDir } = req.app.locals
+    const version = historyVersion(reportDir)
+    if (metricsCache.body === null || metricsCache.reportDir !== reportDir || metricsCache.version !== version) {
+      Object.assign(metricsCache, { reportDir, version, body: buildMetrics(readHistory(reportDir)) })
+    }
+    res.type('text/plain; version=0.0.4').send(metricsCache.body)
+  } catch (error) {
+    res.status(500).type('text/plain').send(`# 生成指标失败: ${error.message}\n`)
+  }
+})
+
 // 启动服务器
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 Claude账号Web验证服务已启动`)
-  console.log(`📱 访问地址: http://localhost:${PORT}`)
-  console.log(`🌐 外网访问: http://47.99.45.175:${PORT}`)
-})
\ No newline at end of file
+function startWebServer({ scheduler = null, reportDir = null, security = null } = {}) {
+  if (scheduler) app.locals.scheduler = scheduler
+  if (reportDir) app.locals.reportDir = reportDir
+  app.locals.security = security || loadSecurityConfig()
+  app.set('trust proxy', app.locals.security.trustProxy)
+  try {
+    parseProxy(WEB_PROXY)
+  } catch (error) {
+    throw new Error(`WEB_PROXY: ${error.message}`)
+  }
+
+  return app.listen(PORT, HOST, () => {
+    console.log(`🚀 Claude账号Web验证服务已启动`)
+    console.log(`📱 访问地址: http://localhost:${PORT}`)
+    console.log(`🌐 外网访问: http://47.99.45.175:${PORT}`)
+    describeSecurityConfig(app.locals.security).forEach(line => console.log(line))
+    console.log(`📝 审计日志: ${path.join(app.locals.reportDir, AUDIT_LOG_FILE)}`)
+    if (WEB_PROXY) {
+      console.log(`🌐 探测代理: ${describeProxy(WEB_PROXY)}`)
+    }
+  })
+}
+
+if (require.main === module) {
+  try {
+    startWebServer()
+  } catch (error) {
+    console.error(`❌ ${error.message}`)
+    process.exit(1)
+  }
+}
+
+module.exports = { app, startWebServer }